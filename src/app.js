@@ -16,6 +16,8 @@ import {
   businessRoutes,
   clientRoutes
 } from './routes/index.js';
+import { getJwks } from './services/jwt.service.js';
+import { startPointsExpiryJob, startTierEvaluationJob } from './jobs/index.js';
 
 const app = express();
 
@@ -43,6 +45,12 @@ const swaggerOptions = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'Authorization',
+          description: 'Business API key, sent as `ApiKey <key>`'
         }
       }
     },
@@ -88,7 +96,7 @@ if (process.env.NODE_ENV !== 'production') {
 let dbConnected = false;
 app.use(async (req, res, next) => {
   // Pass through if health check or preflight
-  if (req.path === '/healthz' || req.method === 'OPTIONS') return next();
+  if (req.path === '/healthz' || req.path === '/.well-known/jwks.json' || req.method === 'OPTIONS') return next();
   
   if (!dbConnected) {
     try {
@@ -118,6 +126,16 @@ app.get('/healthz', (req, res) => {
   });
 });
 
+// Public keys used to verify access tokens
+app.get('/.well-known/jwks.json', (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getJwks());
+  } catch (error) {
+    next(error);
+  }
+});
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
@@ -140,6 +158,10 @@ const startServer = async () => {
       app.listen(PORT, () => {
         logger.info(`Server running on port ${PORT}`);
       });
+
+      // Serverless deployments trigger them through POST /api/admin/jobs/* instead
+      startPointsExpiryJob();
+      startTierEvaluationJob();
     } catch (error) {
       logger.error('Failed to start server:', error);
       process.exit(1);
@@ -66,5 +66,14 @@ const morganMiddleware = morgan(
   { stream: morganStream }
 );
 
-export { morganMiddleware };
+/**
+ * Log a security-relevant event (token reuse, lockouts, ...)
+ * @param {string} event - Event name
+ * @param {Object} meta - Additional context (userId, ip, ...)
+ */
+const logSecurityEvent = (event, meta = {}) => {
+  logger.warn(`Security event: ${event}`, { securityEvent: event, ...meta });
+};
+
+export { morganMiddleware, logSecurityEvent };
 export default logger;
@@ -0,0 +1,41 @@
+/**
+ * Staff roles inside a business and what each of them may do
+ */
+const BUSINESS_ROLES = ['owner', 'manager', 'cashier'];
+
+const PERMISSIONS = {
+  'clients:read': ['owner', 'manager', 'cashier'],
+  'items:read': ['owner', 'manager', 'cashier'],
+  'points:apply': ['owner', 'manager', 'cashier'],
+  'points:manual': ['owner', 'manager'],
+  'items:manage': ['owner', 'manager'],
+  'transactions:read': ['owner', 'manager'],
+  // Reversing within the business reversal window, or at any time
+  'transactions:reverse': ['owner', 'manager', 'cashier'],
+  'transactions:reverse_any': ['owner', 'manager'],
+  'settings:manage': ['owner'],
+  'staff:manage': ['owner']
+};
+
+/**
+ * Check whether a user holds a permission
+ * Admins hold every permission. Business users without a staff role
+ * (accounts created before roles existed) are treated as owners.
+ * @param {Object} user - User object
+ * @param {string} permission - Permission name (see PERMISSIONS)
+ * @returns {boolean} True if allowed
+ */
+const hasPermission = (user, permission) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  if (user.role !== 'business_user') {
+    return false;
+  }
+
+  const allowedRoles = PERMISSIONS[permission] || [];
+  return allowedRoles.includes(user.businessRole || 'owner');
+};
+
+export { BUSINESS_ROLES, PERMISSIONS, hasPermission };
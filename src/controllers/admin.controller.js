@@ -1,10 +1,26 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
-import { User, Business, Client, Transaction } from '../models/index.js';
-import { hashPassword } from '../services/auth.service.js';
+import { User, Business, Client, Transaction, LoginAttempt } from '../models/index.js';
+import {
+  hashPassword,
+  generateAccessToken,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserTokens
+} from '../services/auth.service.js';
+import { unlockAccount } from '../services/loginSecurity.service.js';
 import { generateClientId } from '../services/clientId.service.js';
-import { generateQRDataUrl } from '../services/qrcode.service.js';
+import { generateQRDataUrl, getClientDashboardUrl } from '../services/qrcode.service.js';
+import { generateCardPin, resetCardPin } from '../services/cardPin.service.js';
+import { generateCardToken } from '../services/cardToken.service.js';
+import { renderCardSheets } from '../services/cardPrint.service.js';
+import { runPointsExpiry } from '../jobs/pointsExpiry.job.js';
+import { runTierEvaluation } from '../jobs/tierEvaluation.job.js';
 import { ApiError } from '../middlewares/errorHandler.js';
-import { escapeRegExp } from '../utils.js';
+import { logSecurityEvent } from '../config/logger.js';
+import { escapeRegExp, getClientInfo, toUpdatePaths } from '../utils.js';
+
+const MAX_PRINTED_CARDS = 500;
 
 /**
  * Create a new business
@@ -12,7 +28,7 @@ import { escapeRegExp } from '../utils.js';
  */
 const createBusiness = async (req, res, next) => {
   try {
-    const { name, category, city, region, contactEmail, logoUrl, activationCode, allowNegativePoints } = req.body;
+    const { name, category, city, region, contactEmail, logoUrl, activationCode, allowNegativePoints, reversalWindowMinutes, clientAuthEnabled, signedCardsRequired, dynamicQrRequired, enrollment, pointsExpiry, spendRule, tiers } = req.body;
 
     const business = await Business.create({
       name,
@@ -23,6 +39,14 @@ const createBusiness = async (req, res, next) => {
       logoUrl,
       activationCode,
       allowNegativePoints: allowNegativePoints || false,
+      reversalWindowMinutes,
+      clientAuthEnabled: clientAuthEnabled || false,
+      signedCardsRequired: signedCardsRequired || false,
+      dynamicQrRequired: dynamicQrRequired || false,
+      enrollment,
+      pointsExpiry,
+      spendRule,
+      tiers,
       createdByAdminId: req.user._id
     });
 
@@ -120,7 +144,7 @@ const updateBusiness = async (req, res, next) => {
     }
 
     // Allowed fields to update by admin
-    const allowedUpdates = ['name', 'category', 'city', 'region', 'contactEmail', 'logoUrl', 'activationCode', 'allowNegativePoints', 'cardDesign'];
+    const allowedUpdates = ['name', 'category', 'city', 'region', 'contactEmail', 'logoUrl', 'activationCode', 'allowNegativePoints', 'reversalWindowMinutes', 'clientAuthEnabled', 'signedCardsRequired', 'dynamicQrRequired', 'enrollment', 'pointsExpiry', 'spendRule', 'tiers', 'cardDesign'];
     const sanitizedUpdates = {};
 
     Object.keys(updates).forEach(key => {
@@ -128,13 +152,12 @@ const updateBusiness = async (req, res, next) => {
         sanitizedUpdates[key] = updates[key];
       }
     });
-    
-    // Explicitly handle cardDesign to ensure it merges or overwrites correctly as expected
-    // For Mongoose, setting nested objects usually works fine with $set
-    
+
+
+    // Nested settings are set field by field, so omitted siblings are kept
     const business = await Business.findByIdAndUpdate(
       businessId,
-      { $set: sanitizedUpdates },
+      { $set: toUpdatePaths(sanitizedUpdates, ['cardDesign', 'enrollment', 'pointsExpiry', 'spendRule', 'tiers']) },
       { new: true, runValidators: true }
     );
 
@@ -211,7 +234,7 @@ const deleteBusiness = async (req, res, next) => {
 const createBusinessUser = async (req, res, next) => {
   try {
     const { businessId } = req.params;
-    const { email, password, name } = req.body;
+    const { email, password, name, businessRole } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(businessId)) {
       throw new ApiError(400, 'Invalid business ID');
@@ -238,6 +261,7 @@ const createBusinessUser = async (req, res, next) => {
       passwordHash,
       name,
       role: 'business_user',
+      businessRole,
       businessId
     });
 
@@ -248,6 +272,7 @@ const createBusinessUser = async (req, res, next) => {
         email: user.email,
         name: user.name,
         role: user.role,
+        businessRole: user.businessRole,
         businessId: user.businessId
       }
     });
@@ -289,12 +314,14 @@ const createClient = async (req, res, next) => {
       metadata: metadata || {}
     });
 
-    // Generate QR code using business slug and client ID
-    const qrDataUrl = await generateQRDataUrl(business.slug, clientId);
+    // Generate QR code using business slug, client ID and signed card token
+    const cardToken = generateCardToken(client);
+    const qrDataUrl = await generateQRDataUrl(business.slug, clientId, { cardToken });
 
     res.status(201).json({
       success: true,
       client,
+      cardUrl: getClientDashboardUrl(business.slug, clientId, cardToken),
       qrDataUrl
     });
   } catch (error) {
@@ -385,6 +412,7 @@ const listTransactions = async (req, res, next) => {
         .populate('businessId', 'name')
         .populate('itemId', 'name type')
         .populate('performedBy', 'name email')
+        .populate('impersonatedBy', 'name email')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
@@ -445,17 +473,35 @@ const generateClients = async (req, res, next) => {
 
     const newClients = [];
     const createdClients = [];
+    const cards = [];
+
+    // Cards generated together share a batch ID, used to print them
+    const batchId = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
 
     for (let i = 1; i <= count; i++) {
       const nextNum = maxNum + i;
       const clientId = `client${nextNum}`;
+
+      // Each card gets its own scratch PIN, only the hash is stored
+      const { pin, pinHash } = await generateCardPin();
       
-      newClients.push({
+      // The ObjectId is assigned upfront so the signed card URL can be built
+      const newClient = {
+        _id: new mongoose.Types.ObjectId(),
         businessId,
         clientId,
         name: `Client ${nextNum}`,
         points: 0,
-        isActivated: false
+        isActivated: false,
+        batchId,
+        activationPin: pinHash
+      };
+      newClients.push(newClient);
+
+      cards.push({
+        clientId,
+        pin,
+        cardUrl: getClientDashboardUrl(business.slug, clientId, generateCardToken(newClient))
       });
     }
 
@@ -463,17 +509,205 @@ const generateClients = async (req, res, next) => {
     if (newClients.length > 0) {
       const result = await Client.insertMany(newClients);
       createdClients.push(...result);
-      
-      // Generate QRs for all new clients
-      // Note: Ideally this should be a background job if count is large
-      // For now we assume reasonable counts (< 100)
     }
 
     res.status(201).json({
       success: true,
       count: createdClients.length,
       message: `Successfully generated ${createdClients.length} clients`,
-      lastClientId: createdClients.length > 0 ? createdClients[createdClients.length - 1].clientId : null
+      batchId,
+      lastClientId: createdClients.length > 0 ? createdClients[createdClients.length - 1].clientId : null,
+      // PINs are not stored in clear text: print them now
+      cards
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a business and the cards to print (a generation batch or a range of client numbers)
+ * @param {string} businessId - Business ID
+ * @param {Object} selection - { batchId } or { from, to }
+ * @returns {Promise<Object>} { business, clients } with clients in card order
+ */
+const findCardsToPrint = async (businessId, { batchId, from, to }) => {
+  if (!mongoose.Types.ObjectId.isValid(businessId)) {
+    throw new ApiError(400, 'Invalid business ID');
+  }
+
+  const business = await Business.findById(businessId);
+  if (!business) {
+    throw new ApiError(404, 'Business not found');
+  }
+
+  if (from && to - from + 1 > MAX_PRINTED_CARDS) {
+    throw new ApiError(400, `Cannot print more than ${MAX_PRINTED_CARDS} cards at once`);
+  }
+
+  let clients;
+  if (batchId) {
+    clients = await Client.find({ businessId, batchId })
+      .sort({ _id: 1 })
+      .limit(MAX_PRINTED_CARDS + 1);
+  } else {
+    // client<n> IDs do not sort numerically, so the IDs of the range are listed
+    const clientIds = Array.from({ length: to - from + 1 }, (_, index) => `client${from + index}`);
+    const found = await Client.find({ businessId, clientId: { $in: clientIds } });
+    const byClientId = new Map(found.map((client) => [client.clientId, client]));
+    clients = clientIds.filter((clientId) => byClientId.has(clientId)).map((clientId) => byClientId.get(clientId));
+  }
+
+  if (clients.length === 0) {
+    throw new ApiError(404, 'No clients found to print');
+  }
+
+  if (clients.length > MAX_PRINTED_CARDS) {
+    throw new ApiError(400, `Cannot print more than ${MAX_PRINTED_CARDS} cards at once`);
+  }
+
+  return { business, clients };
+};
+
+/**
+ * Send a card sheet PDF as a download
+ */
+const sendCardSheets = (res, business, pdf, { batchId, from, to }) => {
+  const fileName = `${business.slug}-cards-${batchId || `${from}-${to}`}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+/**
+ * Print cards as an A4 PDF (a generation batch or a range of client numbers)
+ * GET /api/admin/businesses/:businessId/clients/print
+ */
+const printClients = async (req, res, next) => {
+  try {
+    const { business, clients } = await findCardsToPrint(req.params.businessId, req.query);
+
+    const pdf = await renderCardSheets(business, clients.map((client) => ({ client })));
+
+    sendCardSheets(res, business, pdf, req.query);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Print cards as an A4 PDF with a new activation PIN on the cards not activated yet
+ * Only hashes are stored, so printing a PIN means issuing a new one: the
+ * previous PIN of those cards stops working.
+ * POST /api/admin/businesses/:businessId/clients/print
+ */
+const printClientsWithPins = async (req, res, next) => {
+  try {
+    const { business, clients } = await findCardsToPrint(req.params.businessId, req.body);
+
+    const cards = [];
+    const pinUpdates = [];
+
+    for (const client of clients) {
+      const card = { client };
+
+      if (!client.isActivated) {
+        const { pin, pinHash } = await generateCardPin();
+        card.pin = pin;
+        pinUpdates.push({
+          updateOne: {
+            filter: { _id: client._id, isActivated: false },
+            update: { activationPin: pinHash, pinAttempts: 0 }
+          }
+        });
+      }
+
+      cards.push(card);
+    }
+
+    const pdf = await renderCardSheets(business, cards);
+
+    // Save the new PINs only once the sheet carrying them exists
+    if (pinUpdates.length > 0) {
+      await Client.bulkWrite(pinUpdates);
+    }
+
+    sendCardSheets(res, business, pdf, req.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Regenerate the activation PIN of a card (lost scratch card, too many attempts)
+ * POST /api/admin/businesses/:businessId/clients/:clientId/pin
+ */
+const regenerateClientPin = async (req, res, next) => {
+  try {
+    const { businessId, clientId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(businessId) || !mongoose.Types.ObjectId.isValid(clientId)) {
+      throw new ApiError(400, 'Invalid ID(s)');
+    }
+
+    const client = await Client.findOne({ _id: clientId, businessId });
+
+    if (!client) {
+      throw new ApiError(404, 'Client not found');
+    }
+
+    if (client.isActivated) {
+      throw new ApiError(400, 'Client is already activated');
+    }
+
+    const pin = await resetCardPin(client._id);
+
+    res.json({
+      success: true,
+      clientId: client.clientId,
+      pin
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rotate the signed token of a card (lost or stolen card)
+ * The previously printed URL and any customer login on the card stop working.
+ * POST /api/admin/businesses/:businessId/clients/:clientId/card-token
+ */
+const rotateClientCardToken = async (req, res, next) => {
+  try {
+    const { businessId, clientId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(businessId) || !mongoose.Types.ObjectId.isValid(clientId)) {
+      throw new ApiError(400, 'Invalid ID(s)');
+    }
+
+    const client = await Client.findOneAndUpdate(
+      { _id: clientId, businessId },
+      { $inc: { cardTokenVersion: 1 } },
+      { new: true }
+    ).populate('businessId', 'slug');
+
+    if (!client) {
+      throw new ApiError(404, 'Client not found');
+    }
+
+    const businessSlug = client.businessId.slug;
+    const cardToken = generateCardToken(client);
+
+    res.json({
+      success: true,
+      clientId: client.clientId,
+      cardTokenVersion: client.cardTokenVersion,
+      cardUrl: getClientDashboardUrl(businessSlug, client.clientId, cardToken),
+      qrDataUrl: await generateQRDataUrl(businessSlug, client.clientId, { cardToken })
     });
   } catch (error) {
     next(error);
@@ -513,7 +747,7 @@ const listBusinessUsers = async (req, res, next) => {
 const updateBusinessUser = async (req, res, next) => {
   try {
     const { businessId, userId } = req.params;
-    const { email, password, name } = req.body;
+    const { email, password, name, businessRole } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(businessId) || !mongoose.Types.ObjectId.isValid(userId)) {
       throw new ApiError(400, 'Invalid ID(s)');
@@ -522,6 +756,7 @@ const updateBusinessUser = async (req, res, next) => {
     const updateData = {};
     if (email) updateData.email = email;
     if (name) updateData.name = name;
+    if (businessRole) updateData.businessRole = businessRole;
     if (password) {
       updateData.passwordHash = await hashPassword(password);
     }
@@ -576,6 +811,262 @@ const deleteBusinessUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Find a business user, ensuring it belongs to the business
+ * @param {string} businessId - Business ObjectId
+ * @param {string} userId - User ObjectId
+ * @returns {Promise<Object>} User document
+ */
+const findBusinessUser = async (businessId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(businessId) || !mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ApiError(400, 'Invalid ID(s)');
+  }
+
+  const user = await User.findOne({ _id: userId, businessId, role: 'business_user' });
+
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  return user;
+};
+
+/**
+ * List active sessions of a business user
+ * GET /api/admin/businesses/:businessId/users/:userId/sessions
+ */
+const listBusinessUserSessions = async (req, res, next) => {
+  try {
+    const { businessId, userId } = req.params;
+
+    const user = await findBusinessUser(businessId, userId);
+    const sessions = await listUserSessions(user._id);
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke all sessions of a business user
+ * DELETE /api/admin/businesses/:businessId/users/:userId/sessions
+ */
+const revokeBusinessUserSessions = async (req, res, next) => {
+  try {
+    const { businessId, userId } = req.params;
+
+    const user = await findBusinessUser(businessId, userId);
+    const revokedCount = await revokeAllUserTokens(user._id);
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked successfully',
+      revokedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one session of a business user
+ * DELETE /api/admin/businesses/:businessId/users/:userId/sessions/:sessionId
+ */
+const revokeBusinessUserSession = async (req, res, next) => {
+  try {
+    const { businessId, userId, sessionId } = req.params;
+
+    const user = await findBusinessUser(businessId, userId);
+    const revoked = await revokeUserSession(user._id, sessionId);
+
+    if (!revoked) {
+      throw new ApiError(404, 'Session not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * View login attempt history of a user
+ * GET /api/admin/users/:userId/login-attempts
+ */
+const listLoginAttempts = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { outcome, page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ApiError(400, 'Invalid user ID');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    // Include attempts made before the email was linked to this user
+    const query = { $or: [{ userId: user._id }, { email: user.email }] };
+
+    if (outcome) {
+      query.outcome = outcome;
+    }
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      LoginAttempt.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      lock: {
+        isLocked: Boolean(user.lockUntil && user.lockUntil > new Date()),
+        lockUntil: user.lockUntil,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockoutCount: user.lockoutCount
+      },
+      attempts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Manually unlock a locked account
+ * POST /api/admin/users/:userId/unlock
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ApiError(400, 'Invalid user ID');
+    }
+
+    const user = await unlockAccount(userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a short-lived access token to act as a business user (support)
+ * No refresh token is issued; credential changes are blocked for the token.
+ * POST /api/admin/users/:userId/impersonate
+ */
+const impersonateUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ApiError(400, 'Invalid user ID');
+    }
+
+    const user = await User.findOne({ _id: userId, role: 'business_user' });
+
+    if (!user) {
+      throw new ApiError(404, 'Business user not found');
+    }
+
+    if (!user.isActive) {
+      throw new ApiError(400, 'Cannot impersonate a disabled account');
+    }
+
+    const expiresIn = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+    const accessToken = generateAccessToken(user, {
+      impersonatedBy: req.user._id.toString(),
+      expiresIn
+    });
+
+    logSecurityEvent('impersonation_started', {
+      adminId: req.user._id,
+      userId: user._id,
+      businessId: user.businessId,
+      ...getClientInfo(req)
+    });
+
+    res.json({
+      success: true,
+      accessToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        businessRole: user.businessRole,
+        businessId: user.businessId
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run the points expiry now (for deployments without the in-process scheduler)
+ * POST /api/admin/jobs/points-expiry
+ */
+const runPointsExpiryJob = async (req, res, next) => {
+  try {
+    const summary = await runPointsExpiry();
+
+    res.json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-evaluate client tiers now (for deployments without the in-process scheduler)
+ * POST /api/admin/jobs/tier-evaluation
+ */
+const runTierEvaluationJob = async (req, res, next) => {
+  try {
+    const summary = await runTierEvaluation();
+
+    res.json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export {
   createBusiness,
   listBusinesses,
@@ -586,8 +1077,20 @@ export {
   listBusinessUsers,
   updateBusinessUser,
   deleteBusinessUser,
+  listBusinessUserSessions,
+  revokeBusinessUserSessions,
+  revokeBusinessUserSession,
+  listLoginAttempts,
+  unlockUser,
+  impersonateUser,
   createClient,
   generateClients,
+  printClients,
+  printClientsWithPins,
+  regenerateClientPin,
+  rotateClientCardToken,
   listClients,
-  listTransactions
+  listTransactions,
+  runPointsExpiryJob,
+  runTierEvaluationJob
 };
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import { ApiKey } from '../models/index.js';
+import { generateApiKey, revokeApiKey } from '../services/apiKey.service.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+
+/**
+ * Create an API key for the business (the raw key is only returned here)
+ * POST /api/business/api-keys
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const businessId = req.user.businessId;
+
+    if (!businessId) {
+      throw new ApiError(403, 'No business associated with this account. Please log in as a business user.');
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { apiKey, key } = await generateApiKey({
+      businessId,
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key securely, it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List API keys of the business
+ * GET /api/business/api-keys
+ */
+const listApiKeys = async (req, res, next) => {
+  try {
+    const businessId = req.user.businessId;
+
+    const apiKeys = await ApiKey.find({ businessId })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/business/api-keys/:keyId
+ */
+const deleteApiKey = async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+    const businessId = req.user.businessId;
+
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      throw new ApiError(400, 'Invalid API key ID');
+    }
+
+    const apiKey = await revokeApiKey(businessId, keyId);
+
+    if (!apiKey) {
+      throw new ApiError(404, 'API key not found or already revoked');
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export { createApiKey, listApiKeys, deleteApiKey };
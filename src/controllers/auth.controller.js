@@ -3,83 +3,238 @@ import {
   hashPassword,
   comparePassword,
   generateAccessToken,
-  generateRefreshToken,
-  verifyRefreshToken,
-  revokeRefreshToken
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  listUserSessions,
+  revokeUserSession,
+  generatePasswordResetToken,
+  consumePasswordResetToken
 } from '../services/auth.service.js';
+import { sendMail } from '../services/mail.service.js';
+import {
+  isAdminTwoFactorRequired,
+  isTwoFactorSetupRequired,
+  createTwoFactorSecret,
+  activateTwoFactor,
+  verifyTwoFactorCode,
+  startTwoFactorChallenge,
+  claimTwoFactorChallengeAttempt,
+  clearTwoFactorChallenge,
+  replaceRecoveryCodes,
+  deactivateTwoFactor
+} from '../services/twoFactor.service.js';
+import {
+  recordLoginAttempt,
+  isAccountLocked,
+  registerFailedLogin,
+  resetFailedLogins
+} from '../services/loginSecurity.service.js';
+import { acceptStaffInvitation } from '../services/staff.service.js';
 import { ApiError } from '../middlewares/errorHandler.js';
+import { getClientInfo } from '../utils.js';
+
+/**
+ * Build the error returned while an account is locked
+ * @param {Date} lockUntil - Lock expiry
+ * @returns {ApiError} 423 error
+ */
+const accountLockedError = (lockUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 60000));
+  return new ApiError(423, `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute(s).`);
+};
+
+/**
+ * Error returned by the password step for an unknown email, a wrong password
+ * or a locked account alike, so it does not reveal which accounts exist
+ * @returns {ApiError} 401 error
+ */
+const invalidCredentialsError = () => {
+  return new ApiError(401, 'Invalid email or password. After too many failed attempts the account is locked for a while.');
+};
+
+/**
+ * Start a session for an authenticated user and build the login response
+ * @param {Object} req - Express request
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Login response body
+ */
+const buildLoginResponse = async (req, user) => {
+  const { sessionId, refreshToken } = await createSession(user, getClientInfo(req));
+  const accessToken = generateAccessToken(user, { sessionId });
+
+  return {
+    success: true,
+    accessToken,
+    refreshToken,
+    twoFactorSetupRequired: isTwoFactorSetupRequired(user),
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      businessRole: user.businessRole || null,
+      businessId: user.businessId || null
+    }
+  };
+};
 
 /**
  * Login user (admin or business_user)
+ * Returns a 2FA challenge instead of tokens when 2FA is enabled.
  * POST /api/auth/login
  */
 const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
+    const clientInfo = getClientInfo(req);
 
     // Find user by email
     const user = await User.findOne({ email }).select('+passwordHash');
     
     if (!user) {
-      throw new ApiError(401, 'Invalid email or password');
+      await recordLoginAttempt({ email, outcome: 'unknown_user', ...clientInfo });
+      throw invalidCredentialsError();
+    }
+
+    // Refuse any attempt while the account is locked
+    if (isAccountLocked(user)) {
+      await recordLoginAttempt({ email, userId: user._id, outcome: 'locked', ...clientInfo });
+      throw invalidCredentialsError();
     }
 
     // Verify password
     const isMatch = await comparePassword(password, user.passwordHash);
     
     if (!isMatch) {
-      throw new ApiError(401, 'Invalid email or password');
+      await recordLoginAttempt({ email, userId: user._id, outcome: 'invalid_password', ...clientInfo });
+      await registerFailedLogin(user);
+      throw invalidCredentialsError();
+    }
+
+    if (!user.isActive) {
+      await recordLoginAttempt({ email, userId: user._id, outcome: 'disabled', ...clientInfo });
+      throw new ApiError(403, 'This account has been disabled');
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = await generateRefreshToken(user);
+    // Second step required: the client must call /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+      await recordLoginAttempt({ email, userId: user._id, outcome: 'two_factor_required', ...clientInfo });
+      const challengeId = await startTwoFactorChallenge(user._id);
 
-    res.json({
-      success: true,
-      accessToken,
-      refreshToken,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        businessId: user.businessId || null
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user, challengeId)
+      });
+    }
+
+    await resetFailedLogins(user);
+    await recordLoginAttempt({ email, userId: user._id, outcome: 'success', ...clientInfo });
+
+    // Start a new session and generate tokens
+    res.json(await buildLoginResponse(req, user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete a 2FA login with a TOTP or recovery code
+ * POST /api/auth/2fa/verify
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const clientInfo = getClientInfo(req);
+
+    const challenge = verifyTwoFactorChallengeToken(challengeToken);
+
+    if (!challenge) {
+      throw new ApiError(401, 'Invalid or expired challenge. Please log in again.');
+    }
+
+    const { userId, challengeId } = challenge;
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ApiError(401, 'User not found');
+    }
+
+    if (!user.isActive) {
+      throw new ApiError(403, 'This account has been disabled');
+    }
+
+    if (isAccountLocked(user)) {
+      await recordLoginAttempt({ email: user.email, userId: user._id, outcome: 'locked', ...clientInfo });
+      throw accountLockedError(user.lockUntil);
+    }
+
+    // Each challenge allows a few codes, whatever IPs they come from
+    if (!(await claimTwoFactorChallengeAttempt(userId, challengeId))) {
+      throw new ApiError(401, 'Invalid or expired challenge. Please log in again.');
+    }
+
+    const method = await verifyTwoFactorCode(userId, code);
+
+    if (!method) {
+      await recordLoginAttempt({ email: user.email, userId: user._id, outcome: 'invalid_two_factor', ...clientInfo });
+      const lockUntil = await registerFailedLogin(user);
+
+      if (lockUntil) {
+        throw accountLockedError(lockUntil);
       }
-    });
+
+      throw new ApiError(401, 'Invalid verification code');
+    }
+
+    await clearTwoFactorChallenge(userId);
+    await resetFailedLogins(user);
+    await recordLoginAttempt({ email: user.email, userId: user._id, outcome: 'success', ...clientInfo });
+
+    res.json(await buildLoginResponse(req, user));
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Refresh access token
+ * Refresh access token (rotates the refresh token)
  * POST /api/auth/refresh
  */
 const refresh = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
 
-    // Verify refresh token
-    const userId = await verifyRefreshToken(refreshToken);
+    // Rotate refresh token (the presented token is revoked)
+    const rotated = await rotateRefreshToken(refreshToken, getClientInfo(req));
     
-    if (!userId) {
+    if (!rotated) {
       throw new ApiError(401, 'Invalid or expired refresh token');
     }
 
     // Get user
-    const user = await User.findById(userId);
+    const user = await User.findById(rotated.userId);
     
     if (!user) {
       throw new ApiError(401, 'User not found');
     }
 
+    if (!user.isActive) {
+      throw new ApiError(403, 'This account has been disabled');
+    }
+
     // Generate new access token
-    const accessToken = generateAccessToken(user);
+    const accessToken = generateAccessToken(user, { sessionId: rotated.sessionId });
 
     res.json({
       success: true,
-      accessToken
+      accessToken,
+      refreshToken: rotated.refreshToken
     });
   } catch (error) {
     next(error);
@@ -106,4 +261,392 @@ const logout = async (req, res, next) => {
   }
 };
 
-export { login, refresh, logout };
+/**
+ * Request a password reset link
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Only send mail if the account exists, but always answer the same way
+    // so the endpoint cannot be used to discover registered emails
+    if (user) {
+      const token = await generatePasswordResetToken(user);
+      const resetBaseUrl = process.env.PASSWORD_RESET_URL || 'https://fidelya-roan.vercel.app/reset-password';
+      const resetUrl = `${resetBaseUrl}?token=${token}`;
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hello${user.name ? ` ${user.name}` : ''},`,
+          '',
+          'We received a request to reset your password. Use the link below to choose a new one:',
+          resetUrl,
+          '',
+          'If you did not request this, you can safely ignore this email.'
+        ].join('\n')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset password using a reset token
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    // Consume the token (single use)
+    const userId = await consumePasswordResetToken(token);
+
+    if (!userId) {
+      throw new ApiError(400, 'Invalid or expired reset token');
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ApiError(400, 'Invalid or expired reset token');
+    }
+
+    user.passwordHash = await hashPassword(password);
+    await user.save();
+
+    // Log out every existing session
+    await revokeAllUserTokens(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept a staff invitation and set a password
+ * POST /api/auth/invitations/accept
+ */
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const user = await acceptStaffInvitation(token, { name, password });
+
+    if (!user) {
+      throw new ApiError(400, 'Invalid or expired invitation');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. You can now log in.',
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        businessRole: user.businessRole,
+        businessId: user.businessId
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the logged-in user's profile
+ * GET /api/auth/me
+ */
+const getMe = async (req, res, next) => {
+  try {
+    const user = req.user; // Set by authMiddleware
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        businessRole: user.businessRole || null,
+        businessId: user.businessId || null,
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the logged-in user's profile
+ * PUT /api/auth/me
+ */
+const updateMe = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { name },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        businessRole: user.businessRole || null,
+        businessId: user.businessId || null,
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the logged-in user's password
+ * POST /api/auth/change-password
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword, refreshToken } = req.body;
+
+    const user = await User.findById(req.user._id).select('+passwordHash');
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    // Verify current password
+    const isMatch = await comparePassword(currentPassword, user.passwordHash);
+
+    if (!isMatch) {
+      throw new ApiError(401, 'Current password is incorrect');
+    }
+
+    user.passwordHash = await hashPassword(newPassword);
+    await user.save();
+
+    // Log out every other session, keeping the caller's current one
+    await revokeAllUserTokens(user._id, {
+      exceptToken: refreshToken,
+      exceptSessionId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the logged-in user's active sessions
+ * GET /api/auth/sessions
+ */
+const listSessions = async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the logged-in user's sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeUserSession(req.user._id, sessionId);
+
+    if (!revoked) {
+      throw new ApiError(404, 'Session not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out of every session (including the current one)
+ * POST /api/auth/logout-all
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeAllUserTokens(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      revokedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start 2FA enrollment (returns secret and QR code for an authenticator app)
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const setup = await createTwoFactorSecret(req.user);
+
+    res.json({
+      success: true,
+      ...setup
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * POST /api/auth/2fa/enable
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const recoveryCodes = await activateTwoFactor(req.user._id, code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes in a safe place.',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable 2FA (requires password and a current code)
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled');
+    }
+
+    if (req.user.role === 'admin' && isAdminTwoFactorRequired()) {
+      throw new ApiError(403, 'Two-factor authentication is mandatory for admin accounts');
+    }
+
+    const user = await User.findById(req.user._id).select('+passwordHash');
+    const isMatch = await comparePassword(password, user.passwordHash);
+
+    if (!isMatch) {
+      throw new ApiError(401, 'Password is incorrect');
+    }
+
+    const method = await verifyTwoFactorCode(user._id, code);
+
+    if (!method) {
+      throw new ApiError(401, 'Invalid verification code');
+    }
+
+    await deactivateTwoFactor(user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Regenerate 2FA recovery codes (requires a current code)
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled');
+    }
+
+    const method = await verifyTwoFactorCode(req.user._id, code);
+
+    if (!method) {
+      throw new ApiError(401, 'Invalid verification code');
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user._id);
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  acceptInvitation,
+  getMe,
+  updateMe,
+  changePassword,
+  listSessions,
+  revokeSession,
+  logoutAll,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -1,9 +1,13 @@
 import mongoose from 'mongoose';
 import { Item, Client, Transaction, Business } from '../models/index.js';
-import { processPointsOperation, processManualAdjustment } from '../services/transaction.service.js';
-import { generateQRDataUrl } from '../services/qrcode.service.js';
+import { processPointsOperation, processSpendOperation, processManualAdjustment, processReversal } from '../services/transaction.service.js';
+import { generateQRDataUrl, getClientDashboardUrl } from '../services/qrcode.service.js';
+import { generateCardToken } from '../services/cardToken.service.js';
+import { parseDynamicQrPayload, verifyDynamicQrCode } from '../services/dynamicQr.service.js';
+import { resolveScannedClient } from '../services/scan.service.js';
 import { ApiError } from '../middlewares/errorHandler.js';
-import { escapeRegExp } from '../utils.js';
+import { hasPermission } from '../config/permissions.js';
+import { escapeRegExp, toUpdatePaths } from '../utils.js';
 
 /**
  * Create an item (earn/redeem) for the business
@@ -124,24 +128,182 @@ const deleteItem = async (req, res, next) => {
   }
 };
 
+/**
+ * Rotating QR code a points operation must consume, when the business only accepts those
+ * Without it, anyone knowing a client ID could credit that card. The code is
+ * checked and used up inside the operation's transaction.
+ * @param {Object} client - Client document
+ * @param {string} [code] - Scanned payload (fidelya:<clientId>:<code>) or its 6 digits
+ * @returns {Promise<string|null>} 6-digit code to consume, or null when none is required
+ */
+const getRequiredDynamicCode = async (client, code) => {
+  const business = await Business.findById(client.businessId).select('dynamicQrRequired').lean();
+
+  if (!business?.dynamicQrRequired) {
+    return null;
+  }
+
+  if (!code) {
+    throw new ApiError(403, 'This business only applies points from the rotating card QR. Send the scanned code.');
+  }
+
+  const scanned = parseDynamicQrPayload(code);
+
+  if (scanned && scanned.clientId !== client.clientId) {
+    throw new ApiError(400, 'This code belongs to another card');
+  }
+
+  return scanned ? scanned.code : code;
+};
+
 /**
  * Add or deduct points using an item
  * POST /api/business/clients/:clientId/points
  */
 const addPoints = async (req, res, next) => {
   try {
-    const { itemId, note } = req.body;
+    const { itemId, code, note } = req.body;
     const client = req.client; // Set by clientOwnershipMiddleware
 
+    const dynamicCode = await getRequiredDynamicCode(client, code);
+
     const result = await processPointsOperation({
       clientObjectId: client._id,
       itemId,
       performedBy: req.user._id,
-      note
+      apiKeyId: req.apiKey?._id,
+      impersonatedBy: req.user.impersonatedBy,
+      note,
+      dynamicCode,
+      idempotency: req.idempotency
+    });
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.json({
+      success: true,
+      beforePoints: result.beforePoints,
+      afterPoints: result.afterPoints,
+      transaction: result.transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Earn points on a purchase amount using the business spend rule
+ * POST /api/business/clients/:clientId/spend
+ */
+const addSpend = async (req, res, next) => {
+  try {
+    const { amount, code, note } = req.body;
+    const client = req.client; // Set by clientOwnershipMiddleware
+
+    const dynamicCode = await getRequiredDynamicCode(client, code);
+
+    const result = await processSpendOperation({
+      clientObjectId: client._id,
+      amount,
+      performedBy: req.user._id,
+      apiKeyId: req.apiKey?._id,
+      impersonatedBy: req.user.impersonatedBy,
+      note,
+      dynamicCode,
+      idempotency: req.idempotency
+    });
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.json({
+      success: true,
+      beforePoints: result.beforePoints,
+      afterPoints: result.afterPoints,
+      transaction: result.transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Client fields shown to staff after a scan
+ * @param {Object} client - Client document
+ * @returns {Object} Client summary
+ */
+const toScanSummary = (client) => ({
+  _id: client._id,
+  clientId: client.clientId,
+  name: client.name,
+  phone: client.phone,
+  email: client.email,
+  points: client.points,
+  tier: client.tier
+});
+
+/**
+ * Resolve a scanned QR or typed code to a client, and optionally apply an item
+ * POST /api/business/scan
+ */
+const scan = async (req, res, next) => {
+  try {
+    const { code, itemId, note } = req.body;
+
+    const business = await Business.findById(req.user.businessId);
+    if (!business) {
+      throw new ApiError(404, 'Business not found');
+    }
+
+    const { client, scanned } = await resolveScannedClient(code, business);
+
+    if (!client.isActivated) {
+      throw new ApiError(400, 'This card has not been activated yet');
+    }
+
+    if (scanned.type === 'dynamic') {
+      // Codes rotate every 30 seconds and are accepted once, so a shared screenshot is useless.
+      // A lookup only checks the code; applying an item consumes it in the points transaction.
+      if (!itemId && !verifyDynamicQrCode(client, scanned.code)) {
+        throw new ApiError(400, 'Invalid or expired code');
+      }
+    } else if (itemId && business.dynamicQrRequired) {
+      throw new ApiError(400, 'This business only applies points from the rotating card QR');
+    }
+
+    if (!itemId) {
+      // Earn items always apply, redeem items only when the client has enough points
+      const items = await Item.find({ businessId: business._id })
+        .select('name description points type')
+        .sort({ type: 1, name: 1 })
+        .lean();
+
+      return res.json({
+        success: true,
+        client: toScanSummary(client),
+        items: {
+          earn: items.filter((item) => item.type === 'earn'),
+          redeem: items.filter((item) => item.type === 'redeem' && item.points <= client.points)
+        }
+      });
+    }
+
+    const result = await processPointsOperation({
+      clientObjectId: client._id,
+      itemId,
+      performedBy: req.user._id,
+      apiKeyId: req.apiKey?._id,
+      impersonatedBy: req.user.impersonatedBy,
+      note,
+      dynamicCode: scanned.type === 'dynamic' ? scanned.code : undefined
     });
 
     res.json({
       success: true,
+      client: { ...toScanSummary(client), points: result.afterPoints },
       beforePoints: result.beforePoints,
       afterPoints: result.afterPoints,
       transaction: result.transaction
@@ -164,9 +326,16 @@ const manualPointsAdjust = async (req, res, next) => {
       clientObjectId: client._id,
       pointsChange,
       performedBy: req.user._id,
-      note
+      apiKeyId: req.apiKey?._id,
+      impersonatedBy: req.user.impersonatedBy,
+      note,
+      idempotency: req.idempotency
     });
 
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
     res.json({
       success: true,
       beforePoints: result.beforePoints,
@@ -193,13 +362,16 @@ const getClient = async (req, res, next) => {
       .limit(20)
       .lean();
 
-    // Generate QR data URL
-    const qrDataUrl = await generateQRDataUrl(client.clientId);
+    // Generate QR data URL (signed card URL)
+    const business = await Business.findById(client.businessId).select('slug').lean();
+    const cardToken = generateCardToken(client);
+    const qrDataUrl = await generateQRDataUrl(business.slug, client.clientId, { cardToken });
 
     res.json({
       success: true,
       client,
       transactions,
+      cardUrl: getClientDashboardUrl(business.slug, client.clientId, cardToken),
       qrDataUrl
     });
   } catch (error) {
@@ -239,6 +411,7 @@ const listTransactions = async (req, res, next) => {
         .populate('clientId', 'clientId name')
         .populate('itemId', 'name type points')
         .populate('performedBy', 'name email')
+        .populate('impersonatedBy', 'name email')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
@@ -261,6 +434,40 @@ const listTransactions = async (req, res, next) => {
   }
 };
 
+/**
+ * Reverse a transaction (mis-scan, wrong item, ...)
+ * Staff can reverse recent transactions, managers any of them.
+ * POST /api/business/transactions/:transactionId/reverse
+ */
+const reverseTransaction = async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+    const { note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+      throw new ApiError(400, 'Invalid transaction ID');
+    }
+
+    const result = await processReversal({
+      transactionId,
+      businessId: req.user.businessId,
+      ignoreWindow: hasPermission(req.user, 'transactions:reverse_any'),
+      performedBy: req.user._id,
+      impersonatedBy: req.user.impersonatedBy,
+      note
+    });
+
+    res.json({
+      success: true,
+      beforePoints: result.beforePoints,
+      afterPoints: result.afterPoints,
+      transaction: result.transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Search clients for the business
  * GET /api/business/clients/search
@@ -318,7 +525,7 @@ const updateProfile = async (req, res, next) => {
     const updates = req.body;
 
     // Allowed fields to update
-    const allowedUpdates = ['name', 'city', 'logoUrl', 'cardDesign'];
+    const allowedUpdates = ['name', 'city', 'logoUrl', 'cardDesign', 'clientAuthEnabled', 'signedCardsRequired', 'dynamicQrRequired', 'enrollment', 'pointsExpiry', 'spendRule', 'tiers', 'reversalWindowMinutes'];
     const sanitizedUpdates = {};
 
     Object.keys(updates).forEach(key => {
@@ -327,15 +534,10 @@ const updateProfile = async (req, res, next) => {
       }
     });
 
-    // Check if cardDesign is present and is an object
-    if (updates.cardDesign && typeof updates.cardDesign === 'object') {
-       sanitizedUpdates.cardDesign = { ...updates.cardDesign };
-    }
-
-
+    // Nested settings are merged field by field, not replaced
     const business = await Business.findOneAndUpdate(
       { _id: businessId },
-      { $set: sanitizedUpdates },
+      { $set: toUpdatePaths(sanitizedUpdates, ['cardDesign', 'enrollment', 'pointsExpiry', 'spendRule', 'tiers']) },
       { new: true, runValidators: true }
     );
 
@@ -358,9 +560,12 @@ export {
   updateItem,
   deleteItem,
   addPoints,
+  addSpend,
+  scan,
   manualPointsAdjust,
   getClient,
   listTransactions,
+  reverseTransaction,
   searchClients,
   updateProfile
 };
@@ -1,10 +1,97 @@
 import { Client, Business, Item, Transaction } from '../models/index.js';
-import { generateQRDataUrl } from '../services/qrcode.service.js';
+import { generateQRDataUrl, generateQRDataUrlForText, getClientDashboardUrl } from '../services/qrcode.service.js';
+import { generateClientId } from '../services/clientId.service.js';
+import { processEnrollment } from '../services/transaction.service.js';
+import { getUpcomingExpiry } from '../services/pointsLot.service.js';
+import { getTierProgress } from '../services/tier.service.js';
+import { verifyCardPin } from '../services/cardPin.service.js';
+import { generateCardToken, verifyCardToken, isCardTokenRequired } from '../services/cardToken.service.js';
+import { generateDynamicQrPayload } from '../services/dynamicQr.service.js';
+import { generateBarcodeDataUrl } from '../services/barcode.service.js';
+import { generateApplePass, generateGooglePass } from '../services/wallet.service.js';
+import { requestClientOtp, verifyClientOtp, generateClientToken } from '../services/clientAuth.service.js';
 import { ApiError } from '../middlewares/errorHandler.js';
 
+/**
+ * Whether the request carries a client token for this card
+ * @param {Object} req - Express request (req.clientAuth set by optionalClientAuthMiddleware)
+ * @param {Object} client - Client document
+ * @returns {boolean} True for the logged-in card owner
+ */
+const isCardOwner = (req, client) => {
+  return req.clientAuth?.clientId === client._id.toString()
+    && req.clientAuth.cardVersion === (client.cardTokenVersion || 0);
+};
+
+/**
+ * Ensure the visitor opened the card through its signed URL (`?t=`)
+ * Unknown and unsigned cards answer the same 404 so client IDs cannot be enumerated.
+ * @param {Object} req - Express request
+ * @param {Object} business - Business document
+ * @param {Object} client - Client document
+ */
+const assertCardAccess = (req, business, client) => {
+  if (isCardOwner(req, client) || !isCardTokenRequired(business, client)) {
+    return;
+  }
+
+  if (!verifyCardToken(client, req.query.t)) {
+    throw new ApiError(404, 'Client not found');
+  }
+};
+
+/**
+ * Card token to hand back to the visitor in a card URL
+ * Only visitors who proved access (signed URL or customer login) get one, so
+ * grace mode cannot be used to collect signed URLs for every card.
+ * @param {Object} req - Express request
+ * @param {Object} client - Client document
+ * @returns {string|undefined} Card token, or undefined for other visitors
+ */
+const getVisitorCardToken = (req, client) => {
+  if (isCardOwner(req, client) || verifyCardToken(client, req.query.t)) {
+    return generateCardToken(client);
+  }
+
+  return undefined;
+};
+
+/**
+ * Find a client by business slug and readable client ID, checking card access
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { business, client } documents
+ */
+const findBusinessClient = async (req) => {
+  const { businessSlug, clientId } = req.params;
+
+  const business = await Business.findOne({ slug: businessSlug });
+  if (!business) {
+    throw new ApiError(404, 'Business not found');
+  }
+
+  const client = await Client.findOne({ businessId: business._id, clientId });
+  if (!client) {
+    throw new ApiError(404, 'Client not found');
+  }
+
+  assertCardAccess(req, business, client);
+
+  return { business, client };
+};
+
+/**
+ * Normalize a hex color from the query string (the # is optional there)
+ * @param {string} [color] - Hex color with or without #
+ * @returns {string|undefined} Color with a leading #
+ */
+const toHexColor = (color) => {
+  return color && `#${color.replace(/^#/, '')}`;
+};
+
 /**
  * Get client dashboard (public read-only view)
- * GET /api/client/:clientId
+ * When the business requires customer login, anonymous visitors only see the points.
+ * GET /api/client/:businessSlug/:clientId
  */
 const getDashboard = async (req, res, next) => {
   try {
@@ -12,7 +99,7 @@ const getDashboard = async (req, res, next) => {
 
     // 1. Find business by slug
     const business = await Business.findOne({ slug: businessSlug })
-      .select('name category city logoUrl cardDesign slug')
+      .select('name category city logoUrl cardDesign slug clientAuthEnabled signedCardsRequired pointsExpiry tiers')
       .lean();
 
     if (!business) {
@@ -31,6 +118,8 @@ const getDashboard = async (req, res, next) => {
       throw new ApiError(404, 'Client not found');
     }
 
+    assertCardAccess(req, business, client);
+
     // Get available rewards (redeem items visible to client)
     const availableRewards = await Item.find({
       businessId: client.businessId,
@@ -41,10 +130,34 @@ const getDashboard = async (req, res, next) => {
       .sort({ points: 1 })
       .lean();
 
+    const isOwner = isCardOwner(req, client);
+
+    // Next points to expire, shown next to the balance
+    const upcomingExpiry = await getUpcomingExpiry(client._id);
+
+    // Tier held and points still needed for the next one
+    const tier = await getTierProgress(client, business);
+
+    if (business.clientAuthEnabled && !isOwner) {
+      return res.json({
+        success: true,
+        clientAuthRequired: true,
+        client: {
+          clientId: client.clientId,
+          points: client.points,
+          upcomingExpiry,
+          tier,
+          isActivated: client.isActivated
+        },
+        business,
+        availableRewards
+      });
+    }
+
     // Get recent transactions (last 10)
     const transactions = await Transaction.find({ clientId: client._id })
       .populate('itemId', 'name type')
-      .select('points beforePoints afterPoints note createdAt')
+      .select('type points beforePoints afterPoints note createdAt')
       .sort({ createdAt: -1 })
       .limit(10)
       .lean();
@@ -55,7 +168,10 @@ const getDashboard = async (req, res, next) => {
         clientId: client.clientId,
         name: client.name,
         points: client.points,
-        isActivated: client.isActivated
+        upcomingExpiry,
+        tier,
+        isActivated: client.isActivated,
+        ...(isOwner && { phone: client.phone, email: client.email })
       },
       business,
       availableRewards,
@@ -67,17 +183,14 @@ const getDashboard = async (req, res, next) => {
 };
 
 /**
- * Activate client card
+ * Activate client card with the PIN printed on it
+ * Cards generated before PINs existed fall back to the business activation code.
  * POST /api/client/:businessSlug/:clientId/activate
  */
 const activateClient = async (req, res, next) => {
   try {
     const { businessSlug, clientId } = req.params;
-    const { name, activationCode } = req.body;
-
-    if (!name || !activationCode) {
-      throw new ApiError(400, 'Name and activation code are required');
-    }
+    const { name, pin, activationCode } = req.body;
 
     // 1. Find business
     const business = await Business.findOne({ slug: businessSlug });
@@ -85,28 +198,44 @@ const activateClient = async (req, res, next) => {
       throw new ApiError(404, 'Business not found');
     }
 
-    // 2. Verify activation code
-    if (business.activationCode && business.activationCode !== activationCode) {
-      throw new ApiError(403, 'Invalid activation code');
-    }
-
-    // 3. Find client
+    // 2. Find client
     const client = await Client.findOne({ 
       businessId: business._id, 
       clientId: clientId 
-    });
+    }).select('+activationPin');
 
     if (!client) {
       throw new ApiError(404, 'Client not found');
     }
 
+    assertCardAccess(req, business, client);
+
     if (client.isActivated) {
       throw new ApiError(400, 'Client is already activated');
     }
 
+    // 3. Verify the card PIN (or the legacy shared code)
+    if (client.activationPin) {
+      const pinStatus = await verifyCardPin(client, pin || activationCode);
+
+      if (pinStatus === 'locked') {
+        throw new ApiError(423, 'Too many invalid PIN attempts. Please ask the business for a new PIN.');
+      }
+
+      if (pinStatus === 'invalid') {
+        throw new ApiError(403, 'Invalid PIN');
+      }
+    } else if (!business.activationCode) {
+      throw new ApiError(403, 'This card has no PIN. Please ask the business to activate it.');
+    } else if (business.activationCode !== activationCode) {
+      throw new ApiError(403, 'Invalid activation code');
+    }
+
     // 4. Update client
     client.name = name;
     client.isActivated = true;
+    client.activationPin = undefined;
+    client.pinAttempts = 0;
     await client.save();
 
     res.json({
@@ -126,11 +255,13 @@ const activateClient = async (req, res, next) => {
 
 /**
  * Get QR code for client
- * GET /api/client/:clientId/qr
+ * In dynamic mode the QR holds a code that changes every 30 seconds.
+ * GET /api/client/:businessSlug/:clientId/qr
  */
 const getQR = async (req, res, next) => {
   try {
     const { businessSlug, clientId } = req.params;
+    const { mode, format, size, dark, light, ecc, logo } = req.query;
 
     // Find business
     const business = await Business.findOne({ slug: businessSlug });
@@ -140,12 +271,45 @@ const getQR = async (req, res, next) => {
     const client = await Client.findOne({ businessId: business._id, clientId });
     if (!client) throw new ApiError(404, 'Client not found');
 
-    // Generate QR code using slug and readable clientId
-    const qrDataUrl = await generateQRDataUrl(business.slug, client.clientId);
+    assertCardAccess(req, business, client);
+
+    const qrOptions = {
+      format,
+      width: size,
+      darkColor: toHexColor(dark),
+      lightColor: toHexColor(light),
+      errorCorrectionLevel: ecc,
+      logo: logo && {
+        url: business.logoUrl,
+        name: business.name,
+        backgroundColor: business.cardDesign?.primaryColor,
+        textColor: business.cardDesign?.textColor
+      }
+    };
+
+    if (mode === 'dynamic' || business.dynamicQrRequired) {
+      const { payload, expiresAt } = generateDynamicQrPayload(client);
+
+      return res.json({
+        success: true,
+        clientId: client.clientId,
+        mode: 'dynamic',
+        qrDataUrl: await generateQRDataUrlForText(payload, qrOptions),
+        expiresAt
+      });
+    }
+
+    // Generate QR code using slug, readable clientId and, for visitors who
+    // proved access, the signed card token
+    const qrDataUrl = await generateQRDataUrl(business.slug, client.clientId, {
+      ...qrOptions,
+      cardToken: getVisitorCardToken(req, client)
+    });
 
     res.json({
       success: true,
       clientId: client.clientId,
+      mode: 'static',
       qrDataUrl
     });
   } catch (error) {
@@ -153,4 +317,271 @@ const getQR = async (req, res, next) => {
   }
 };
 
-export { getDashboard, activateClient, getQR };
+/**
+ * Get Code 128 barcode for client (for POS scanners without QR support)
+ * GET /api/client/:businessSlug/:clientId/barcode
+ */
+const getBarcode = async (req, res, next) => {
+  try {
+    const { mode, format, height } = req.query;
+
+    const { business, client } = await findBusinessClient(req);
+
+    // Static barcodes hold the client ID, which the staff scan endpoint resolves
+    if (mode === 'dynamic' || business.dynamicQrRequired) {
+      const { payload, expiresAt } = generateDynamicQrPayload(client);
+
+      return res.json({
+        success: true,
+        clientId: client.clientId,
+        mode: 'dynamic',
+        barcodeDataUrl: await generateBarcodeDataUrl(payload, { format, height }),
+        expiresAt
+      });
+    }
+
+    res.json({
+      success: true,
+      clientId: client.clientId,
+      mode: 'static',
+      barcodeDataUrl: await generateBarcodeDataUrl(client.clientId, { format, height })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find the card a wallet pass is requested for
+ * Passes show the name and balance, so they follow the dashboard's privacy rules.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { business, client, cardUrl }
+ */
+const findWalletCard = async (req) => {
+  const { business, client } = await findBusinessClient(req);
+
+  if (!client.isActivated) {
+    throw new ApiError(400, 'Please activate the card first');
+  }
+
+  if (business.clientAuthEnabled && !isCardOwner(req, client)) {
+    throw new ApiError(401, 'Please log in with the code sent to your phone or email');
+  }
+
+  return {
+    business,
+    client,
+    cardUrl: getClientDashboardUrl(business.slug, client.clientId, getVisitorCardToken(req, client))
+  };
+};
+
+/**
+ * Download the card as an Apple Wallet pass
+ * GET /api/client/:businessSlug/:clientId/wallet/apple
+ */
+const getApplePass = async (req, res, next) => {
+  try {
+    const card = await findWalletCard(req);
+
+    const pass = await generateApplePass(card);
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.pkpass',
+      'Content-Disposition': `attachment; filename="${card.client.clientId}.pkpass"`,
+      'Content-Length': pass.length
+    });
+    res.send(pass);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a "Save to Google Wallet" link for the card
+ * GET /api/client/:businessSlug/:clientId/wallet/google
+ */
+const getGooglePass = async (req, res, next) => {
+  try {
+    const card = await findWalletCard(req);
+
+    const { saveUrl, loyaltyObject } = generateGooglePass(card);
+
+    res.json({
+      success: true,
+      saveUrl,
+      loyaltyObject
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a one-time login code to the card owner
+ * POST /api/client/:businessSlug/:clientId/otp
+ */
+const requestLoginCode = async (req, res, next) => {
+  try {
+    const { channel } = req.body;
+
+    const { business, client } = await findBusinessClient(req);
+
+    if (!business.clientAuthEnabled) {
+      throw new ApiError(400, 'Customer login is not enabled for this business');
+    }
+
+    const sent = await requestClientOtp(client, business, channel);
+
+    res.json({
+      success: true,
+      message: 'A login code has been sent',
+      ...sent
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a one-time code for a client token
+ * POST /api/client/:businessSlug/:clientId/otp/verify
+ */
+const verifyLoginCode = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const { business, client } = await findBusinessClient(req);
+
+    if (!business.clientAuthEnabled) {
+      throw new ApiError(400, 'Customer login is not enabled for this business');
+    }
+
+    const isValid = await verifyClientOtp(client, code);
+
+    if (!isValid) {
+      throw new ApiError(401, 'Invalid or expired code');
+    }
+
+    res.json({
+      success: true,
+      token: generateClientToken(client),
+      expiresIn: process.env.CLIENT_TOKEN_EXPIRES_IN || '7d'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Full transaction history of the card (card owner only)
+ * GET /api/client/:businessSlug/:clientId/transactions
+ */
+const getHistory = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const { client } = await findBusinessClient(req);
+
+    if (!isCardOwner(req, client)) {
+      throw new ApiError(401, 'Please log in with the code sent to your phone or email');
+    }
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find({ clientId: client._id })
+        .populate('itemId', 'name type')
+        .select('type points beforePoints afterPoints note createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Transaction.countDocuments({ clientId: client._id })
+    ]);
+
+    res.json({
+      success: true,
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Self-enroll a new customer from the business's public page
+ * POST /api/client/:businessSlug/enroll
+ */
+const enrollClient = async (req, res, next) => {
+  try {
+    const { businessSlug } = req.params;
+    const { name, phone, email } = req.body;
+
+    const business = await Business.findOne({ slug: businessSlug });
+    if (!business) {
+      throw new ApiError(404, 'Business not found');
+    }
+
+    if (!business.enrollment?.enabled) {
+      throw new ApiError(403, 'Self-enrollment is not enabled for this business');
+    }
+
+    // One card per phone number / email in a business
+    const contactQuery = [];
+    if (phone) contactQuery.push({ phone });
+    if (email) contactQuery.push({ email });
+
+    const existing = await Client.findOne({ businessId: business._id, $or: contactQuery });
+    if (existing) {
+      throw new ApiError(409, 'A card already exists for this phone number or email');
+    }
+
+    const clientId = await generateClientId(business._id);
+
+    // The card and its welcome bonus are created together
+    const { client } = await processEnrollment({
+      business,
+      clientData: {
+        clientId,
+        name,
+        phone,
+        email,
+        metadata: { source: 'self_enrollment' }
+      }
+    });
+
+    const cardToken = generateCardToken(client);
+    const qrDataUrl = await generateQRDataUrl(business.slug, clientId, { cardToken });
+
+    res.status(201).json({
+      success: true,
+      client: {
+        clientId: client.clientId,
+        name: client.name,
+        points: client.points
+      },
+      cardUrl: getClientDashboardUrl(business.slug, clientId, cardToken),
+      qrDataUrl
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  getDashboard,
+  activateClient,
+  getQR,
+  getBarcode,
+  getApplePass,
+  getGooglePass,
+  requestLoginCode,
+  verifyLoginCode,
+  getHistory,
+  enrollClient
+};
@@ -2,3 +2,5 @@ export * from './auth.controller.js';
 export * from './admin.controller.js';
 export * from './business.controller.js';
 export * from './client.controller.js';
+export * from './apiKey.controller.js';
+export * from './staff.controller.js';
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import { User, Business, StaffInvitation } from '../models/index.js';
+import { createStaffInvitation } from '../services/staff.service.js';
+import { revokeAllUserTokens } from '../services/auth.service.js';
+import { sendMail } from '../services/mail.service.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+
+/**
+ * Find a staff member of the business, refusing to act on the caller's own account
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} User document
+ */
+const findStaffMember = async (req) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ApiError(400, 'Invalid user ID');
+  }
+
+  if (req.user._id.toString() === userId) {
+    throw new ApiError(400, 'You cannot change your own account here');
+  }
+
+  const user = await User.findOne({
+    _id: userId,
+    businessId: req.user.businessId,
+    role: 'business_user'
+  });
+
+  if (!user) {
+    throw new ApiError(404, 'Staff member not found');
+  }
+
+  return user;
+};
+
+/**
+ * Invite a staff member by email
+ * POST /api/business/users
+ */
+const inviteStaff = async (req, res, next) => {
+  try {
+    const { email, businessRole } = req.body;
+    const businessId = req.user.businessId;
+
+    const business = await Business.findById(businessId);
+
+    if (!business) {
+      throw new ApiError(404, 'Business not found');
+    }
+
+    const { invitation, token } = await createStaffInvitation({
+      businessId,
+      email,
+      businessRole,
+      invitedBy: req.user._id
+    });
+
+    const invitationBaseUrl = process.env.STAFF_INVITATION_URL || 'https://fidelya-roan.vercel.app/accept-invitation';
+    const invitationUrl = `${invitationBaseUrl}?token=${token}`;
+
+    await sendMail({
+      to: email,
+      subject: `You have been invited to join ${business.name}`,
+      text: [
+        'Hello,',
+        '',
+        `${req.user.name || 'A team member'} invited you to join ${business.name} on Fidelya as ${businessRole}.`,
+        'Use the link below to choose your password and activate your account:',
+        invitationUrl,
+        '',
+        `This invitation expires on ${invitation.expiresAt.toUTCString()}.`
+      ].join('\n')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List staff members and pending invitations of the business
+ * GET /api/business/users
+ */
+const listStaff = async (req, res, next) => {
+  try {
+    const businessId = req.user.businessId;
+
+    const [users, invitations] = await Promise.all([
+      User.find({ businessId, role: 'business_user' })
+        .select('-passwordHash')
+        .sort({ createdAt: -1 }),
+      StaffInvitation.find({
+        businessId,
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() }
+      })
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      users,
+      invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a staff member's role or disable/enable their account
+ * PUT /api/business/users/:userId
+ */
+const updateStaff = async (req, res, next) => {
+  try {
+    const { businessRole, isActive } = req.body;
+
+    const user = await findStaffMember(req);
+
+    if (businessRole) user.businessRole = businessRole;
+    if (isActive !== undefined) user.isActive = isActive;
+
+    await user.save();
+
+    // A disabled account is signed out everywhere
+    if (isActive === false) {
+      await revokeAllUserTokens(user._id);
+    }
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a staff member from the business
+ * DELETE /api/business/users/:userId
+ */
+const removeStaff = async (req, res, next) => {
+  try {
+    const user = await findStaffMember(req);
+
+    await user.deleteOne();
+    await revokeAllUserTokens(user._id);
+
+    res.json({
+      success: true,
+      message: 'Staff member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a pending staff invitation
+ * DELETE /api/business/users/invitations/:invitationId
+ */
+const cancelStaffInvitation = async (req, res, next) => {
+  try {
+    const { invitationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+      throw new ApiError(400, 'Invalid invitation ID');
+    }
+
+    const invitation = await StaffInvitation.findOneAndDelete({
+      _id: invitationId,
+      businessId: req.user.businessId,
+      acceptedAt: null
+    });
+
+    if (!invitation) {
+      throw new ApiError(404, 'Invitation not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export { inviteStaff, listStaff, updateStaff, removeStaff, cancelStaffInvitation };
@@ -0,0 +1,2 @@
+export * from './pointsExpiry.job.js';
+export * from './tierEvaluation.job.js';
@@ -0,0 +1,68 @@
+import { PointsLot } from '../models/index.js';
+import { processPointsExpiry } from '../services/transaction.service.js';
+import logger from '../config/logger.js';
+import { parseDuration } from '../utils.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Expire every points lot past its expiry date (one expire transaction per client)
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {Promise<Object>} { clients, points } expired in this run
+ */
+const runPointsExpiry = async (now = new Date()) => {
+  const clientIds = await PointsLot.distinct('clientId', {
+    remaining: { $gt: 0 },
+    expiresAt: { $ne: null, $lte: now }
+  });
+
+  const summary = { clients: 0, points: 0 };
+
+  for (const clientObjectId of clientIds) {
+    try {
+      const result = await processPointsExpiry({ clientObjectId, now });
+      if (result?.transaction) {
+        summary.clients += 1;
+        summary.points -= result.pointsChange;
+      }
+    } catch (error) {
+      // One failing client must not block the others, it is retried on the next run
+      logger.error(`Points expiry failed for client ${clientObjectId}: ${error.message}`);
+    }
+  }
+
+  if (summary.clients > 0) {
+    logger.info(`Expired ${summary.points} points on ${summary.clients} client(s)`);
+  }
+
+  return summary;
+};
+
+/**
+ * Run the points expiry periodically in this process
+ * The interval comes from POINTS_EXPIRY_INTERVAL (default 1h). Runs never overlap.
+ */
+const startPointsExpiryJob = () => {
+  if (timer) return;
+
+  const interval = parseDuration(process.env.POINTS_EXPIRY_INTERVAL || '1h', 60 * 60 * 1000);
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runPointsExpiry();
+    } catch (error) {
+      logger.error(`Points expiry run failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, interval);
+  timer.unref();
+  tick();
+};
+
+export { runPointsExpiry, startPointsExpiryJob };
@@ -0,0 +1,87 @@
+import { Business, Client, Transaction } from '../models/index.js';
+import { QUALIFYING_TYPES, getTierPeriodStart, evaluateClientTier } from '../services/tier.service.js';
+import logger from '../config/logger.js';
+import { parseDuration } from '../utils.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Re-evaluate client tiers: demotes clients whose earnings left the rolling
+ * period and applies tier setting changes
+ * Only clients holding a tier or with qualifying earnings in the period are checked.
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {Promise<Object>} { clients, changed } evaluated and changed in this run
+ */
+const runTierEvaluation = async (now = new Date()) => {
+  const tieredBusinessIds = await Client.distinct('businessId', { tier: { $ne: null } });
+  const businesses = await Business.find({
+    $or: [
+      { 'tiers.levels.0': { $exists: true } },
+      { _id: { $in: tieredBusinessIds } }
+    ]
+  });
+
+  const summary = { clients: 0, changed: 0 };
+
+  for (const business of businesses) {
+    const [tieredClientIds, earningClientIds] = await Promise.all([
+      Client.distinct('_id', { businessId: business._id, tier: { $ne: null } }),
+      Transaction.distinct('clientId', {
+        businessId: business._id,
+        type: { $in: QUALIFYING_TYPES },
+        createdAt: { $gte: getTierPeriodStart(business, now) }
+      })
+    ]);
+
+    const clientIds = [...new Set([...tieredClientIds, ...earningClientIds].map(String))];
+    const clients = await Client.find({ _id: { $in: clientIds } }).select('tier').lean();
+
+    for (const client of clients) {
+      try {
+        const result = await evaluateClientTier({ client, business, now });
+        summary.clients += 1;
+        if (result.changed) {
+          summary.changed += 1;
+        }
+      } catch (error) {
+        // One failing client must not block the others, it is retried on the next run
+        logger.error(`Tier evaluation failed for client ${client._id}: ${error.message}`);
+      }
+    }
+  }
+
+  if (summary.changed > 0) {
+    logger.info(`Changed the tier of ${summary.changed} client(s) out of ${summary.clients}`);
+  }
+
+  return summary;
+};
+
+/**
+ * Run the tier evaluation periodically in this process
+ * The interval comes from TIER_EVALUATION_INTERVAL (default 24h). Runs never overlap.
+ */
+const startTierEvaluationJob = () => {
+  if (timer) return;
+
+  const interval = parseDuration(process.env.TIER_EVALUATION_INTERVAL || '24h', 24 * 60 * 60 * 1000);
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runTierEvaluation();
+    } catch (error) {
+      logger.error(`Tier evaluation run failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, interval);
+  timer.unref();
+  tick();
+};
+
+export { runTierEvaluation, startTierEvaluationJob };
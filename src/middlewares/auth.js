@@ -1,13 +1,73 @@
-import jwt from 'jsonwebtoken';
 import { User } from '../models/index.js';
+import { isSessionActive } from '../services/auth.service.js';
+import { verifyToken } from '../services/jwt.service.js';
+import { verifyClientToken } from '../services/clientAuth.service.js';
+import { authenticateApiKey } from '../services/apiKey.service.js';
+import logger from '../config/logger.js';
 
 /**
- * Authentication middleware - verifies JWT and attaches user to request
+ * Mark a route as callable with an API key holding the given scope
+ * Must be registered before authMiddleware runs for the route.
+ * @param {string} scope - Required API key scope
+ */
+const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+/**
+ * Authenticate an `Authorization: ApiKey ...` request
+ * The key acts as a business_user of its business, limited to its scopes.
+ */
+const apiKeyAuth = async (req, res, next, rawKey) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API keys are not accepted for this endpoint.'
+    });
+  }
+
+  const apiKey = await authenticateApiKey(rawKey);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid, revoked or expired API key.'
+    });
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({
+      status: 'error',
+      message: `API key is missing the required scope: ${req.apiKeyScope}`
+    });
+  }
+
+  // Key-derived principal (actions are attributed to the key's creator)
+  req.apiKey = apiKey;
+  req.user = {
+    _id: apiKey.createdBy,
+    name: apiKey.name,
+    role: 'business_user',
+    businessId: apiKey.businessId,
+    isApiKey: true
+  };
+  next();
+};
+
+/**
+ * Authentication middleware - verifies JWT (or API key) and attaches user to request
  */
 const authMiddleware = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+      return await apiKeyAuth(req, res, next, authHeader.slice('ApiKey '.length).trim());
+    }
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
@@ -18,8 +78,24 @@ const authMiddleware = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify signature, algorithm, issuer, audience and expiry
+    const decoded = verifyToken(token, { audience: 'fidelya-app' });
+
+    // Special-purpose tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid token.'
+      });
+    }
+
+    // Reject tokens whose session has been revoked (logout, remote sign-out)
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
 
     // Get user from database
     const user = await User.findById(decoded.userId).select('-passwordHash');
@@ -31,8 +107,36 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'This account has been disabled.'
+      });
+    }
+
+    // Impersonation tokens are only honoured while the issuing admin still exists
+    if (decoded.impersonatedBy) {
+      const admin = await User.exists({ _id: decoded.impersonatedBy, role: 'admin', isActive: { $ne: false } });
+
+      if (!admin) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid token.'
+        });
+      }
+
+      user.impersonatedBy = decoded.impersonatedBy;
+      logger.info('Impersonated request', {
+        adminId: decoded.impersonatedBy,
+        userId: user._id,
+        method: req.method,
+        path: req.originalUrl
+      });
+    }
+
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -53,6 +157,21 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Block the route for impersonated sessions (credential changes stay with the real user)
+ * Must be used after authMiddleware.
+ */
+const forbidImpersonation = (req, res, next) => {
+  if (req.user?.impersonatedBy) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'This action is not allowed while impersonating a user.'
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional auth middleware - attaches user if token exists, but doesn't require it
  */
@@ -65,10 +184,15 @@ const optionalAuthMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyToken(token, { audience: 'fidelya-app' });
+
+    if (decoded.purpose) {
+      return next();
+    }
+
     const user = await User.findById(decoded.userId).select('-passwordHash');
     
-    if (user) {
+    if (user && user.isActive) {
       req.user = user;
     }
     
@@ -79,4 +203,28 @@ const optionalAuthMiddleware = async (req, res, next) => {
   }
 };
 
-export { authMiddleware, optionalAuthMiddleware };
+/**
+ * Optional client auth middleware - attaches the card owner proven by a one-time code login
+ * Sets req.clientAuth = { clientId, businessId, cardVersion } when a valid client token is sent.
+ */
+const optionalClientAuthMiddleware = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const clientAuth = verifyClientToken(authHeader.split(' ')[1]);
+
+    if (clientAuth) {
+      req.clientAuth = clientAuth;
+    }
+  }
+
+  next();
+};
+
+export {
+  authMiddleware,
+  optionalAuthMiddleware,
+  optionalClientAuthMiddleware,
+  allowApiKey,
+  forbidImpersonation
+};
@@ -71,7 +71,7 @@ const errorHandler = (err, req, res, next) => {
   if (statusCode >= 500) {
     // Sanitize body to avoid logging passwords or tokens
     const sanitizedBody = req.body ? { ...req.body } : {};
-    const sensitiveFields = ['password', 'passwordHash', 'token', 'refreshToken', 'oldPassword', 'newPassword'];
+    const sensitiveFields = ['password', 'passwordHash', 'token', 'refreshToken', 'oldPassword', 'currentPassword', 'newPassword', 'challengeToken'];
     
     sensitiveFields.forEach(field => {
       if (sanitizedBody[field]) {
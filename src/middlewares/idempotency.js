@@ -0,0 +1,44 @@
+import { hashRequest, getIdempotencyCaller, findIdempotentResponse } from '../services/idempotency.service.js';
+
+/**
+ * Idempotency-Key support for operations that must not run twice
+ * A retry with the same key and body gets the stored response back (with an
+ * Idempotent-Replayed header); the same key with another body is rejected.
+ * New keys are passed to the operation as req.idempotency, which stores the
+ * response in the same database transaction.
+ * Must run after authentication, clientOwnershipMiddleware and body validation.
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Idempotency-Key must be 1 to 255 visible ASCII characters.'
+    });
+  }
+
+  try {
+    const businessId = req.user.businessId || req.client?.businessId;
+    const caller = getIdempotencyCaller(req);
+    const requestHash = hashRequest(req);
+
+    const response = await findIdempotentResponse({ businessId, caller, key, requestHash });
+
+    if (response) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.json(response);
+    }
+
+    req.idempotency = { caller, key, requestHash };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export { idempotencyMiddleware };
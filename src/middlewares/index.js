@@ -1,6 +1,27 @@
-export { authMiddleware, optionalAuthMiddleware } from './auth.js';
-export { roleMiddleware, businessOwnershipMiddleware, clientOwnershipMiddleware } from './role.js';
+export {
+  authMiddleware,
+  optionalAuthMiddleware,
+  optionalClientAuthMiddleware,
+  allowApiKey,
+  forbidImpersonation
+} from './auth.js';
+export {
+  roleMiddleware,
+  permissionMiddleware,
+  twoFactorPolicyMiddleware,
+  businessOwnershipMiddleware,
+  clientOwnershipMiddleware
+} from './role.js';
 export { validateBody, validateQuery, validateParams } from './validate.js';
-export { generalLimiter, authLimiter, publicLimiter, adminLimiter, pointsLimiter } from './rateLimiter.js';
+export { idempotencyMiddleware } from './idempotency.js';
+export {
+  generalLimiter,
+  authLimiter,
+  passwordResetLimiter,
+  clientOtpLimiter,
+  publicLimiter,
+  adminLimiter,
+  pointsLimiter
+} from './rateLimiter.js';
 export { ApiError, notFoundHandler, errorHandler } from './errorHandler.js';
 export { default as securityMiddleware } from './security.js';
@@ -29,6 +29,34 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true
 });
 
+/**
+ * Password reset rate limiter (counts every request to prevent mail flooding)
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 reset requests per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    status: 'error',
+    message: 'Too many password reset requests, please try again later.'
+  }
+});
+
+/**
+ * Client one-time code rate limiter (counts every request to prevent SMS/mail flooding)
+ */
+const clientOtpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 code requests or checks per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    status: 'error',
+    message: 'Too many code requests, please try again later.'
+  }
+});
+
 /**
  * Public client endpoints rate limiter (strict for public access)
  */
@@ -74,6 +102,8 @@ const pointsLimiter = rateLimit({
 export {
   generalLimiter,
   authLimiter,
+  passwordResetLimiter,
+  clientOtpLimiter,
   publicLimiter,
   adminLimiter,
   pointsLimiter
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { isTwoFactorSetupRequired } from '../services/twoFactor.service.js';
+import { hasPermission } from '../config/permissions.js';
 
 /**
  * Role-based authorization middleware
@@ -24,6 +26,50 @@ const roleMiddleware = (allowedRoles) => {
   };
 };
 
+/**
+ * Permission middleware - enforces the staff role matrix inside a business
+ * API keys are limited by their scopes instead (checked in authMiddleware).
+ * @param {string} permission - Required permission (see config/permissions.js)
+ */
+const permissionMiddleware = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required.'
+      });
+    }
+
+    if (req.apiKey) {
+      return next();
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Your staff role does not allow this action.'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Two-factor policy middleware - blocks admins who have not enrolled in 2FA
+ * while ADMIN_2FA_REQUIRED is on. Must be used after authMiddleware.
+ */
+const twoFactorPolicyMiddleware = (req, res, next) => {
+  if (req.user && isTwoFactorSetupRequired(req.user)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Two-factor authentication is required for admin accounts. Enable it via /api/auth/2fa/setup.'
+    });
+  }
+
+  next();
+};
+
 /**
  * Business ownership middleware - verifies business_user has access to the business
  * Must be used after authMiddleware
@@ -157,4 +203,10 @@ const clientOwnershipMiddleware = async (req, res, next) => {
   }
 };
 
-export { roleMiddleware, businessOwnershipMiddleware, clientOwnershipMiddleware };
+export {
+  roleMiddleware,
+  permissionMiddleware,
+  twoFactorPolicyMiddleware,
+  businessOwnershipMiddleware,
+  clientOwnershipMiddleware
+};
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: [true, 'Business ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true
+    },
+    // Public part of the key, used for lookup and display
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true
+    },
+    // SHA-256 hash of the full key
+    keyHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    scopes: {
+      type: [String],
+      enum: {
+        values: ['clients:read', 'items:read', 'points:apply', 'points:manual', 'transactions:read'],
+        message: 'Invalid API key scope'
+      },
+      default: []
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Method to check if key can still be used
+apiKeySchema.methods.isValid = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
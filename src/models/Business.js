@@ -1,5 +1,29 @@
 import mongoose from 'mongoose';
 
+const tierLevelSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Tier name is required'],
+      trim: true
+    },
+    // Points earned over the tier period needed to hold this tier
+    threshold: {
+      type: Number,
+      required: [true, 'Tier threshold is required'],
+      min: [0, 'Tier threshold cannot be negative']
+    },
+    // Applied to points earned with items and spend while holding the tier
+    multiplier: {
+      type: Number,
+      default: 1,
+      min: [1, 'Tier multiplier must be at least 1'],
+      max: [10, 'Tier multiplier cannot exceed 10']
+    }
+  },
+  { _id: false }
+);
+
 const businessSchema = new mongoose.Schema(
   {
     name: {
@@ -46,6 +70,69 @@ const businessSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // Customers must log in with a one-time code to see their details and history
+    clientAuthEnabled: {
+      type: Boolean,
+      default: false
+    },
+    // Reject card URLs without a valid signed token (ends the grace mode for old printed cards)
+    signedCardsRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Cards show rotating QR codes and staff scans only accept them
+    dynamicQrRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Public self-enrollment from the business page
+    enrollment: {
+      enabled: { type: Boolean, default: false },
+      welcomeBonus: { type: Number, default: 0, min: [0, 'Welcome bonus cannot be negative'] }
+    },
+    // Minutes during which any staff member may reverse a transaction (managers can at any time)
+    reversalWindowMinutes: {
+      type: Number,
+      default: 30,
+      min: [0, 'Reversal window cannot be negative']
+    },
+    // Points expire a number of months after earning (rolling) or on a date of
+    // the calendar year after earning (fixed_date)
+    pointsExpiry: {
+      policy: {
+        type: String,
+        enum: {
+          values: ['none', 'rolling', 'fixed_date'],
+          message: 'Expiry policy must be none, rolling or fixed_date'
+        },
+        default: 'none'
+      },
+      months: { type: Number, default: 12, min: [1, 'Expiry must be at least 1 month'], max: [120, 'Expiry cannot exceed 120 months'] },
+      month: { type: Number, default: 12, min: 1, max: 12 },
+      day: { type: Number, default: 31, min: 1, max: 31 }
+    },
+    // Points earned per amount spent: amount x rate, rounded, from minSpend up,
+    // capped at maxPointsPerTransaction (null for no cap)
+    spendRule: {
+      enabled: { type: Boolean, default: false },
+      rate: { type: Number, default: 1, min: [0.0001, 'Rate must be positive'] },
+      rounding: {
+        type: String,
+        enum: {
+          values: ['floor', 'round', 'ceil'],
+          message: 'Rounding must be floor, round or ceil'
+        },
+        default: 'floor'
+      },
+      minSpend: { type: Number, default: 0, min: [0, 'Minimum spend cannot be negative'] },
+      maxPointsPerTransaction: { type: Number, default: null, min: [1, 'Points cap must be at least 1'] }
+    },
+    // Membership tiers: a client holds the highest tier whose threshold they
+    // reached with points earned over the last periodMonths months
+    tiers: {
+      periodMonths: { type: Number, default: 12, min: [1, 'Tier period must be at least 1 month'], max: [36, 'Tier period cannot exceed 36 months'] },
+      levels: { type: [tierLevelSchema], default: [] }
+    },
     createdByAdminId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
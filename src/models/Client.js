@@ -34,6 +34,36 @@ const clientSchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
+    // Name of the business tier currently held (null when below every tier)
+    tier: {
+      type: String,
+      default: null
+    },
+    tierUpdatedAt: {
+      type: Date
+    },
+    // Set on bulk-generated cards so a batch can be printed together
+    batchId: {
+      type: String
+    },
+    // bcrypt hash of the scratch PIN printed on pre-generated cards
+    activationPin: {
+      type: String,
+      select: false
+    },
+    pinAttempts: {
+      type: Number,
+      default: 0
+    },
+    // Bumped to invalidate the signed URL printed on a lost or stolen card
+    cardTokenVersion: {
+      type: Number,
+      default: 0
+    },
+    // Last accepted dynamic QR time step (prevents screenshot replay)
+    lastDynamicQrStep: {
+      type: Number
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
@@ -44,6 +74,7 @@ const clientSchema = new mongoose.Schema(
     toJSON: {
       transform: (doc, ret) => {
         delete ret.__v;
+        delete ret.activationPin;
         return ret;
       }
     }
@@ -55,6 +86,7 @@ clientSchema.index({ businessId: 1, clientId: 1 }, { unique: true });
 clientSchema.index({ businessId: 1, name: 1 });
 clientSchema.index({ businessId: 1, phone: 1 });
 clientSchema.index({ businessId: 1, email: 1 });
+clientSchema.index({ businessId: 1, batchId: 1 });
 
 const Client = mongoose.model('Client', clientSchema);
 
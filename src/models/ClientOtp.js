@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const clientOtpSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true,
+      index: true
+    },
+    channel: {
+      type: String,
+      enum: {
+        values: ['sms', 'email'],
+        message: 'Channel must be sms or email'
+      },
+      required: true
+    },
+    // SHA-256 hash of the one-time code
+    codeHash: {
+      type: String,
+      required: true
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// TTL index to automatically delete expired codes
+clientOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ClientOtp = mongoose.model('ClientOtp', clientOtpSchema);
+
+export default ClientOtp;
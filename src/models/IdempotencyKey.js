@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    // Who sent the request (apiKey:<id> or user:<id>), keys are scoped to it
+    caller: {
+      type: String,
+      required: true
+    },
+    // Value of the Idempotency-Key header sent by the caller
+    key: {
+      type: String,
+      required: true
+    },
+    // SHA-256 of method, path and body, to detect a key reused for another request
+    requestHash: {
+      type: String,
+      required: true
+    },
+    // Response body replayed on retries
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+idempotencyKeySchema.index({ businessId: 1, caller: 1, key: 1 }, { unique: true });
+
+// TTL index to automatically delete expired keys
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    outcome: {
+      type: String,
+      enum: {
+        values: ['success', 'invalid_password', 'unknown_user', 'locked', 'two_factor_required', 'invalid_two_factor', 'disabled'],
+        message: 'Invalid login attempt outcome'
+      },
+      required: true
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    },
+    userAgent: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Index for listing a user's recent attempts
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+
+// TTL index to keep 90 days of history
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// TTL index to automatically delete expired tokens
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if token can still be used
+passwordResetTokenSchema.methods.isValid = function () {
+  return !this.usedAt && this.expiresAt > new Date();
+};
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+export default PasswordResetToken;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// Points credited in one operation, consumed oldest first and expired as a whole
+const pointsLotSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: [true, 'Client ID is required']
+    },
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: [true, 'Business ID is required']
+    },
+    // Transaction that credited the points
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    points: {
+      type: Number,
+      required: [true, 'Points value is required'],
+      min: [1, 'Points must be at least 1']
+    },
+    // Points not yet redeemed or expired
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    earnedAt: {
+      type: Date,
+      required: true
+    },
+    // Null when the business had no expiry policy at earning time
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    expiredAt: {
+      type: Date,
+      default: null
+    },
+    // Points removed by the expiry (what was still remaining at that time)
+    expiredPoints: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// FIFO consumption of a client's open lots
+pointsLotSchema.index({ clientId: 1, remaining: 1, earnedAt: 1 });
+// Expiry job: open lots past their expiry date
+pointsLotSchema.index({ expiresAt: 1, remaining: 1 });
+
+const PointsLot = mongoose.model('PointsLot', pointsLotSchema);
+
+export default PointsLot;
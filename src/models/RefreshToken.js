@@ -18,9 +18,36 @@ const refreshTokenSchema = new mongoose.Schema(
       type: Date,
       required: true
     },
+    // All tokens issued from the same login share a family
+    familyId: {
+      type: String,
+      required: true,
+      index: true
+    },
     isRevoked: {
       type: Boolean,
       default: false
+    },
+    // Set when the token has been exchanged for a new one
+    rotatedAt: {
+      type: Date,
+      default: null
+    },
+    // Device metadata, carried over on rotation
+    userAgent: {
+      type: String,
+      trim: true
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    },
+    sessionStartedAt: {
+      type: Date
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
     }
   },
   {
@@ -28,6 +55,9 @@ const refreshTokenSchema = new mongoose.Schema(
   }
 );
 
+// Index for listing a user's active sessions
+refreshTokenSchema.index({ userId: 1, isRevoked: 1, expiresAt: 1 });
+
 // TTL index to automatically delete expired tokens
 refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
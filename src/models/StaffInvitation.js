@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const staffInvitationSchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true,
+      index: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true
+    },
+    businessRole: {
+      type: String,
+      enum: {
+        values: ['owner', 'manager', 'cashier'],
+        message: 'Business role must be owner, manager or cashier'
+      },
+      required: true
+    },
+    // SHA-256 hash of the token sent by email
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    acceptedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// TTL index to automatically delete expired invitations
+staffInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Remove token hash from JSON output
+staffInvitationSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    delete ret.token;
+    return ret;
+  }
+});
+
+// Method to check if invitation can still be accepted
+staffInvitationSchema.methods.isValid = function () {
+  return !this.acceptedAt && this.expiresAt > new Date();
+};
+
+const StaffInvitation = mongoose.model('StaffInvitation', staffInvitationSchema);
+
+export default StaffInvitation;
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+const TRANSACTION_TYPES = ['item', 'spend', 'manual', 'welcome_bonus', 'expire', 'reversal'];
+const SYSTEM_TRANSACTION_TYPES = ['welcome_bonus', 'expire'];
+
 const transactionSchema = new mongoose.Schema(
   {
     clientId: {
@@ -14,6 +17,17 @@ const transactionSchema = new mongoose.Schema(
       required: [true, 'Business ID is required'],
       index: true
     },
+    type: {
+      type: String,
+      enum: {
+        values: TRANSACTION_TYPES,
+        message: 'Invalid transaction type'
+      },
+      // Transactions recorded before types existed are item or manual operations
+      default: function () {
+        return this.itemId ? 'item' : 'manual';
+      }
+    },
     itemId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Item'
@@ -30,10 +44,65 @@ const transactionSchema = new mongoose.Schema(
       type: Number,
       required: [true, 'After points value is required']
     },
+    // On a spend earning: the purchase amount and the rule applied to it
+    amount: {
+      type: Number
+    },
+    spendRule: {
+      type: {
+        rate: Number,
+        rounding: String,
+        minSpend: Number,
+        maxPointsPerTransaction: Number
+      },
+      default: undefined,
+      _id: false
+    },
+    // On an earning with a tier multiplier: the tier held and the extra points it gave
+    tier: {
+      type: {
+        name: String,
+        multiplier: Number
+      },
+      default: undefined,
+      _id: false
+    },
+    bonusPoints: {
+      type: Number
+    },
+    // Empty for operations made by the system (welcome bonus, expiry, ...)
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'Performed by user is required']
+      required: [
+        function () {
+          return !SYSTEM_TRANSACTION_TYPES.includes(this.type);
+        },
+        'Performed by user is required'
+      ]
+    },
+    // Set when the operation was performed with an API key (POS integration)
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    // Set when an admin performed the operation while impersonating performedBy
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // On a reversal: the transaction it compensates
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    // On a reversed transaction: the compensating transaction
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    reversedAt: {
+      type: Date
     },
     note: {
       type: String,
@@ -55,6 +124,7 @@ const transactionSchema = new mongoose.Schema(
 transactionSchema.index({ clientId: 1, createdAt: -1 });
 transactionSchema.index({ businessId: 1, createdAt: -1 });
 transactionSchema.index({ itemId: 1 }, { sparse: true });
+transactionSchema.index({ reversalOf: 1 }, { unique: true, sparse: true });
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
@@ -30,9 +30,76 @@ const userSchema = new mongoose.Schema(
         return this.role === 'business_user';
       }
     },
+    // Staff role inside the business (see config/permissions.js)
+    businessRole: {
+      type: String,
+      enum: {
+        values: ['owner', 'manager', 'cashier'],
+        message: 'Business role must be owner, manager or cashier'
+      },
+      default: function () {
+        return this.role === 'business_user' ? 'owner' : undefined;
+      }
+    },
     name: {
       type: String,
       trim: true
+    },
+    // Disabled accounts cannot log in or use existing tokens
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    // Progressive lockout after repeated failed logins
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0
+    },
+    lockUntil: {
+      type: Date,
+      default: null
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Base32 TOTP secret, only readable when explicitly selected
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      // Last accepted TOTP time step (prevents code replay)
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: {
+        type: Date
+      },
+      // Pending login challenge and the codes tried against it
+      challengeId: {
+        type: String,
+        select: false
+      },
+      challengeAttempts: {
+        type: Number,
+        select: false
+      }
     }
   },
   {
@@ -41,6 +108,14 @@ const userSchema = new mongoose.Schema(
       transform: (doc, ret) => {
         delete ret.passwordHash;
         delete ret.__v;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.recoveryCodes;
+          delete ret.twoFactor.lastUsedStep;
+          delete ret.twoFactor.challengeId;
+          delete ret.twoFactor.challengeAttempts;
+        }
         return ret;
       }
     }
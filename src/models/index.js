@@ -4,3 +4,10 @@ export { default as Client } from './Client.js';
 export { default as Item } from './Item.js';
 export { default as Transaction } from './Transaction.js';
 export { default as RefreshToken } from './RefreshToken.js';
+export { default as PasswordResetToken } from './PasswordResetToken.js';
+export { default as LoginAttempt } from './LoginAttempt.js';
+export { default as ApiKey } from './ApiKey.js';
+export { default as StaffInvitation } from './StaffInvitation.js';
+export { default as ClientOtp } from './ClientOtp.js';
+export { default as PointsLot } from './PointsLot.js';
+export { default as IdempotencyKey } from './IdempotencyKey.js';
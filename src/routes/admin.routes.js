@@ -9,21 +9,34 @@ import {
   listBusinessUsers,
   updateBusinessUser,
   deleteBusinessUser,
+  listBusinessUserSessions,
+  revokeBusinessUserSessions,
+  revokeBusinessUserSession,
+  listLoginAttempts,
+  unlockUser,
+  impersonateUser,
   createClient,
   generateClients,
+  printClients,
+  printClientsWithPins,
+  regenerateClientPin,
+  rotateClientCardToken,
   listClients,
-  listTransactions
+  listTransactions,
+  runPointsExpiryJob,
+  runTierEvaluationJob
 } from '../controllers/admin.controller.js';
-import { authMiddleware, roleMiddleware, validateBody, validateQuery, adminLimiter } from '../middlewares/index.js';
-import { createBusinessSchema, searchBusinessSchema } from '../validators/business.validator.js';
-import { createUserSchema, updateUserSchema } from '../validators/user.validator.js';
-import { createClientSchema, searchClientSchema } from '../validators/client.validator.js';
+import { authMiddleware, roleMiddleware, twoFactorPolicyMiddleware, validateBody, validateQuery, adminLimiter } from '../middlewares/index.js';
+import { createBusinessSchema, updateBusinessSchema, searchBusinessSchema } from '../validators/business.validator.js';
+import { createUserSchema, updateUserSchema, loginAttemptQuerySchema } from '../validators/user.validator.js';
+import { createClientSchema, searchClientSchema, printClientsSchema } from '../validators/client.validator.js';
 
 const router = Router();
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication, admin role and 2FA (when enforced)
 router.use(authMiddleware);
 router.use(roleMiddleware(['admin']));
+router.use(twoFactorPolicyMiddleware);
 router.use(adminLimiter);
 
 /**
@@ -53,6 +66,67 @@ router.use(adminLimiter);
  *                 type: string
  *               allowNegativePoints:
  *                 type: boolean
+ *               reversalWindowMinutes:
+ *                 type: integer
+ *                 description: Minutes during which cashiers can reverse a transaction (default 30)
+ *               clientAuthEnabled:
+ *                 type: boolean
+ *                 description: Require customers to log in with a one-time code to see their details
+ *               signedCardsRequired:
+ *                 type: boolean
+ *                 description: Reject card URLs without a valid signed token
+ *               dynamicQrRequired:
+ *                 type: boolean
+ *                 description: Show rotating QR codes and only accept them at scan
+ *               pointsExpiry:
+ *                 type: object
+ *                 properties:
+ *                   policy:
+ *                     type: string
+ *                     enum: [none, rolling, fixed_date]
+ *                   months:
+ *                     type: integer
+ *                     description: Rolling expiry, months after earning
+ *                   month:
+ *                     type: integer
+ *                     description: Fixed date month (points expire in the calendar year after earning)
+ *                   day:
+ *                     type: integer
+ *               tiers:
+ *                 type: object
+ *                 properties:
+ *                   periodMonths:
+ *                     type: integer
+ *                     description: Rolling period of earnings that qualify for a tier (default 12)
+ *                   levels:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         threshold:
+ *                           type: integer
+ *                           description: Points earned over the period to hold the tier
+ *                         multiplier:
+ *                           type: number
+ *                           description: Multiplier on item and spend earnings (default 1)
+ *               spendRule:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   rate:
+ *                     type: number
+ *                     description: Points per unit of currency spent (default 1)
+ *                   rounding:
+ *                     type: string
+ *                     enum: [floor, round, ceil]
+ *                   minSpend:
+ *                     type: number
+ *                   maxPointsPerTransaction:
+ *                     type: integer
+ *                     nullable: true
  *     responses:
  *       201:
  *         description: Business created
@@ -117,6 +191,7 @@ router.get('/businesses/:businessId', getBusiness);
  * /api/admin/businesses/{businessId}:
  *   put:
  *     summary: Update business details and card design
+ *     description: Only the given fields change. Within cardDesign, enrollment, pointsExpiry, spendRule and tiers, omitted fields keep their value.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -134,13 +209,23 @@ router.get('/businesses/:businessId', getBusiness);
  *             properties:
  *               name:
  *                 type: string
+ *               activationCode:
+ *                 type: string
  *               cardDesign:
  *                 type: object
+ *               pointsExpiry:
+ *                 type: object
+ *               spendRule:
+ *                 type: object
+ *               tiers:
+ *                 type: object
  *     responses:
  *       200:
  *         description: Business updated
+ *       400:
+ *         description: Validation error
  */
-router.put('/businesses/:businessId', updateBusiness);
+router.put('/businesses/:businessId', validateBody(updateBusinessSchema), updateBusiness);
 
 /**
  * @swagger
@@ -195,6 +280,10 @@ router.delete('/businesses/:businessId', deleteBusiness);
  *                 type: string
  *               name:
  *                 type: string
+ *               businessRole:
+ *                 type: string
+ *                 enum: [owner, manager, cashier]
+ *                 default: owner
  *     responses:
  *       201:
  *         description: Business user created
@@ -252,6 +341,9 @@ router.get('/businesses/:businessId/users', listBusinessUsers);
  *                 type: string
  *               name:
  *                 type: string
+ *               businessRole:
+ *                 type: string
+ *                 enum: [owner, manager, cashier]
  *     responses:
  *       200:
  *         description: Business user updated
@@ -283,6 +375,168 @@ router.put('/businesses/:businessId/users/:userId', validateBody(updateUserSchem
  */
 router.delete('/businesses/:businessId/users/:userId', deleteBusinessUser);
 
+/**
+ * @swagger
+ * /api/admin/businesses/{businessId}/users/{userId}/sessions:
+ *   get:
+ *     summary: List active sessions of a business user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active sessions with device metadata
+ */
+router.get('/businesses/:businessId/users/:userId/sessions', listBusinessUserSessions);
+
+/**
+ * @swagger
+ * /api/admin/businesses/{businessId}/users/{userId}/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of a business user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.delete('/businesses/:businessId/users/:userId/sessions', revokeBusinessUserSessions);
+
+/**
+ * @swagger
+ * /api/admin/businesses/{businessId}/users/{userId}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one session of a business user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/businesses/:businessId/users/:userId/sessions/:sessionId', revokeBusinessUserSession);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/login-attempts:
+ *   get:
+ *     summary: View login attempt history and lock status of a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, invalid_password, unknown_user, locked, two_factor_required, invalid_two_factor, disabled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Login attempts
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId/login-attempts', validateQuery(loginAttemptQuerySchema), listLoginAttempts);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/unlock', unlockUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/impersonate:
+ *   post:
+ *     summary: Get a short-lived access token acting as a business user
+ *     description: No refresh token is issued. Every request made with the token is logged, transactions record the admin in impersonatedBy, and credential changes are refused.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Impersonation access token
+ *       404:
+ *         description: Business user not found
+ */
+router.post('/users/:userId/impersonate', impersonateUser);
+
 /**
  * @swagger
  * /api/admin/businesses/{businessId}/clients:
@@ -349,10 +603,155 @@ router.post('/businesses/:businessId/clients', validateBody(createClientSchema),
  *                 description: Number of clients to generate
  *     responses:
  *       201:
- *         description: Clients generated successfully
+ *         description: Clients generated, with their batchId and each card's URL and one-time visible PIN
  */
 router.post('/businesses/:businessId/clients/generate', generateClients);
 
+/**
+ * @swagger
+ * /api/admin/businesses/{businessId}/clients/print:
+ *   get:
+ *     summary: Print cards as an A4 PDF
+ *     description: Ten cards per page with the business name, client ID and signed QR in the card design colors. Give either the batchId returned by generate or a from/to range of generated client numbers (at most 500 cards).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: First client number (client<n>)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Last client number
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Business or clients not found
+ */
+router.get('/businesses/:businessId/clients/print', validateQuery(printClientsSchema), printClients);
+
+/**
+ * @swagger
+ * /api/admin/businesses/{businessId}/clients/print:
+ *   post:
+ *     summary: Print cards as an A4 PDF with new activation PINs
+ *     description: Same sheet as the GET, with a new activation PIN issued and printed on every card not activated yet. The previous PIN of those cards stops working.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               batchId:
+ *                 type: string
+ *               from:
+ *                 type: integer
+ *                 description: First client number (client<n>)
+ *               to:
+ *                 type: integer
+ *                 description: Last client number
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Business or clients not found
+ */
+router.post('/businesses/:businessId/clients/print', validateBody(printClientsSchema), printClientsWithPins);
+
+/**
+ * @swagger
+ * /api/admin/businesses/{businessId}/clients/{clientId}/pin:
+ *   post:
+ *     summary: Regenerate the activation PIN of a card
+ *     description: Returns the new PIN once and resets the card's failed attempts.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ObjectId
+ *     responses:
+ *       200:
+ *         description: New PIN
+ *       400:
+ *         description: Card already activated
+ *       404:
+ *         description: Client not found
+ */
+router.post('/businesses/:businessId/clients/:clientId/pin', regenerateClientPin);
+
+/**
+ * @swagger
+ * /api/admin/businesses/{businessId}/clients/{clientId}/card-token:
+ *   post:
+ *     summary: Rotate the signed URL of a card (lost or stolen card)
+ *     description: The old QR URL and customer logins on the card stop working. Returns the new URL and QR code to reprint.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ObjectId
+ *     responses:
+ *       200:
+ *         description: New card URL and QR code
+ *       404:
+ *         description: Client not found
+ */
+router.post('/businesses/:businessId/clients/:clientId/card-token', rotateClientCardToken);
+
 /**
  * @swagger
  * /api/admin/businesses/{businessId}/clients:
@@ -418,4 +817,56 @@ router.get('/businesses/:businessId/clients', validateQuery(searchClientSchema),
  */
 router.get('/transactions', listTransactions);
 
+/**
+ * @swagger
+ * /api/admin/jobs/points-expiry:
+ *   post:
+ *     summary: Expire points past their expiry date now
+ *     description: The server runs this job periodically on its own. Serverless deployments call this endpoint from a scheduler instead.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of clients and points expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 clients:
+ *                   type: integer
+ *                 points:
+ *                   type: integer
+ */
+router.post('/jobs/points-expiry', runPointsExpiryJob);
+
+/**
+ * @swagger
+ * /api/admin/jobs/tier-evaluation:
+ *   post:
+ *     summary: Re-evaluate client tiers now
+ *     description: Demotes clients whose earnings left the tier period. The server runs this job periodically on its own. Serverless deployments call this endpoint from a scheduler instead.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of clients evaluated and whose tier changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 clients:
+ *                   type: integer
+ *                 changed:
+ *                   type: integer
+ */
+router.post('/jobs/tier-evaluation', runTierEvaluationJob);
+
 export default router;
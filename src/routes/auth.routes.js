@@ -1,7 +1,43 @@
 import { Router } from 'express';
-import { login, refresh, logout } from '../controllers/auth.controller.js';
-import { authMiddleware, validateBody, authLimiter } from '../middlewares/index.js';
-import { loginSchema, refreshSchema, logoutSchema } from '../validators/index.js';
+import {
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  acceptInvitation,
+  getMe,
+  updateMe,
+  changePassword,
+  listSessions,
+  revokeSession,
+  logoutAll,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/auth.controller.js';
+import {
+  authMiddleware,
+  forbidImpersonation,
+  validateBody,
+  authLimiter,
+  passwordResetLimiter
+} from '../middlewares/index.js';
+import {
+  loginSchema,
+  refreshSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  acceptInvitationSchema,
+  updateMeSchema,
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  verifyTwoFactorSchema,
+  disableTwoFactorSchema
+} from '../validators/index.js';
 
 const router = Router();
 
@@ -10,6 +46,7 @@ const router = Router();
  * /api/auth/login:
  *   post:
  *     summary: Login for admin/business user
+ *     description: When 2FA is enabled, no tokens are returned. The response contains twoFactorRequired and a challengeToken to send to /api/auth/2fa/verify.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -34,11 +71,41 @@ const router = Router();
  */
 router.post('/login', authLimiter, validateBody(loginSchema), login);
 
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a 2FA login with a TOTP or recovery code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app, or a recovery code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid challenge or code
+ */
+router.post('/2fa/verify', authLimiter, validateBody(verifyTwoFactorSchema), verifyTwoFactorLogin);
+
 /**
  * @swagger
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: The refresh token is rotated on every call. Reusing an already rotated token revokes the whole session.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -53,7 +120,7 @@ router.post('/login', authLimiter, validateBody(loginSchema), login);
  *                 type: string
  *     responses:
  *       200:
- *         description: New access token generated
+ *         description: New access token and refresh token generated
  *       401:
  *         description: Invalid refresh token
  */
@@ -84,4 +151,313 @@ router.post('/refresh', authLimiter, validateBody(refreshSchema), refresh);
  */
 router.post('/logout', authMiddleware, validateBody(logoutSchema), logout);
 
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ */
+router.post('/forgot-password', passwordResetLimiter, validateBody(forgotPasswordSchema), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successful
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', passwordResetLimiter, validateBody(resetPasswordSchema), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/invitations/accept:
+ *   post:
+ *     summary: Accept a staff invitation and choose a password
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Invalid or expired invitation
+ *       409:
+ *         description: A user with this email already exists
+ */
+router.post('/invitations/accept', passwordResetLimiter, validateBody(acceptInvitationSchema), acceptInvitation);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the logged-in user's profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/me', authMiddleware, getMe);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   put:
+ *     summary: Update the logged-in user's profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ */
+router.put('/me', authMiddleware, validateBody(updateMeSchema), updateMe);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the logged-in user's password
+ *     description: Revokes every other session. The session of the access token is kept signed in.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token of the current session (kept active)
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post('/change-password', authLimiter, authMiddleware, forbidImpersonation, validateBody(changePasswordSchema), changePassword);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions (devices) of the logged-in user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with device metadata
+ */
+router.get('/sessions', authMiddleware, listSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session (sign a device out)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authMiddleware, forbidImpersonation, revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of every session, including the current one
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post('/logout-all', authMiddleware, forbidImpersonation, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrollment
+ *     description: Returns a TOTP secret, otpauth URL and QR code to scan with an authenticator app.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *       400:
+ *         description: 2FA already enabled
+ */
+router.post('/2fa/setup', authMiddleware, forbidImpersonation, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm 2FA enrollment
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled, recovery codes returned once
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post('/2fa/enable', authLimiter, authMiddleware, forbidImpersonation, validateBody(twoFactorCodeSchema), enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable 2FA
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       403:
+ *         description: 2FA is mandatory for this account
+ */
+router.post('/2fa/disable', authLimiter, authMiddleware, forbidImpersonation, validateBody(disableTwoFactorSchema), disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate 2FA recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes returned once
+ */
+router.post('/2fa/recovery-codes', authLimiter, authMiddleware, forbidImpersonation, validateBody(twoFactorCodeSchema), regenerateRecoveryCodes);
+
 export default router;
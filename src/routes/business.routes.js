@@ -5,28 +5,58 @@ import {
   updateItem,
   deleteItem,
   addPoints,
+  addSpend,
+  scan,
   manualPointsAdjust,
   getClient,
   listTransactions,
+  reverseTransaction,
   searchClients,
   updateProfile
 } from '../controllers/business.controller.js';
+import { createApiKey, listApiKeys, deleteApiKey } from '../controllers/apiKey.controller.js';
 import {
+  inviteStaff,
+  listStaff,
+  updateStaff,
+  removeStaff,
+  cancelStaffInvitation
+} from '../controllers/staff.controller.js';
+import {
+  allowApiKey,
   authMiddleware,
+  forbidImpersonation,
   roleMiddleware,
+  permissionMiddleware,
+  twoFactorPolicyMiddleware,
   clientOwnershipMiddleware,
   validateBody,
   validateQuery,
+  idempotencyMiddleware,
   pointsLimiter
 } from '../middlewares/index.js';
 import { createItemSchema, updateItemSchema } from '../validators/item.validator.js';
-import { pointsOperationSchema, manualPointsSchema, searchClientSchema } from '../validators/client.validator.js';
+import { pointsOperationSchema, spendOperationSchema, scanSchema, manualPointsSchema, reverseTransactionSchema, searchClientSchema } from '../validators/client.validator.js';
+import { updateProfileSchema } from '../validators/business.validator.js';
+import { createApiKeySchema } from '../validators/apiKey.validator.js';
+import { inviteStaffSchema, updateStaffSchema } from '../validators/staff.validator.js';
 
 const router = Router();
 
+// Endpoints POS integrations may call with `Authorization: ApiKey ...` (scope required)
+router.get('/items', allowApiKey('items:read'));
+router.get('/clients/search', allowApiKey('clients:read'));
+router.get('/clients/:clientId', allowApiKey('clients:read'));
+router.post('/clients/:clientId/points', allowApiKey('points:apply'));
+router.post('/clients/:clientId/spend', allowApiKey('points:apply'));
+router.post('/scan', allowApiKey('points:apply'));
+router.post('/clients/:clientId/manual', allowApiKey('points:manual'));
+router.get('/transactions', allowApiKey('transactions:read'));
+
 // All business routes require authentication and business_user role
 router.use(authMiddleware);
 router.use(roleMiddleware(['business_user', 'admin']));
+router.use(twoFactorPolicyMiddleware);
 
 /**
  * @swagger
@@ -62,7 +92,7 @@ router.use(roleMiddleware(['business_user', 'admin']));
  *       201:
  *         description: Item created
  */
-router.post('/items', validateBody(createItemSchema), createItem);
+router.post('/items', permissionMiddleware('items:manage'), validateBody(createItemSchema), createItem);
 
 /**
  * @swagger
@@ -82,7 +112,7 @@ router.post('/items', validateBody(createItemSchema), createItem);
  *       200:
  *         description: List of items
  */
-router.get('/items', listItems);
+router.get('/items', permissionMiddleware('items:read'), listItems);
 
 /**
  * @swagger
@@ -117,7 +147,7 @@ router.get('/items', listItems);
  *       200:
  *         description: Item updated
  */
-router.put('/items/:itemId', validateBody(updateItemSchema), updateItem);
+router.put('/items/:itemId', permissionMiddleware('items:manage'), validateBody(updateItemSchema), updateItem);
 
 /**
  * @swagger
@@ -137,7 +167,7 @@ router.put('/items/:itemId', validateBody(updateItemSchema), updateItem);
  *       200:
  *         description: Item deleted
  */
-router.delete('/items/:itemId', deleteItem);
+router.delete('/items/:itemId', permissionMiddleware('items:manage'), deleteItem);
 
 /**
  * @swagger
@@ -164,7 +194,7 @@ router.delete('/items/:itemId', deleteItem);
  *       200:
  *         description: List of matching clients
  */
-router.get('/clients/search', validateQuery(searchClientSchema), searchClients);
+router.get('/clients/search', permissionMiddleware('clients:read'), validateQuery(searchClientSchema), searchClients);
 
 /**
  * @swagger
@@ -180,6 +210,11 @@ router.get('/clients/search', validateQuery(searchClientSchema), searchClients);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Unique key per operation. A retry with the same key and body returns the first response instead of applying the operation again.
  *     requestBody:
  *       required: true
  *       content:
@@ -191,13 +226,110 @@ router.get('/clients/search', validateQuery(searchClientSchema), searchClients);
  *             properties:
  *               itemId:
  *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Scanned rotating QR (or its 6 digits), required when the business has dynamicQrRequired
  *               note:
  *                 type: string
  *     responses:
  *       200:
  *         description: Points operation successful
+ *       403:
+ *         description: The business requires a rotating QR code
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress
+ *       422:
+ *         description: Idempotency-Key already used for a different request
  */
-router.post('/clients/:clientId/points', pointsLimiter, clientOwnershipMiddleware, validateBody(pointsOperationSchema), addPoints);
+router.post('/clients/:clientId/points', pointsLimiter, permissionMiddleware('points:apply'), clientOwnershipMiddleware, validateBody(pointsOperationSchema), idempotencyMiddleware, addPoints);
+
+/**
+ * @swagger
+ * /api/business/clients/{clientId}/spend:
+ *   post:
+ *     summary: Earn points on a purchase amount
+ *     description: Points are computed with the business spendRule (rate, rounding, minimum spend, cap per transaction). The amount and the rule applied are stored on the transaction.
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Unique key per operation. A retry with the same key and body returns the first response instead of applying the operation again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               code:
+ *                 type: string
+ *                 description: Scanned rotating QR (or its 6 digits), required when the business has dynamicQrRequired
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Points earned
+ *       400:
+ *         description: Spend earning disabled, or amount below the minimum spend
+ *       403:
+ *         description: The business requires a rotating QR code
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress
+ *       422:
+ *         description: Idempotency-Key already used for a different request
+ */
+router.post('/clients/:clientId/spend', pointsLimiter, permissionMiddleware('points:apply'), clientOwnershipMiddleware, validateBody(spendOperationSchema), idempotencyMiddleware, addSpend);
+
+/**
+ * @swagger
+ * /api/business/scan:
+ *   post:
+ *     summary: Resolve a scanned QR or typed code to a client, optionally applying an item
+ *     description: The code can be a dynamic card QR (fidelya:{clientId}:{code}), a card dashboard URL, a client ID, a phone number or an email. Without itemId the client summary and the items that can be applied are returned. With itemId the item is applied; a dynamic code is then consumed and cannot be used again.
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               itemId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Client summary with earn/redeem items, or the points operation result
+ *       400:
+ *         description: Invalid or expired code, or card not activated
+ *       403:
+ *         description: Card belongs to another business
+ *       404:
+ *         description: No card found for this code
+ *       409:
+ *         description: Several cards match the phone number or email
+ */
+router.post('/scan', pointsLimiter, permissionMiddleware('points:apply'), validateBody(scanSchema), scan);
 
 /**
  * @swagger
@@ -213,6 +345,11 @@ router.post('/clients/:clientId/points', pointsLimiter, clientOwnershipMiddlewar
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Unique key per operation. A retry with the same key and body returns the first response instead of applying the operation again.
  *     requestBody:
  *       required: true
  *       content:
@@ -229,8 +366,12 @@ router.post('/clients/:clientId/points', pointsLimiter, clientOwnershipMiddlewar
  *     responses:
  *       200:
  *         description: Manual adjustment successful
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress
+ *       422:
+ *         description: Idempotency-Key already used for a different request
  */
-router.post('/clients/:clientId/manual', pointsLimiter, clientOwnershipMiddleware, validateBody(manualPointsSchema), manualPointsAdjust);
+router.post('/clients/:clientId/manual', pointsLimiter, permissionMiddleware('points:manual'), clientOwnershipMiddleware, validateBody(manualPointsSchema), idempotencyMiddleware, manualPointsAdjust);
 
 /**
  * @swagger
@@ -250,7 +391,7 @@ router.post('/clients/:clientId/manual', pointsLimiter, clientOwnershipMiddlewar
  *       200:
  *         description: Client profile with transactions
  */
-router.get('/clients/:clientId', clientOwnershipMiddleware, getClient);
+router.get('/clients/:clientId', permissionMiddleware('clients:read'), clientOwnershipMiddleware, getClient);
 
 /**
  * @swagger
@@ -283,13 +424,52 @@ router.get('/clients/:clientId', clientOwnershipMiddleware, getClient);
  *       200:
  *         description: List of transactions
  */
-router.get('/transactions', listTransactions);
+router.get('/transactions', permissionMiddleware('transactions:read'), listTransactions);
+
+/**
+ * @swagger
+ * /api/business/transactions/{transactionId}/reverse:
+ *   post:
+ *     summary: Reverse a transaction
+ *     description: Creates a compensating transaction (reversalOf) and marks the original as reversed. A transaction can be reversed once. Staff can reverse transactions younger than the business reversalWindowMinutes, managers and owners at any time.
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Reason for the reversal
+ *     responses:
+ *       200:
+ *         description: Reversal transaction
+ *       400:
+ *         description: Not reversible, or insufficient points
+ *       403:
+ *         description: Outside the reversal window
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Already reversed
+ */
+router.post('/transactions/:transactionId/reverse', pointsLimiter, permissionMiddleware('transactions:reverse'), validateBody(reverseTransactionSchema), reverseTransaction);
 
 /**
  * @swagger
  * /api/business/profile:
  *   put:
  *     summary: Update business profile and card design
+ *     description: Nested settings (cardDesign, enrollment, pointsExpiry, spendRule, tiers) are merged, fields left out keep their value. They take the same fields as on business creation.
  *     tags: [Business]
  *     security:
  *       - bearerAuth: []
@@ -315,10 +495,214 @@ router.get('/transactions', listTransactions);
  *                     type: string
  *                   textColor:
  *                     type: string
+ *               enrollment:
+ *                 type: object
+ *               pointsExpiry:
+ *                 type: object
+ *               spendRule:
+ *                 type: object
+ *               tiers:
+ *                 type: object
+ *               reversalWindowMinutes:
+ *                 type: integer
  *     responses:
  *       200:
  *         description: Profile updated
  */
-router.put('/profile', updateProfile);
+router.put('/profile', permissionMiddleware('settings:manage'), validateBody(updateProfileSchema), updateProfile);
+
+/**
+ * @swagger
+ * /api/business/api-keys:
+ *   post:
+ *     summary: Create an API key for POS/integration access
+ *     description: "The full key is returned only once. Send it as `Authorization: ApiKey <key>`."
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [clients:read, items:read, points:apply, points:manual, transactions:read]
+ *               expiresInDays:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: API key created
+ */
+router.post('/api-keys', forbidImpersonation, permissionMiddleware('settings:manage'), validateBody(createApiKeySchema), createApiKey);
+
+/**
+ * @swagger
+ * /api/business/api-keys:
+ *   get:
+ *     summary: List API keys of the business
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of API keys (without secrets)
+ */
+router.get('/api-keys', permissionMiddleware('settings:manage'), listApiKeys);
+
+/**
+ * @swagger
+ * /api/business/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/api-keys/:keyId', forbidImpersonation, permissionMiddleware('settings:manage'), deleteApiKey);
+
+/**
+ * @swagger
+ * /api/business/users:
+ *   post:
+ *     summary: Invite a staff member by email
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               businessRole:
+ *                 type: string
+ *                 enum: [owner, manager, cashier]
+ *                 default: cashier
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       409:
+ *         description: A user with this email already exists
+ */
+router.post('/users', forbidImpersonation, permissionMiddleware('staff:manage'), validateBody(inviteStaffSchema), inviteStaff);
+
+/**
+ * @swagger
+ * /api/business/users:
+ *   get:
+ *     summary: List staff members and pending invitations
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Staff members and pending invitations
+ */
+router.get('/users', permissionMiddleware('staff:manage'), listStaff);
+
+/**
+ * @swagger
+ * /api/business/users/invitations/{invitationId}:
+ *   delete:
+ *     summary: Cancel a pending staff invitation
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation cancelled
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/users/invitations/:invitationId', forbidImpersonation, permissionMiddleware('staff:manage'), cancelStaffInvitation);
+
+/**
+ * @swagger
+ * /api/business/users/{userId}:
+ *   put:
+ *     summary: Change a staff member's role or disable their account
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               businessRole:
+ *                 type: string
+ *                 enum: [owner, manager, cashier]
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Staff member updated (disabling signs them out everywhere)
+ *       404:
+ *         description: Staff member not found
+ */
+router.put('/users/:userId', forbidImpersonation, permissionMiddleware('staff:manage'), validateBody(updateStaffSchema), updateStaff);
+
+/**
+ * @swagger
+ * /api/business/users/{userId}:
+ *   delete:
+ *     summary: Remove a staff member
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff member removed
+ *       404:
+ *         description: Staff member not found
+ */
+router.delete('/users/:userId', forbidImpersonation, permissionMiddleware('staff:manage'), removeStaff);
 
 export default router;
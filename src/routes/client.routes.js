@@ -1,18 +1,88 @@
 import { Router } from 'express';
-import { getDashboard, getQR, activateClient } from '../controllers/client.controller.js';
-import { publicLimiter } from '../middlewares/index.js';
+import {
+  getDashboard,
+  getQR,
+  getBarcode,
+  getApplePass,
+  getGooglePass,
+  activateClient,
+  requestLoginCode,
+  verifyLoginCode,
+  getHistory,
+  enrollClient
+} from '../controllers/client.controller.js';
+import {
+  optionalClientAuthMiddleware,
+  validateBody,
+  validateQuery,
+  publicLimiter,
+  clientOtpLimiter
+} from '../middlewares/index.js';
+import {
+  enrollClientSchema,
+  activateClientSchema,
+  requestClientOtpSchema,
+  verifyClientOtpSchema,
+  clientHistorySchema,
+  clientQrSchema,
+  clientBarcodeSchema
+} from '../validators/client.validator.js';
 
 const router = Router();
 
-// Public routes with rate limiting
+// Public routes with rate limiting (a client token unlocks the owner's view)
 router.use(publicLimiter);
+router.use(optionalClientAuthMiddleware);
+
+/**
+ * @swagger
+ * /api/client/{businessSlug}/enroll:
+ *   post:
+ *     summary: Create a loyalty card from the business's public page
+ *     description: Only available when the business has enrollment enabled. The configured welcome bonus is credited immediately.
+ *     tags: [Client]
+ *     parameters:
+ *       - in: path
+ *         name: businessSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       201:
+ *         description: Card created (client, card URL and QR code)
+ *       403:
+ *         description: Self-enrollment disabled
+ *       409:
+ *         description: A card already exists for this phone number or email
+ */
+router.post('/:businessSlug/enroll', validateBody(enrollClientSchema), enrollClient);
 
 /**
  * @swagger
  * /api/client/{businessSlug}/{clientId}:
  *   get:
  *     summary: Get client dashboard
+ *     description: When the business has customer login enabled, only points are returned unless a client token is sent.
  *     tags: [Client]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: businessSlug
@@ -26,6 +96,11 @@ router.use(publicLimiter);
  *         schema:
  *           type: string
  *         description: The unique client ID (e.g., CAFE-X7F4P2)
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
  *     responses:
  *       200:
  *         description: Client dashboard data
@@ -45,6 +120,16 @@ router.use(publicLimiter);
  *                       type: string
  *                     points:
  *                       type: integer
+ *                     upcomingExpiry:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Points expiring next and when
+ *                       properties:
+ *                         points:
+ *                           type: integer
+ *                         expiresAt:
+ *                           type: string
+ *                           format: date-time
  *                 business:
  *                   type: object
  *                   properties:
@@ -82,6 +167,11 @@ router.get('/:businessSlug/:clientId', getDashboard);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
  *     requestBody:
  *       required: true
  *       content:
@@ -90,35 +180,93 @@ router.get('/:businessSlug/:clientId', getDashboard);
  *             type: object
  *             required:
  *               - name
- *               - activationCode
+ *               - pin
  *             properties:
  *               name:
  *                 type: string
+ *               pin:
+ *                 type: string
+ *                 description: PIN printed on the card
  *               activationCode:
  *                 type: string
+ *                 description: Legacy shared business code (cards without a PIN)
  *     responses:
  *       200:
  *         description: Card activated successfully
  *       400:
  *         description: Invalid input
  *       403:
- *         description: Invalid activation code
+ *         description: Invalid PIN or activation code
+ *       423:
+ *         description: Too many invalid PIN attempts
  */
-router.post('/:businessSlug/:clientId/activate', activateClient);
+router.post('/:businessSlug/:clientId/activate', validateBody(activateClientSchema), activateClient);
 
 /**
  * @swagger
- * /api/client/{clientId}/qr:
+ * /api/client/{businessSlug}/{clientId}/qr:
  *   get:
  *     summary: Get QR code for client
+ *     description: In dynamic mode (or when the business requires it) the QR holds a code rotating every 30 seconds, to be refreshed before expiresAt.
  *     tags: [Client]
  *     parameters:
  *       - in: path
+ *         name: businessSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
  *         name: clientId
  *         required: true
  *         schema:
  *           type: string
  *         description: The unique client ID
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [static, dynamic]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg]
+ *           default: png
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           minimum: 100
+ *           maximum: 1000
+ *           default: 300
+ *         description: Width in pixels
+ *       - in: query
+ *         name: dark
+ *         schema:
+ *           type: string
+ *         description: Module color as hex (e.g. 1e293b)
+ *       - in: query
+ *         name: light
+ *         schema:
+ *           type: string
+ *         description: Background color as hex
+ *       - in: query
+ *         name: ecc
+ *         schema:
+ *           type: string
+ *           enum: [L, M, Q, H]
+ *           default: H
+ *         description: Error correction level
+ *       - in: query
+ *         name: logo
+ *         schema:
+ *           type: boolean
+ *         description: Draw the business logo (or its initial in the card colors) in the middle. SVG only.
  *     responses:
  *       200:
  *         description: QR code data URL
@@ -131,11 +279,288 @@ router.post('/:businessSlug/:clientId/activate', activateClient);
  *                   type: boolean
  *                 clientId:
  *                   type: string
+ *                 mode:
+ *                   type: string
  *                 qrDataUrl:
  *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
  *       404:
  *         description: Client not found
  */
-router.get('/:businessSlug/:clientId/qr', getQR);
+router.get('/:businessSlug/:clientId/qr', validateQuery(clientQrSchema), getQR);
+
+/**
+ * @swagger
+ * /api/client/{businessSlug}/{clientId}/barcode:
+ *   get:
+ *     summary: Get Code 128 barcode for client
+ *     description: For POS scanners that cannot read QR codes. Static barcodes hold the client ID; dynamic ones the rotating code, like the QR.
+ *     tags: [Client]
+ *     parameters:
+ *       - in: path
+ *         name: businessSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [static, dynamic]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg]
+ *           default: png
+ *       - in: query
+ *         name: height
+ *         schema:
+ *           type: integer
+ *           minimum: 5
+ *           maximum: 50
+ *           default: 15
+ *         description: Bar height in millimeters
+ *     responses:
+ *       200:
+ *         description: Barcode data URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 clientId:
+ *                   type: string
+ *                 mode:
+ *                   type: string
+ *                 barcodeDataUrl:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Client not found
+ */
+router.get('/:businessSlug/:clientId/barcode', validateQuery(clientBarcodeSchema), getBarcode);
+
+/**
+ * @swagger
+ * /api/client/{businessSlug}/{clientId}/wallet/apple:
+ *   get:
+ *     summary: Download the card as an Apple Wallet pass
+ *     description: The pass shows the balance and holds the signed card URL in its QR. It needs an activated card, and the card owner's token when customer login is enabled.
+ *     tags: [Client]
+ *     parameters:
+ *       - in: path
+ *         name: businessSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
+ *     responses:
+ *       200:
+ *         description: Signed .pkpass file
+ *         content:
+ *           application/vnd.apple.pkpass:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Card not activated
+ *       401:
+ *         description: Customer login required
+ *       503:
+ *         description: Apple Wallet is not configured
+ */
+router.get('/:businessSlug/:clientId/wallet/apple', getApplePass);
+
+/**
+ * @swagger
+ * /api/client/{businessSlug}/{clientId}/wallet/google:
+ *   get:
+ *     summary: Get a Save to Google Wallet link for the card
+ *     description: Same content as the Apple pass, as a Google Wallet loyalty object.
+ *     tags: [Client]
+ *     parameters:
+ *       - in: path
+ *         name: businessSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
+ *     responses:
+ *       200:
+ *         description: Save link and loyalty object
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 saveUrl:
+ *                   type: string
+ *                 loyaltyObject:
+ *                   type: object
+ *       400:
+ *         description: Card not activated
+ *       401:
+ *         description: Customer login required
+ *       503:
+ *         description: Google Wallet is not configured
+ */
+router.get('/:businessSlug/:clientId/wallet/google', getGooglePass);
+
+/**
+ * @swagger
+ * /api/client/{businessSlug}/{clientId}/otp:
+ *   post:
+ *     summary: Send a one-time login code to the card owner's phone or email
+ *     tags: [Client]
+ *     parameters:
+ *       - in: path
+ *         name: businessSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [sms, email]
+ *     responses:
+ *       200:
+ *         description: Code sent (destination is masked)
+ *       400:
+ *         description: Customer login disabled or no contact details on the card
+ */
+router.post('/:businessSlug/:clientId/otp', clientOtpLimiter, validateBody(requestClientOtpSchema), requestLoginCode);
+
+/**
+ * @swagger
+ * /api/client/{businessSlug}/{clientId}/otp/verify:
+ *   post:
+ *     summary: Exchange a one-time code for a client token
+ *     tags: [Client]
+ *     parameters:
+ *       - in: path
+ *         name: businessSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Client token
+ *       401:
+ *         description: Invalid or expired code
+ */
+router.post('/:businessSlug/:clientId/otp/verify', clientOtpLimiter, validateBody(verifyClientOtpSchema), verifyLoginCode);
+
+/**
+ * @swagger
+ * /api/client/{businessSlug}/{clientId}/transactions:
+ *   get:
+ *     summary: Full transaction history (card owner only)
+ *     tags: [Client]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Signed card token from the QR URL
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated transactions
+ *       401:
+ *         description: Client token missing or for another card
+ */
+router.get('/:businessSlug/:clientId/transactions', validateQuery(clientHistorySchema), getHistory);
 
 export default router;
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import { ApiKey, User } from '../models/index.js';
+
+const KEY_PREFIX = 'fid';
+
+/**
+ * Hash a full API key
+ * @param {string} key - Raw API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Create an API key for a business
+ * Format: fid_{prefix}_{secret}. Only the hash is stored; the raw key is returned once.
+ *
+ * @param {Object} params - Key parameters
+ * @param {string} params.businessId - Business ObjectId
+ * @param {string} params.name - Label (e.g. "Register 1")
+ * @param {string[]} params.scopes - Granted scopes
+ * @param {Date} params.expiresAt - Optional expiry date
+ * @param {string} params.createdBy - User ObjectId creating the key
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+const generateApiKey = async ({ businessId, name, scopes, expiresAt, createdBy }) => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+  const apiKey = await ApiKey.create({
+    businessId,
+    name,
+    prefix,
+    keyHash: hashApiKey(key),
+    scopes,
+    expiresAt: expiresAt || null,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Authenticate a raw API key
+ * @param {string} key - Raw API key from the Authorization header
+ * Keys stop working when their creator is disabled or removed from the business.
+ * @returns {Promise<Object|null>} API key document or null if invalid, revoked or expired
+ */
+const authenticateApiKey = async (key) => {
+  const match = typeof key === 'string' && key.match(/^fid_([a-f0-9]{8})_[a-f0-9]{48}$/);
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey || !apiKey.isValid()) {
+    return null;
+  }
+
+  // Constant-time comparison of the hashes
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  // Actions are attributed to the creator, who must still be an active member
+  const creator = await User.findById(apiKey.createdBy).select('isActive businessId').lean();
+  if (!creator || !creator.isActive || String(creator.businessId) !== String(apiKey.businessId)) {
+    return null;
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+
+  return apiKey;
+};
+
+/**
+ * Revoke an API key of a business
+ * @param {string} businessId - Business ObjectId
+ * @param {string} keyId - API key ObjectId
+ * @returns {Promise<Object|null>} Revoked key or null if not found
+ */
+const revokeApiKey = async (businessId, keyId) => {
+  return ApiKey.findOneAndUpdate(
+    { _id: keyId, businessId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+export { generateApiKey, authenticateApiKey, revokeApiKey };
@@ -1,10 +1,21 @@
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
-import { RefreshToken } from '../models/index.js';
+import { RefreshToken, PasswordResetToken } from '../models/index.js';
+import { signToken, verifyToken } from './jwt.service.js';
+import { logSecurityEvent } from '../config/logger.js';
+import { parseDuration } from '../utils.js';
 
 const SALT_ROUNDS = 12;
 
+/**
+ * Hash an opaque token before storing or looking it up
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Hash a password using bcrypt
  * @param {string} password - Plain text password
@@ -27,9 +38,13 @@ const comparePassword = async (password, hash) => {
 /**
  * Generate JWT access token
  * @param {Object} user - User object
+ * @param {Object} options - Token options
+ * @param {string} options.sessionId - Session (refresh token family) the token belongs to
+ * @param {string} options.impersonatedBy - Admin ObjectId when issued for impersonation
+ * @param {string} options.expiresIn - Override of the default lifetime
  * @returns {string} JWT access token
  */
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, { sessionId, impersonatedBy, expiresIn } = {}) => {
   const payload = {
     userId: user._id,
     email: user.email,
@@ -37,57 +52,113 @@ const generateAccessToken = (user) => {
     businessId: user.businessId || null
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
-    algorithm: 'HS256',
-    issuer: 'fidelya-backend',
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  if (impersonatedBy) {
+    payload.impersonatedBy = impersonatedBy;
+  }
+
+  return signToken(payload, {
+    expiresIn: expiresIn || process.env.JWT_EXPIRES_IN || '15m',
     audience: 'fidelya-app',
     jwtid: crypto.randomBytes(16).toString('hex')
   });
 };
 
+/**
+ * Generate a short-lived token proving the password step of a 2FA login
+ * It cannot be used as an access token (different audience and purpose).
+ * @param {Object} user - User object
+ * @param {string} challengeId - ID of the stored challenge (limits its attempts)
+ * @returns {string} JWT challenge token
+ */
+const generateTwoFactorChallengeToken = (user, challengeId) => {
+  const payload = {
+    userId: user._id,
+    purpose: '2fa_challenge'
+  };
+
+  return signToken(payload, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    audience: 'fidelya-2fa',
+    jwtid: challengeId
+  });
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - JWT challenge token
+ * @returns {Object|null} { userId, challengeId } or null if invalid or expired
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = verifyToken(token, { audience: 'fidelya-2fa' });
+
+    if (decoded.purpose !== '2fa_challenge' || !decoded.jti) {
+      return null;
+    }
+
+    return { userId: decoded.userId, challengeId: decoded.jti };
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Generate refresh token and store in database
  * @param {Object} user - User object
+ * @param {Object} options - Token options
+ * @param {string} options.familyId - Family to attach the token to (a new family is started if omitted)
+ * @param {Date} options.sessionStartedAt - When the session (family) started
+ * @param {string} options.userAgent - Client user agent
+ * @param {string} options.ipAddress - Client IP address
  * @returns {Promise<string>} Refresh token
  */
-const generateRefreshToken = async (user) => {
+const generateRefreshToken = async (user, { familyId, sessionStartedAt, userAgent, ipAddress } = {}) => {
   // Generate random token
   const token = crypto.randomBytes(64).toString('hex');
   
-  // Calculate expiry
-  const expiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
-  const expiresAt = new Date();
-  
-  // Parse expiry string (e.g., '7d', '24h')
-  const match = expiresIn.match(/^(\d+)([dhms])$/);
-  if (match) {
-    const value = parseInt(match[1]);
-    const unit = match[2];
-    const multipliers = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
-    expiresAt.setTime(expiresAt.getTime() + value * multipliers[unit]);
-  } else {
-    // Default 7 days
-    expiresAt.setDate(expiresAt.getDate() + 7);
-  }
+  // Calculate expiry (default 7 days)
+  const expiresIn = parseDuration(process.env.JWT_REFRESH_EXPIRES_IN || '7d', 7 * 86400000);
+  const expiresAt = new Date(Date.now() + expiresIn);
 
   // Store hashed token in database
   await RefreshToken.create({
-    token: crypto.createHash('sha256').update(token).digest('hex'),
+    token: hashToken(token),
     userId: user._id,
-    expiresAt
+    familyId: familyId || crypto.randomUUID(),
+    expiresAt,
+    userAgent,
+    ipAddress,
+    sessionStartedAt: sessionStartedAt || new Date(),
+    lastUsedAt: new Date()
   });
 
   return token;
 };
 
+/**
+ * Start a new session for a user (new refresh token family)
+ * @param {Object} user - User object
+ * @param {Object} context - Device metadata ({ userAgent, ipAddress })
+ * @returns {Promise<Object>} { sessionId, refreshToken }
+ */
+const createSession = async (user, context = {}) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = await generateRefreshToken(user, { ...context, familyId: sessionId });
+
+  return { sessionId, refreshToken };
+};
+
 /**
  * Verify refresh token and return associated user ID
  * @param {string} token - Refresh token
  * @returns {Promise<string|null>} User ID or null if invalid
  */
 const verifyRefreshToken = async (token) => {
-  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  const hashedToken = hashToken(token);
   
   const refreshToken = await RefreshToken.findOne({
     token: hashedToken,
@@ -102,13 +173,92 @@ const verifyRefreshToken = async (token) => {
   return refreshToken.userId;
 };
 
+/**
+ * Revoke every refresh token of a family
+ * @param {string} familyId - Token family ID
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+const revokeTokenFamily = async (familyId) => {
+  // Tokens issued before rotation was introduced have no family
+  if (!familyId) {
+    return 0;
+  }
+
+  const result = await RefreshToken.updateMany(
+    { familyId, isRevoked: false },
+    { isRevoked: true }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new one of the same family
+ * Presenting a token that was already rotated means it has been stolen
+ * (or replayed), so the whole family is revoked.
+ * @param {string} token - Refresh token
+ * @param {Object} context - Device metadata stored on the new token
+ * @param {string} context.userAgent - Client user agent
+ * @param {string} context.ipAddress - Client IP address
+ * @returns {Promise<Object|null>} { userId, sessionId, refreshToken } or null if invalid
+ */
+const rotateRefreshToken = async (token, { userAgent, ipAddress } = {}) => {
+  const refreshToken = await RefreshToken.findOne({ token: hashToken(token) });
+
+  if (!refreshToken || refreshToken.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const reportReuse = async () => {
+    await revokeTokenFamily(refreshToken.familyId);
+    logSecurityEvent('refresh_token_reuse', {
+      userId: refreshToken.userId.toString(),
+      familyId: refreshToken.familyId,
+      ip: ipAddress
+    });
+  };
+
+  if (refreshToken.rotatedAt) {
+    await reportReuse();
+    return null;
+  }
+
+  if (refreshToken.isRevoked) {
+    return null;
+  }
+
+  // Claim the token atomically so concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: refreshToken._id, isRevoked: false, rotatedAt: null },
+    { isRevoked: true, rotatedAt: new Date() }
+  );
+
+  if (!claimed) {
+    await reportReuse();
+    return null;
+  }
+
+  const familyId = refreshToken.familyId || crypto.randomUUID();
+  const newToken = await generateRefreshToken(
+    { _id: refreshToken.userId },
+    {
+      familyId,
+      sessionStartedAt: refreshToken.sessionStartedAt || refreshToken.createdAt,
+      userAgent,
+      ipAddress
+    }
+  );
+
+  return { userId: refreshToken.userId, sessionId: familyId, refreshToken: newToken };
+};
+
 /**
  * Revoke a refresh token
  * @param {string} token - Refresh token to revoke
  * @returns {Promise<boolean>} Success status
  */
 const revokeRefreshToken = async (token) => {
-  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  const hashedToken = hashToken(token);
   
   const result = await RefreshToken.updateOne(
     { token: hashedToken },
@@ -121,23 +271,149 @@ const revokeRefreshToken = async (token) => {
 /**
  * Revoke all refresh tokens for a user
  * @param {string} userId - User ID
+ * @param {Object} options - Revocation options
+ * @param {string} options.exceptToken - Refresh token to keep (the caller's current session)
+ * @param {string} options.exceptSessionId - Session to keep (the caller's current session)
  * @returns {Promise<number>} Number of tokens revoked
  */
-const revokeAllUserTokens = async (userId) => {
+const revokeAllUserTokens = async (userId, { exceptToken, exceptSessionId } = {}) => {
+  const query = { userId, isRevoked: false };
+
+  if (exceptToken) {
+    query.token = { $ne: hashToken(exceptToken) };
+  }
+
+  if (exceptSessionId) {
+    query.familyId = { $ne: exceptSessionId };
+  }
+
   const result = await RefreshToken.updateMany(
-    { userId, isRevoked: false },
+    query,
     { isRevoked: true }
   );
 
   return result.modifiedCount;
 };
 
+/**
+ * List the active sessions of a user (one per refresh token family)
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session of the caller, flagged as current
+ * @returns {Promise<Object[]>} Active sessions, most recently used first
+ */
+const listUserSessions = async (userId, currentSessionId = null) => {
+  const tokens = await RefreshToken.find({
+    userId,
+    familyId: { $ne: null },
+    isRevoked: false,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return tokens.map((token) => ({
+    id: token.familyId,
+    userAgent: token.userAgent || null,
+    ipAddress: token.ipAddress || null,
+    createdAt: token.sessionStartedAt || token.createdAt,
+    lastUsedAt: token.lastUsedAt || token.createdAt,
+    expiresAt: token.expiresAt,
+    current: token.familyId === currentSessionId
+  }));
+};
+
+/**
+ * Revoke one session of a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session (refresh token family) ID
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+const revokeUserSession = async (userId, sessionId) => {
+  const result = await RefreshToken.updateMany(
+    { userId, familyId: sessionId, isRevoked: false },
+    { isRevoked: true }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Check whether a session is still active
+ * @param {string} sessionId - Session (refresh token family) ID
+ * @returns {Promise<boolean>} True if the session has a usable refresh token
+ */
+const isSessionActive = async (sessionId) => {
+  const token = await RefreshToken.exists({
+    familyId: sessionId,
+    isRevoked: false,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return Boolean(token);
+};
+
+/**
+ * Generate a single-use password reset token
+ * Any previously issued, unused reset token for the user is invalidated.
+ * @param {Object} user - User object
+ * @returns {Promise<string>} Raw reset token (only its hash is stored)
+ */
+const generatePasswordResetToken = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Calculate expiry (default 1 hour)
+  const expiresIn = parseDuration(process.env.PASSWORD_RESET_EXPIRES_IN || '1h', 3600000);
+  const expiresAt = new Date(Date.now() + expiresIn);
+
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+  await PasswordResetToken.create({
+    token: hashToken(token),
+    userId: user._id,
+    expiresAt
+  });
+
+  return token;
+};
+
+/**
+ * Consume a password reset token (marks it as used)
+ * @param {string} token - Raw reset token
+ * @returns {Promise<string|null>} User ID or null if invalid, expired or already used
+ */
+const consumePasswordResetToken = async (token) => {
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    {
+      token: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() }
+  );
+
+  if (!resetToken) {
+    return null;
+  }
+
+  return resetToken.userId;
+};
+
 export {
   hashPassword,
   comparePassword,
   generateAccessToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
   generateRefreshToken,
+  createSession,
   verifyRefreshToken,
+  rotateRefreshToken,
   revokeRefreshToken,
-  revokeAllUserTokens
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  listUserSessions,
+  revokeUserSession,
+  isSessionActive,
+  generatePasswordResetToken,
+  consumePasswordResetToken
 };
@@ -0,0 +1,39 @@
+import bwipjs from 'bwip-js';
+
+/**
+ * Generate a Code 128 barcode Data URL (for POS scanners that cannot read QR codes)
+ * @param {string} text - Content to encode (ASCII)
+ * @param {Object} options - Barcode options
+ * @param {string} options.format - png (default) or svg
+ * @param {number} options.height - Bar height in millimeters (default 15)
+ * @param {number} options.scale - Pixels per module for PNG (default 3)
+ * @param {boolean} options.includeText - Print the text under the bars (default true)
+ * @returns {Promise<string>} Barcode Data URL
+ */
+const generateBarcodeDataUrl = async (text, options = {}) => {
+  const barcodeOptions = {
+    bcid: 'code128',
+    text,
+    height: options.height || 15,
+    scale: options.scale || 3,
+    includetext: options.includeText ?? true,
+    textxalign: 'center',
+    paddingwidth: 10,
+    paddingheight: 5,
+    backgroundcolor: 'FFFFFF'
+  };
+
+  try {
+    if (options.format === 'svg') {
+      const svg = bwipjs.toSVG(barcodeOptions);
+      return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+    }
+
+    const buffer = await bwipjs.toBuffer(barcodeOptions);
+    return `data:image/png;base64,${buffer.toString('base64')}`;
+  } catch (error) {
+    throw new Error(`Failed to generate barcode: ${error.message}`);
+  }
+};
+
+export { generateBarcodeDataUrl };
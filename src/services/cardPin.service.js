@@ -0,0 +1,63 @@
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { Client } from '../models/index.js';
+
+// PINs are short-lived scratch codes, a lower cost keeps bulk generation fast
+const PIN_SALT_ROUNDS = 8;
+const MAX_PIN_ATTEMPTS = 5;
+
+/**
+ * Generate a random 6-digit card PIN with its hash
+ * @returns {Promise<Object>} { pin, pinHash }
+ */
+const generateCardPin = async () => {
+  const pin = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const pinHash = await bcrypt.hash(pin, PIN_SALT_ROUNDS);
+  return { pin, pinHash };
+};
+
+/**
+ * Replace the activation PIN of a card and reset its failed attempts
+ * @param {string} clientObjectId - Client ObjectId
+ * @returns {Promise<string>} New raw PIN (only returned here)
+ */
+const resetCardPin = async (clientObjectId) => {
+  const { pin, pinHash } = await generateCardPin();
+
+  await Client.updateOne(
+    { _id: clientObjectId },
+    { activationPin: pinHash, pinAttempts: 0 }
+  );
+
+  return pin;
+};
+
+/**
+ * Verify a card's activation PIN, counting attempts
+ * An attempt is reserved atomically before the comparison, so parallel
+ * guesses cannot get past MAX_PIN_ATTEMPTS. A correct PIN resets the count.
+ * @param {Object} client - Client document selected with +activationPin
+ * @param {string} pin - PIN entered by the customer
+ * @returns {Promise<string>} 'valid', 'invalid' or 'locked'
+ */
+const verifyCardPin = async (client, pin) => {
+  const reserved = await Client.findOneAndUpdate(
+    { _id: client._id, pinAttempts: { $not: { $gte: MAX_PIN_ATTEMPTS } } },
+    { $inc: { pinAttempts: 1 } }
+  );
+
+  if (!reserved) {
+    return 'locked';
+  }
+
+  const isMatch = await bcrypt.compare(String(pin), client.activationPin);
+
+  if (!isMatch) {
+    return 'invalid';
+  }
+
+  await Client.updateOne({ _id: client._id }, { pinAttempts: 0 });
+  return 'valid';
+};
+
+export { generateCardPin, resetCardPin, verifyCardPin };
@@ -0,0 +1,97 @@
+import PDFDocument from 'pdfkit';
+import { generateQRBuffer } from './qrcode.service.js';
+import { generateCardToken } from './cardToken.service.js';
+
+const MM = 72 / 25.4; // PDF points per millimeter
+
+// ISO/IEC 7810 ID-1 cards, 2 x 5 per A4 page
+const CARD_WIDTH = 85.6 * MM;
+const CARD_HEIGHT = 54 * MM;
+const COLUMNS = 2;
+const ROWS = 5;
+const GAP = 6 * MM;
+const PAGE_WIDTH = 210 * MM;
+const PAGE_HEIGHT = 297 * MM;
+const MARGIN_X = (PAGE_WIDTH - COLUMNS * CARD_WIDTH - (COLUMNS - 1) * GAP) / 2;
+const MARGIN_Y = (PAGE_HEIGHT - ROWS * CARD_HEIGHT - (ROWS - 1) * GAP) / 2;
+
+/**
+ * Draw one card at the given position
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} card - { client, pin, qr }
+ * @param {Object} business - Business document
+ * @param {number} x - Left edge in points
+ * @param {number} y - Top edge in points
+ */
+const drawCard = (doc, card, business, x, y) => {
+  const design = business.cardDesign || {};
+  const padding = 4 * MM;
+  const qrSize = CARD_HEIGHT - 2 * padding;
+  const textWidth = CARD_WIDTH - qrSize - 3 * padding;
+
+  doc.roundedRect(x, y, CARD_WIDTH, CARD_HEIGHT, 3 * MM).fill(design.primaryColor || '#0f172a');
+
+  // QR on a white square so it stays readable on dark designs
+  doc.roundedRect(x + CARD_WIDTH - qrSize - padding, y + padding, qrSize, qrSize, 1.5 * MM).fill('#ffffff');
+  doc.image(card.qr, x + CARD_WIDTH - qrSize - padding + MM, y + padding + MM, { width: qrSize - 2 * MM });
+
+  doc.fillColor(design.textColor || '#ffffff');
+
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(business.name, x + padding, y + padding, { width: textWidth, height: 12 * MM, ellipsis: true });
+
+  doc.font('Helvetica').fontSize(7).text('Card number', x + padding, y + CARD_HEIGHT - 22 * MM, { width: textWidth });
+  doc.font('Courier-Bold').fontSize(11).text(card.client.clientId, { width: textWidth });
+
+  if (card.pin) {
+    doc.font('Helvetica').fontSize(7).text('Activation PIN', x + padding, y + CARD_HEIGHT - 11 * MM, { width: textWidth });
+    doc.font('Courier-Bold').fontSize(11).text(card.pin, { width: textWidth });
+  }
+};
+
+/**
+ * Render printable A4 sheets of loyalty cards (10 cards per page)
+ * Each card has the business name, the client ID, the signed card QR and, when
+ * given, its activation PIN, in the business card colors.
+ * @param {Object} business - Business document
+ * @param {Array} cards - [{ client, pin }] in print order
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderCardSheets = async (business, cards) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 0,
+    info: { Title: `${business.name} loyalty cards`, Creator: 'Fidelya' }
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const perPage = COLUMNS * ROWS;
+
+  for (let i = 0; i < cards.length; i++) {
+    const slot = i % perPage;
+    if (i > 0 && slot === 0) {
+      doc.addPage();
+    }
+
+    const qr = await generateQRBuffer(business.slug, cards[i].client.clientId, {
+      cardToken: generateCardToken(cards[i].client),
+      width: 400,
+      margin: 1
+    });
+
+    const x = MARGIN_X + (slot % COLUMNS) * (CARD_WIDTH + GAP);
+    const y = MARGIN_Y + Math.floor(slot / COLUMNS) * (CARD_HEIGHT + GAP);
+    drawCard(doc, { ...cards[i], qr }, business, x, y);
+  }
+
+  doc.end();
+  return done;
+};
+
+export { renderCardSheets };
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+/**
+ * Get the secret used to sign card tokens
+ * @returns {string} CARD_TOKEN_SECRET (falls back to JWT_SECRET)
+ */
+const getCardTokenSecret = () => {
+  const secret = process.env.CARD_TOKEN_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('CARD_TOKEN_SECRET is not configured');
+  }
+
+  return secret;
+};
+
+/**
+ * Generate the opaque token printed in a card's QR URL
+ * HMAC over the card's ObjectId and token version, so rotating the version
+ * invalidates every previously printed URL of the card.
+ * @param {Object} client - Client document
+ * @returns {string} 22-character base64url token
+ */
+const generateCardToken = (client) => {
+  return crypto
+    .createHmac('sha256', getCardTokenSecret())
+    .update(`${client._id}:${client.cardTokenVersion || 0}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+/**
+ * Verify a card token
+ * @param {Object} client - Client document
+ * @param {string} token - Token from the card URL
+ * @returns {boolean} True if the token matches the card's current version
+ */
+const verifyCardToken = (client, token) => {
+  if (typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(generateCardToken(client));
+  const actual = Buffer.from(token);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Whether a card can only be opened with a valid token
+ * Cards printed before signed URLs keep working (grace mode) until the business
+ * requires signed cards or the card's token is rotated.
+ * @param {Object} business - Business document
+ * @param {Object} client - Client document
+ * @returns {boolean} True if the token is mandatory
+ */
+const isCardTokenRequired = (business, client) => {
+  return Boolean(business.signedCardsRequired) || (client.cardTokenVersion || 0) > 0;
+};
+
+export { generateCardToken, verifyCardToken, isCardTokenRequired };
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { ClientOtp } from '../models/index.js';
+import { signToken, verifyToken } from './jwt.service.js';
+import { sendSms } from './sms.service.js';
+import { sendMail } from './mail.service.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+import { parseDuration } from '../utils.js';
+
+const MAX_OTP_ATTEMPTS = 5;
+
+/**
+ * Hash a one-time code, bound to the client it was issued for
+ * @param {string} clientObjectId - Client ObjectId
+ * @param {string} code - Raw code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashOtp = (clientObjectId, code) => {
+  return crypto.createHash('sha256').update(`${clientObjectId}:${code}`).digest('hex');
+};
+
+/**
+ * Mask a phone number or email for display (e.g. "+216 ****78", "j***@mail.com")
+ * @param {string} channel - sms or email
+ * @param {string} destination - Phone number or email
+ * @returns {string} Masked destination
+ */
+const maskDestination = (channel, destination) => {
+  if (channel === 'email') {
+    const [local, domain] = destination.split('@');
+    return `${local[0]}***@${domain}`;
+  }
+
+  return `****${destination.slice(-2)}`;
+};
+
+/**
+ * Send a one-time login code to the client's phone or email
+ * @param {Object} client - Client document
+ * @param {Object} business - Business document (used in the message)
+ * @param {string} [channel] - sms or email (defaults to phone when available)
+ * @returns {Promise<Object>} { channel, destination } with a masked destination
+ */
+const requestClientOtp = async (client, business, channel) => {
+  const selectedChannel = channel || (client.phone ? 'sms' : 'email');
+  const destination = selectedChannel === 'sms' ? client.phone : client.email;
+
+  if (!destination) {
+    throw new ApiError(400, `No ${selectedChannel === 'sms' ? 'phone number' : 'email'} is registered for this card`);
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  // Calculate expiry (default 10 minutes)
+  const expiresIn = parseDuration(process.env.CLIENT_OTP_EXPIRES_IN || '10m', 10 * 60 * 1000);
+
+  await ClientOtp.deleteMany({ clientId: client._id, usedAt: null });
+
+  await ClientOtp.create({
+    clientId: client._id,
+    channel: selectedChannel,
+    codeHash: hashOtp(client._id, code),
+    expiresAt: new Date(Date.now() + expiresIn)
+  });
+
+  const text = `${code} is your ${business.name} loyalty card code. It expires in ${Math.round(expiresIn / 60000)} minutes.`;
+
+  if (selectedChannel === 'sms') {
+    await sendSms({ to: destination, text });
+  } else {
+    await sendMail({ to: destination, subject: `Your ${business.name} login code`, text });
+  }
+
+  return { channel: selectedChannel, destination: maskDestination(selectedChannel, destination) };
+};
+
+/**
+ * Verify a one-time code (single use, limited attempts)
+ * Every try counts as an attempt, the successful one included.
+ * @param {Object} client - Client document
+ * @param {string} code - Code entered by the client
+ * @returns {Promise<boolean>} True if the code is valid
+ */
+const verifyClientOtp = async (client, code) => {
+  // Reserve an attempt before comparing, so parallel guesses cannot exceed the limit
+  const otp = await ClientOtp.findOneAndUpdate(
+    {
+      clientId: client._id,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: MAX_OTP_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 } }
+  );
+
+  if (!otp) {
+    return false;
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(client._id, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return false;
+  }
+
+  // Mark as used atomically so a code cannot be redeemed twice
+  const claimed = await ClientOtp.findOneAndUpdate(
+    { _id: otp._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  return Boolean(claimed);
+};
+
+/**
+ * Generate a client-scoped token (cannot be used as a staff access token)
+ * It stops working when the card's token is rotated.
+ * @param {Object} client - Client document
+ * @returns {string} JWT client token
+ */
+const generateClientToken = (client) => {
+  return signToken(
+    {
+      clientId: client._id,
+      businessId: client.businessId,
+      cardVersion: client.cardTokenVersion || 0
+    },
+    {
+      expiresIn: process.env.CLIENT_TOKEN_EXPIRES_IN || '7d',
+      audience: 'fidelya-client'
+    }
+  );
+};
+
+/**
+ * Verify a client token
+ * @param {string} token - JWT client token
+ * @returns {Object|null} { clientId, businessId, cardVersion } or null if invalid or expired
+ */
+const verifyClientToken = (token) => {
+  try {
+    const decoded = verifyToken(token, { audience: 'fidelya-client' });
+    return {
+      clientId: decoded.clientId,
+      businessId: decoded.businessId,
+      cardVersion: decoded.cardVersion || 0
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+export { requestClientOtp, verifyClientOtp, generateClientToken, verifyClientToken };
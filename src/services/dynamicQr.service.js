@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { Client } from '../models/index.js';
+import { generateTotp, verifyTotp, getTimeStep } from './totp.service.js';
+
+const DYNAMIC_QR_STEP = 30; // seconds
+const DYNAMIC_QR_PREFIX = 'fidelya';
+
+/**
+ * Derive the per-card key behind its rotating codes
+ * Tied to the card token version, so rotating a card also changes its codes.
+ * @param {Object} client - Client document
+ * @returns {Buffer} HMAC key
+ */
+const getDynamicQrKey = (client) => {
+  const secret = process.env.CARD_TOKEN_SECRET || process.env.JWT_SECRET;
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`dynamic-qr:${client._id}:${client.cardTokenVersion || 0}`)
+    .digest();
+};
+
+/**
+ * Generate the current dynamic QR payload of a card
+ * Format: fidelya:{clientId}:{6-digit code}
+ * @param {Object} client - Client document
+ * @param {number} time - Timestamp in milliseconds (defaults to now)
+ * @returns {Object} { payload, code, expiresAt }
+ */
+const generateDynamicQrPayload = (client, time = Date.now()) => {
+  const code = generateTotp(getDynamicQrKey(client), { time, step: DYNAMIC_QR_STEP });
+  const expiresAt = new Date((getTimeStep(time, DYNAMIC_QR_STEP) + 1) * DYNAMIC_QR_STEP * 1000);
+
+  return {
+    payload: `${DYNAMIC_QR_PREFIX}:${client.clientId}:${code}`,
+    code,
+    expiresAt
+  };
+};
+
+/**
+ * Split a scanned dynamic QR payload
+ * @param {string} payload - Scanned string
+ * @returns {Object|null} { clientId, code } or null if not a dynamic payload
+ */
+const parseDynamicQrPayload = (payload) => {
+  const match = typeof payload === 'string' && payload.trim().match(/^fidelya:([A-Za-z0-9-]+):(\d{6})$/i);
+  return match ? { clientId: match[1], code: match[2] } : null;
+};
+
+/**
+ * Check a dynamic code without consuming it (e.g. to look the card up first)
+ * @param {Object} client - Client document
+ * @param {string} code - Scanned code
+ * @returns {boolean} True if the code is valid and was not used yet
+ */
+const verifyDynamicQrCode = (client, code) => {
+  const step = verifyTotp(code, getDynamicQrKey(client), { window: 1, step: DYNAMIC_QR_STEP });
+  return step !== null && !(client.lastDynamicQrStep >= step);
+};
+
+/**
+ * Verify a dynamic code and consume it (each code is accepted once)
+ * One step before/after the current one is tolerated for clock drift and scan delay.
+ * Run it in the session of the operation the code is for, so a failed
+ * operation does not use the code up.
+ * @param {Object} client - Client document
+ * @param {string} code - Scanned code
+ * @param {ClientSession} session - MongoDB session
+ * @returns {Promise<boolean>} True if the code is valid and was not used yet
+ */
+const consumeDynamicQrCode = async (client, code, session) => {
+  const step = verifyTotp(code, getDynamicQrKey(client), { window: 1, step: DYNAMIC_QR_STEP });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Only accept a step newer than the last one scanned
+  const result = await Client.updateOne(
+    { _id: client._id, lastDynamicQrStep: { $not: { $gte: step } } },
+    { $set: { lastDynamicQrStep: step } },
+    { session }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+export { generateDynamicQrPayload, parseDynamicQrPayload, verifyDynamicQrCode, consumeDynamicQrCode };
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import { IdempotencyKey } from '../models/index.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+import { parseDuration } from '../utils.js';
+
+/**
+ * Hash what identifies a request (method, path and body)
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Identify who sends a request, so callers of one business cannot replay each other's keys
+ * @param {Object} req - Express request (authenticated)
+ * @returns {string} apiKey:<id> for integrations, user:<id> otherwise
+ */
+const getIdempotencyCaller = (req) => {
+  return req.apiKey ? `apiKey:${req.apiKey._id}` : `user:${req.user._id}`;
+};
+
+/**
+ * Find the stored response of an idempotency key
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.businessId - Business ObjectId
+ * @param {string} params.caller - Caller, from getIdempotencyCaller
+ * @param {string} params.key - Idempotency-Key header value
+ * @param {string} params.requestHash - Hash of the current request
+ * @param {ClientSession} params.session - Optional MongoDB session
+ * @returns {Promise<Object|null>} Stored response, or null for a new key
+ * @throws {ApiError} 422 when the key was used for a different request
+ */
+const findIdempotentResponse = async ({ businessId, caller, key, requestHash, session }) => {
+  const record = await IdempotencyKey.findOne({ businessId, caller, key }).session(session || null).lean();
+
+  if (!record) {
+    return null;
+  }
+
+  if (record.requestHash !== requestHash) {
+    throw new ApiError(422, 'This Idempotency-Key was already used for a different request');
+  }
+
+  return record.response;
+};
+
+/**
+ * Store the response of a request made with an idempotency key
+ * Meant to run in the session of the operation, so both commit together.
+ * @param {Object} params - Record parameters
+ * @param {string} params.businessId - Business ObjectId
+ * @param {string} params.caller - Caller, from getIdempotencyCaller
+ * @param {string} params.key - Idempotency-Key header value
+ * @param {string} params.requestHash - Hash of the request
+ * @param {Object} params.response - Response body to replay
+ * @param {ClientSession} params.session - MongoDB session
+ */
+const saveIdempotentResponse = async ({ businessId, caller, key, requestHash, response, session }) => {
+  // Calculate expiry (default 24 hours)
+  const ttl = parseDuration(process.env.IDEMPOTENCY_KEY_TTL || '24h', 24 * 60 * 60 * 1000);
+
+  await IdempotencyKey.create(
+    [{
+      businessId,
+      caller,
+      key,
+      requestHash,
+      response,
+      expiresAt: new Date(Date.now() + ttl)
+    }],
+    { session }
+  );
+};
+
+/**
+ * Whether an error comes from two requests racing with the same key
+ * (duplicate key on insert, or a write conflict inside the transaction)
+ * @param {Error} error - Error thrown by MongoDB
+ * @returns {boolean} True for a concurrent use of the key
+ */
+const isIdempotencyConflict = (error) => {
+  return error?.code === 11000 || error?.code === 112;
+};
+
+export { hashRequest, getIdempotencyCaller, findIdempotentResponse, saveIdempotentResponse, isIdempotencyConflict };
@@ -1,4 +1,23 @@
 export * from './auth.service.js';
+export * from './jwt.service.js';
 export * from './clientId.service.js';
+export * from './logo.service.js';
 export * from './qrcode.service.js';
 export * from './transaction.service.js';
+export * from './mail.service.js';
+export * from './totp.service.js';
+export * from './twoFactor.service.js';
+export * from './loginSecurity.service.js';
+export * from './apiKey.service.js';
+export * from './staff.service.js';
+export * from './cardPin.service.js';
+export * from './cardToken.service.js';
+export * from './dynamicQr.service.js';
+export * from './scan.service.js';
+export * from './barcode.service.js';
+export * from './cardPrint.service.js';
+export * from './wallet.service.js';
+export * from './pointsLot.service.js';
+export * from './idempotency.service.js';
+export * from './spendRule.service.js';
+export * from './tier.service.js';
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import logger from '../config/logger.js';
+
+const ISSUER = 'fidelya-backend';
+
+let keyStore = null;
+
+/**
+ * Pick the JWS algorithm matching a key
+ * @param {crypto.KeyObject} key - Public or private key
+ * @returns {string} RS256 or ES256
+ */
+const getAlgorithm = (key) => {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  throw new Error('Unsupported JWT key type (use RSA or EC P-256)');
+};
+
+/**
+ * Load signing keys from JWT_KEYS_DIR
+ * `<kid>.pem` holds a private key (signs and verifies), `<kid>.pub.pem` a public
+ * key kept only to verify tokens signed before a rotation. The key named by
+ * JWT_ACTIVE_KID (or the last private key in name order) signs new tokens.
+ * @returns {Object} { keys: Map<kid, key>, activeKid }
+ */
+const loadKeyStore = () => {
+  const keysDir = path.resolve(process.env.JWT_KEYS_DIR || 'keys/jwt');
+  const keys = new Map();
+
+  if (fs.existsSync(keysDir)) {
+    for (const file of fs.readdirSync(keysDir).sort()) {
+      const match = file.match(/^([A-Za-z0-9_-]+?)(\.pub)?\.pem$/);
+      if (!match) continue;
+
+      const [, kid, isPublic] = match;
+      const pem = fs.readFileSync(path.join(keysDir, file), 'utf8');
+
+      if (isPublic) {
+        if (!keys.has(kid)) {
+          const publicKey = crypto.createPublicKey(pem);
+          keys.set(kid, { kid, publicKey, algorithm: getAlgorithm(publicKey) });
+        }
+        continue;
+      }
+
+      const privateKey = crypto.createPrivateKey(pem);
+      const publicKey = crypto.createPublicKey(privateKey);
+      keys.set(kid, { kid, privateKey, publicKey, algorithm: getAlgorithm(publicKey) });
+    }
+  }
+
+  if (keys.size === 0) {
+    logger.warn('No JWT keys found in JWT_KEYS_DIR, falling back to HS256 with JWT_SECRET');
+    return { keys, activeKid: null };
+  }
+
+  const signingKids = [...keys.values()].filter((key) => key.privateKey).map((key) => key.kid);
+  const activeKid = process.env.JWT_ACTIVE_KID || signingKids[signingKids.length - 1];
+
+  if (!keys.get(activeKid)?.privateKey) {
+    throw new Error(`JWT_ACTIVE_KID "${activeKid}" has no private key in JWT_KEYS_DIR`);
+  }
+
+  logger.info(`Loaded ${keys.size} JWT key(s), signing with "${activeKid}"`);
+  return { keys, activeKid };
+};
+
+/**
+ * Get the loaded key store (keys are read once per process)
+ * @returns {Object} { keys, activeKid }
+ */
+const getKeyStore = () => {
+  if (!keyStore) {
+    keyStore = loadKeyStore();
+  }
+  return keyStore;
+};
+
+/**
+ * Sign a JWT with the active key
+ * @param {Object} payload - Token claims
+ * @param {Object} options - Signing options
+ * @param {string} options.audience - Token audience
+ * @param {string} options.expiresIn - Token lifetime (e.g. '15m')
+ * @param {string} options.jwtid - Optional token ID
+ * @returns {string} Signed JWT
+ */
+const signToken = (payload, { audience, expiresIn, jwtid }) => {
+  const { keys, activeKid } = getKeyStore();
+  const options = { issuer: ISSUER, audience, expiresIn };
+
+  if (jwtid) {
+    options.jwtid = jwtid;
+  }
+
+  if (!activeKid) {
+    return jwt.sign(payload, process.env.JWT_SECRET, { ...options, algorithm: 'HS256' });
+  }
+
+  const key = keys.get(activeKid);
+  return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.algorithm, keyid: activeKid });
+};
+
+/**
+ * Verify a JWT (signature, algorithm, issuer, audience and expiry)
+ * Throws the jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure.
+ * @param {string} token - JWT
+ * @param {Object} options - Verification options
+ * @param {string} options.audience - Expected audience
+ * @returns {Object} Decoded payload
+ */
+const verifyToken = (token, { audience }) => {
+  const { keys, activeKid } = getKeyStore();
+  const options = { issuer: ISSUER, audience };
+
+  if (!activeKid) {
+    return jwt.verify(token, process.env.JWT_SECRET, { ...options, algorithms: ['HS256'] });
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keys.get(decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('invalid key id');
+  }
+
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+};
+
+/**
+ * Public keys as a JSON Web Key Set
+ * @returns {Object} { keys: [...] }
+ */
+const getJwks = () => {
+  const { keys } = getKeyStore();
+
+  return {
+    keys: [...keys.values()].map((key) => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig'
+    }))
+  };
+};
+
+export { signToken, verifyToken, getJwks };
@@ -0,0 +1,110 @@
+import { User, LoginAttempt } from '../models/index.js';
+import logger, { logSecurityEvent } from '../config/logger.js';
+
+const DEFAULT_MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Record a login attempt in the history
+ * Failures to write the history are logged but never block a login.
+ * @param {Object} attempt - Attempt details
+ * @param {string} attempt.email - Email used
+ * @param {string} attempt.userId - Matching user ID (if any)
+ * @param {string} attempt.outcome - Attempt outcome
+ * @param {string} attempt.ipAddress - Client IP address
+ * @param {string} attempt.userAgent - Client user agent
+ * @returns {Promise<void>}
+ */
+const recordLoginAttempt = async ({ email, userId, outcome, ipAddress, userAgent }) => {
+  try {
+    await LoginAttempt.create({ email, userId, outcome, ipAddress, userAgent });
+  } catch (error) {
+    logger.error(`Failed to record login attempt: ${error.message}`);
+  }
+};
+
+/**
+ * Check whether an account is currently locked
+ * @param {Object} user - User object
+ * @returns {boolean} True if locked
+ */
+const isAccountLocked = (user) => {
+  return Boolean(user.lockUntil && user.lockUntil > new Date());
+};
+
+/**
+ * Register a failed login and lock the account once the threshold is reached
+ * Each successive lockout doubles the lock duration (15 min, 30 min, 1 h, ... up to 24 h).
+ * @param {Object} user - User object
+ * @returns {Promise<Date|null>} Lock expiry if the account was just locked
+ */
+const registerFailedLogin = async (user) => {
+  const maxAttempts = parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS, 10) || DEFAULT_MAX_FAILED_ATTEMPTS;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < maxAttempts) {
+    return null;
+  }
+
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** updated.lockoutCount, MAX_LOCK_MS);
+  const lockUntil = new Date(Date.now() + lockMs);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil },
+      $inc: { lockoutCount: 1 }
+    }
+  );
+
+  logSecurityEvent('account_locked', {
+    userId: user._id.toString(),
+    email: user.email,
+    lockUntil: lockUntil.toISOString()
+  });
+
+  return lockUntil;
+};
+
+/**
+ * Reset failed login counters after a successful login
+ * @param {Object} user - User object
+ * @returns {Promise<void>}
+ */
+const resetFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockUntil) {
+    return;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null } }
+  );
+};
+
+/**
+ * Manually unlock an account
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+const unlockAccount = async (userId) => {
+  return User.findByIdAndUpdate(
+    userId,
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null } },
+    { new: true }
+  );
+};
+
+export {
+  recordLoginAttempt,
+  isAccountLocked,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockAccount
+};
@@ -0,0 +1,160 @@
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import logger from '../config/logger.js';
+
+const LOGO_MAX_BYTES = 512 * 1024;
+const LOGO_FETCH_TIMEOUT = 3000; // ms
+const LOGO_CACHE_TTL = 10 * 60 * 1000; // ms
+const LOGO_CACHE_MAX_ENTRIES = 200;
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml', 'image/webp'];
+
+// Addresses a logo must never be fetched from (the URL is set by business owners)
+const privateAddresses = new net.BlockList();
+privateAddresses.addSubnet('0.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('10.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('100.64.0.0', 10, 'ipv4');
+privateAddresses.addSubnet('127.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('169.254.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('172.16.0.0', 12, 'ipv4');
+privateAddresses.addSubnet('192.168.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('224.0.0.0', 3, 'ipv4');
+privateAddresses.addAddress('::', 'ipv6');
+privateAddresses.addAddress('::1', 'ipv6');
+privateAddresses.addSubnet('fc00::', 7, 'ipv6');
+privateAddresses.addSubnet('fe80::', 10, 'ipv6');
+privateAddresses.addSubnet('ff00::', 8, 'ipv6');
+
+// Fetched logos by URL (dynamic QR codes are refreshed every 30 seconds)
+const logoCache = new Map();
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise internal
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched from
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return privateAddresses.check(mapped[1], 'ipv4');
+  }
+
+  return privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup replacement refusing internal addresses
+ * Used as the connection's lookup, so the checked address is the one connected
+ * to (a second DNS answer cannot point somewhere else).
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Download an image over https from a public address
+ * Redirects are not followed and the body is limited to LOGO_MAX_BYTES.
+ * @param {string} logoUrl - Logo URL
+ * @returns {Promise<Object>} { contentType, data }
+ */
+const fetchLogo = (logoUrl) => {
+  const url = new URL(logoUrl);
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+
+  // IP literals skip the lookup, check them here
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return Promise.reject(new Error('Logo URL points to a private address'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { lookup: publicLookup, signal: AbortSignal.timeout(LOGO_FETCH_TIMEOUT) }, (response) => {
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+
+      if (response.statusCode !== 200 || !LOGO_TYPES.includes(contentType)) {
+        response.resume();
+        return reject(new Error(`Unexpected response (${response.statusCode}, ${contentType || 'no content type'})`));
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > LOGO_MAX_BYTES) {
+          request.destroy(new Error('Logo is too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ contentType, data: Buffer.concat(chunks) }));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+  });
+};
+
+/**
+ * Cache a logo result, evicting expired entries (then the oldest) when full
+ * @param {string} logoUrl - Logo URL
+ * @param {Object|null} image - Loaded image or null
+ */
+const cacheLogo = (logoUrl, image) => {
+  const now = Date.now();
+
+  if (logoCache.size >= LOGO_CACHE_MAX_ENTRIES) {
+    for (const [url, entry] of logoCache) {
+      if (entry.expiresAt <= now) logoCache.delete(url);
+    }
+  }
+
+  if (logoCache.size >= LOGO_CACHE_MAX_ENTRIES) {
+    logoCache.delete(logoCache.keys().next().value);
+  }
+
+  logoCache.delete(logoUrl);
+  logoCache.set(logoUrl, { image, expiresAt: now + LOGO_CACHE_TTL });
+};
+
+/**
+ * Download a business logo
+ * Only https images up to 512 KB on public addresses are accepted. Results
+ * (and failures) are cached.
+ * @param {string} logoUrl - Logo URL
+ * @returns {Promise<Object|null>} { contentType, data } or null if the logo cannot be used
+ */
+const loadLogoImage = async (logoUrl) => {
+  const cached = logoCache.get(logoUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.image;
+  }
+
+  let image = null;
+
+  try {
+    if (!logoUrl.startsWith('https://')) {
+      throw new Error('Logo URL must use https');
+    }
+
+    image = await fetchLogo(logoUrl);
+  } catch (error) {
+    logger.warn(`Cannot load logo ${logoUrl}: ${error.message}`);
+  }
+
+  cacheLogo(logoUrl, image);
+  return image;
+};
+
+export { loadLogoImage };
@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+/**
+ * Built-in mail transports
+ * A transport is an async function receiving the message to deliver.
+ * Real providers (SMTP, SES, ...) can be plugged in with registerMailTransport.
+ */
+const transports = {
+  // Log the message instead of sending it (local development)
+  console: async (message) => {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  // Write each message as a JSON file in the outbox directory
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || 'logs/mail';
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+/**
+ * Register (or replace) a mail transport
+ * @param {string} name - Transport name, selected with MAIL_TRANSPORT
+ * @param {Function} transport - Async function receiving { from, to, subject, text, html }
+ */
+const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - Optional HTML body
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@fidelya.app',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+export { sendMail, registerMailTransport };
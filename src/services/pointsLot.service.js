@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import { PointsLot } from '../models/index.js';
+
+/**
+ * Compute when points earned at a given time expire under the business policy
+ * - rolling: `months` months after earning
+ * - fixed_date: on `month`/`day` of the calendar year after earning (the day
+ *   is clamped to the end of shorter months)
+ * @param {Object} business - Business document
+ * @param {Date} earnedAt - Earning date
+ * @returns {Date|null} Expiry date, or null if points never expire
+ */
+const computeLotExpiry = (business, earnedAt) => {
+  const policy = business.pointsExpiry?.policy || 'none';
+
+  if (policy === 'rolling') {
+    const expiresAt = new Date(earnedAt);
+    const day = expiresAt.getUTCDate();
+    expiresAt.setUTCDate(1);
+    expiresAt.setUTCMonth(expiresAt.getUTCMonth() + business.pointsExpiry.months);
+    const lastDay = new Date(Date.UTC(expiresAt.getUTCFullYear(), expiresAt.getUTCMonth() + 1, 0)).getUTCDate();
+    expiresAt.setUTCDate(Math.min(day, lastDay));
+    return expiresAt;
+  }
+
+  if (policy === 'fixed_date') {
+    const { month, day } = business.pointsExpiry;
+    const year = earnedAt.getUTCFullYear() + 1;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    // End of the expiry day
+    return new Date(Date.UTC(year, month - 1, Math.min(day, lastDay), 23, 59, 59, 999));
+  }
+
+  return null;
+};
+
+/**
+ * Record points credited to a client as a new lot
+ * When the balance was negative, only the part above zero is tracked.
+ * @param {Object} params - Lot parameters
+ * @param {Object} params.client - Client document (before the operation)
+ * @param {Object} params.business - Business document
+ * @param {number} params.points - Points credited
+ * @param {number} params.afterPoints - Balance after the operation
+ * @param {string} params.transactionId - Crediting transaction ObjectId
+ * @param {ClientSession} params.session - MongoDB session
+ */
+const creditPointsLot = async ({ client, business, points, afterPoints, transactionId, session }) => {
+  const lotPoints = Math.min(points, afterPoints);
+  if (lotPoints <= 0) {
+    return;
+  }
+
+  const earnedAt = new Date();
+
+  await PointsLot.create(
+    [{
+      clientId: client._id,
+      businessId: client.businessId,
+      transactionId,
+      points: lotPoints,
+      remaining: lotPoints,
+      earnedAt,
+      expiresAt: computeLotExpiry(business, earnedAt)
+    }],
+    { session }
+  );
+};
+
+/**
+ * Consume points from a client's lots, oldest first
+ * Points earned before lots existed are not in any lot; they count as the
+ * oldest and are used up before any lot.
+ * @param {Object} params - Consumption parameters
+ * @param {Object} params.client - Client document (before the operation)
+ * @param {number} params.points - Points debited (positive)
+ * @param {ClientSession} params.session - MongoDB session
+ */
+const consumePointsLots = async ({ client, points, session }) => {
+  const lots = await PointsLot.find({ clientId: client._id, remaining: { $gt: 0 } })
+    .sort({ earnedAt: 1, _id: 1 })
+    .session(session);
+
+  const tracked = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+  let toConsume = points - Math.max(0, client.points - tracked);
+
+  for (const lot of lots) {
+    if (toConsume <= 0) break;
+
+    const used = Math.min(lot.remaining, toConsume);
+    await PointsLot.updateOne({ _id: lot._id }, { $inc: { remaining: -used } }, { session });
+    toConsume -= used;
+  }
+};
+
+/**
+ * Points of a client expiring next
+ * @param {string} clientObjectId - Client ObjectId
+ * @returns {Promise<Object|null>} { points, expiresAt } for the earliest expiry date, or null
+ */
+const getUpcomingExpiry = async (clientObjectId) => {
+  const [next] = await PointsLot.aggregate([
+    {
+      $match: {
+        clientId: new mongoose.Types.ObjectId(clientObjectId),
+        remaining: { $gt: 0 },
+        expiresAt: { $ne: null }
+      }
+    },
+    { $group: { _id: '$expiresAt', points: { $sum: '$remaining' } } },
+    { $sort: { _id: 1 } },
+    { $limit: 1 }
+  ]);
+
+  return next ? { points: next.points, expiresAt: next._id } : null;
+};
+
+export { computeLotExpiry, creditPointsLot, consumePointsLots, getUpcomingExpiry };
@@ -1,60 +1,127 @@
 import QRCode from 'qrcode';
+import { loadLogoImage } from './logo.service.js';
 
 /**
- * Generate QR Code Data URL
- * @param {string} businessSlug - Business slug
- * @param {string} clientId - Client ID string
+ * Build the options passed to the qrcode library
+ * @param {Object} options - QR code options (see generateQRDataUrlForText)
+ * @returns {Object} qrcode options
+ */
+const buildQROptions = (options) => ({
+  width: options.width || 300,
+  margin: options.margin ?? 2,
+  color: {
+    dark: options.darkColor || '#000000',
+    light: options.lightColor || '#FFFFFF'
+  },
+  // A logo hides the center modules, so it always needs the highest level
+  errorCorrectionLevel: options.logo ? 'H' : options.errorCorrectionLevel || 'H'
+});
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => {
+  return String(text).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+};
+
+/**
+ * Draw a logo in the middle of a QR code SVG
+ * Uses the business logo when it can be loaded, otherwise a badge with the
+ * business initial in its card colors.
+ * @param {string} svg - QR code SVG
+ * @param {Object} logo - { url, name, backgroundColor, textColor }
+ * @returns {Promise<string>} SVG with the logo
+ */
+const addLogoToSvg = async (svg, logo) => {
+  const [, size] = svg.match(/viewBox="0 0 (\d+) \d+"/);
+  const badgeSize = size * 0.22;
+  const offset = (size - badgeSize) / 2;
+  const padding = badgeSize * 0.1;
+
+  const image = logo.url ? await loadLogoImage(logo.url) : null;
+  const logoDataUri = image && `data:${image.contentType};base64,${image.data.toString('base64')}`;
+
+  let overlay;
+  if (logoDataUri) {
+    overlay = `<rect x="${offset}" y="${offset}" width="${badgeSize}" height="${badgeSize}" rx="${padding}" fill="#FFFFFF"/>`
+      + `<image x="${offset + padding}" y="${offset + padding}" width="${badgeSize - 2 * padding}" height="${badgeSize - 2 * padding}" href="${logoDataUri}" preserveAspectRatio="xMidYMid meet"/>`;
+  } else {
+    const initial = escapeXml((logo.name || '?').trim().charAt(0).toUpperCase());
+    overlay = `<rect x="${offset}" y="${offset}" width="${badgeSize}" height="${badgeSize}" rx="${padding}" fill="${escapeXml(logo.backgroundColor || '#0f172a')}"/>`
+      + `<text x="${size / 2}" y="${size / 2}" font-family="Arial, sans-serif" font-weight="bold" font-size="${badgeSize * 0.6}" fill="${escapeXml(logo.textColor || '#ffffff')}" text-anchor="middle" dominant-baseline="central">${initial}</text>`;
+  }
+
+  return svg.replace('</svg>', `${overlay}</svg>`);
+};
+
+/**
+ * Generate a QR Code Data URL for any text
+ * @param {string} text - Content to encode
  * @param {Object} options - QR code options
+ * @param {string} options.format - png (default) or svg
+ * @param {number} options.width - Image width in pixels (default 300)
+ * @param {number} options.margin - Quiet zone in modules (default 2)
+ * @param {string} options.darkColor - Module color (default #000000)
+ * @param {string} options.lightColor - Background color (default #FFFFFF)
+ * @param {string} options.errorCorrectionLevel - L, M, Q or H (default H)
+ * @param {Object} options.logo - Logo drawn in the middle, SVG only ({ url, name, backgroundColor, textColor })
  * @returns {Promise<string>} QR Code Data URL
  */
-const generateQRDataUrl = async (businessSlug, clientId, options = {}) => {
-  // Generate URL pointing to client dashboard
-  // Format: /:businessSlug/client/:clientId
-  const dashboardUrl = process.env.CLIENT_DASHBOARD_URL || 'https://fidelya-roan.vercel.app';
-  const url = `${dashboardUrl}/${businessSlug}/client/${clientId}`;
-
-  const qrOptions = {
-    type: 'image/png',
-    width: options.width || 300,
-    margin: options.margin || 2,
-    color: {
-      dark: options.darkColor || '#000000',
-      light: options.lightColor || '#FFFFFF'
-    },
-    errorCorrectionLevel: 'H' // High error correction for durability
-  };
+const generateQRDataUrlForText = async (text, options = {}) => {
+  const qrOptions = buildQROptions(options);
 
   try {
-    const dataUrl = await QRCode.toDataURL(url, qrOptions);
+    if (options.format === 'svg') {
+      let svg = await QRCode.toString(text, { ...qrOptions, type: 'svg' });
+
+      if (options.logo) {
+        svg = await addLogoToSvg(svg, options.logo);
+      }
+
+      return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+    }
+
+    if (options.logo) {
+      throw new Error('Logo overlay is only available in SVG format');
+    }
+
+    const dataUrl = await QRCode.toDataURL(text, { ...qrOptions, type: 'image/png' });
     return dataUrl;
   } catch (error) {
     throw new Error(`Failed to generate QR code: ${error.message}`);
   }
 };
 
+/**
+ * Generate QR Code Data URL
+ * @param {string} businessSlug - Business slug
+ * @param {string} clientId - Client ID string
+ * @param {Object} options - QR code options
+ * @param {string} options.cardToken - Signed card token added to the URL
+ * @returns {Promise<string>} QR Code Data URL
+ */
+const generateQRDataUrl = async (businessSlug, clientId, options = {}) => {
+  // Generate URL pointing to client dashboard
+  // Format: /:businessSlug/client/:clientId?t=:cardToken
+  const url = getClientDashboardUrl(businessSlug, clientId, options.cardToken);
+
+  return generateQRDataUrlForText(url, options);
+};
+
 /**
  * Generate QR code as buffer (for file saving)
+ * @param {string} businessSlug - Business slug
  * @param {string} clientId - Client ID to encode
- * @param {Object} options - QR code options
+ * @param {Object} options - QR code options (see generateQRDataUrl)
  * @returns {Promise<Buffer>} PNG buffer
  */
 const generateQRBuffer = async (businessSlug, clientId, options = {}) => {
-  const dashboardUrl = process.env.CLIENT_DASHBOARD_URL || 'https://fidelya-roan.vercel.app';
-  const url = `${dashboardUrl}/${businessSlug}/client/${clientId}`;
-
-  const qrOptions = {
-    type: 'png',
-    width: options.width || 300,
-    margin: options.margin || 2,
-    color: {
-      dark: options.darkColor || '#000000',
-      light: options.lightColor || '#FFFFFF'
-    },
-    errorCorrectionLevel: 'H'
-  };
+  const url = getClientDashboardUrl(businessSlug, clientId, options.cardToken);
 
   try {
-    const buffer = await QRCode.toBuffer(url, qrOptions);
+    const buffer = await QRCode.toBuffer(url, { ...buildQROptions(options), type: 'png' });
     return buffer;
   } catch (error) {
     throw new Error(`Failed to generate QR code buffer: ${error.message}`);
@@ -63,12 +130,15 @@ const generateQRBuffer = async (businessSlug, clientId, options = {}) => {
 
 /**
  * Get the URL that would be encoded in the QR code
+ * @param {string} businessSlug - Business slug
  * @param {string} clientId - Client ID
+ * @param {string} [cardToken] - Signed card token
  * @returns {string} Dashboard URL
  */
-const getClientDashboardUrl = (businessSlug, clientId) => {
+const getClientDashboardUrl = (businessSlug, clientId, cardToken) => {
   const dashboardUrl = process.env.CLIENT_DASHBOARD_URL || 'https://fidelya-roan.vercel.app';
-  return `${dashboardUrl}/${businessSlug}/client/${clientId}`;
+  const url = `${dashboardUrl}/${businessSlug}/client/${clientId}`;
+  return cardToken ? `${url}?t=${cardToken}` : url;
 };
 
-export { generateQRDataUrl, generateQRBuffer, getClientDashboardUrl };
+export { generateQRDataUrl, generateQRDataUrlForText, generateQRBuffer, getClientDashboardUrl };
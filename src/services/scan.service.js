@@ -0,0 +1,115 @@
+import { Client } from '../models/index.js';
+import { parseDynamicQrPayload } from './dynamicQr.service.js';
+import { verifyCardToken, isCardTokenRequired } from './cardToken.service.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+import { escapeRegExp } from '../utils.js';
+
+const PHONE_PATTERN = /^[+]?[\d\s-]{8,20}$/;
+
+/**
+ * Work out what a scanned or typed string is
+ * Accepts a dynamic QR payload, a card dashboard URL, an email, a phone number
+ * or a bare client ID (in that order).
+ * @param {string} raw - Scanned or typed string
+ * @returns {Object} { type: 'dynamic'|'url'|'email'|'phone'|'clientId', ... }
+ */
+const parseScannedCode = (raw) => {
+  const value = String(raw).trim();
+
+  const dynamic = parseDynamicQrPayload(value);
+  if (dynamic) {
+    return { type: 'dynamic', clientId: dynamic.clientId, code: dynamic.code };
+  }
+
+  if (/^https?:\/\//i.test(value)) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new ApiError(400, 'Unrecognized card code');
+    }
+
+    // Dashboard URLs look like /{businessSlug}/client/{clientId}?t={token}
+    const segments = url.pathname.split('/').filter(Boolean);
+    if (segments.length < 3 || segments[segments.length - 2] !== 'client') {
+      throw new ApiError(400, 'Unrecognized card code');
+    }
+
+    return {
+      type: 'url',
+      businessSlug: decodeURIComponent(segments[segments.length - 3]),
+      clientId: decodeURIComponent(segments[segments.length - 1]),
+      cardToken: url.searchParams.get('t')
+    };
+  }
+
+  if (value.includes('@')) {
+    return { type: 'email', email: value.toLowerCase() };
+  }
+
+  if (PHONE_PATTERN.test(value)) {
+    return { type: 'phone', phone: value };
+  }
+
+  return { type: 'clientId', clientId: value };
+};
+
+/**
+ * Find the clients of a business registered with a phone number
+ * Spaces and dashes are ignored, since numbers are stored as typed at enrollment.
+ * @param {string} businessId - Business ObjectId
+ * @param {string} phone - Phone number
+ * @returns {Promise<Array>} Matching clients
+ */
+const findClientsByPhone = (businessId, phone) => {
+  const digits = phone.replace(/\D/g, '');
+  const pattern = digits.split('').map(escapeRegExp).join('[\\s-]*');
+  const prefix = phone.startsWith('+') ? '\\+' : '\\+?';
+
+  return Client.find({ businessId, phone: new RegExp(`^${prefix}[\\s-]*${pattern}$`) }).limit(2);
+};
+
+/**
+ * Resolve a scanned or typed string to a client of the given business
+ * @param {string} raw - Scanned or typed string
+ * @param {Object} business - Business of the staff member scanning
+ * @returns {Promise<Object>} { client, scanned } where scanned is the parsed code
+ */
+const resolveScannedClient = async (raw, business) => {
+  const scanned = parseScannedCode(raw);
+
+  if (scanned.type === 'url' && scanned.businessSlug !== business.slug) {
+    throw new ApiError(403, 'This card belongs to another business');
+  }
+
+  let client;
+
+  if (scanned.type === 'email' || scanned.type === 'phone') {
+    const clients = scanned.type === 'email'
+      ? await Client.find({ businessId: business._id, email: scanned.email }).limit(2)
+      : await findClientsByPhone(business._id, scanned.phone);
+
+    if (clients.length > 1) {
+      throw new ApiError(409, 'Several cards match, please scan the card instead');
+    }
+    client = clients[0];
+  } else {
+    client = await Client.findOne({ businessId: business._id, clientId: scanned.clientId });
+  }
+
+  if (!client) {
+    throw new ApiError(404, 'No card found for this code in your business');
+  }
+
+  // A printed URL must carry the card's current token (a rotated card's old QR is rejected)
+  if (scanned.type === 'url') {
+    const tokenValid = scanned.cardToken ? verifyCardToken(client, scanned.cardToken) : !isCardTokenRequired(business, client);
+    if (!tokenValid) {
+      throw new ApiError(400, 'This card QR is no longer valid');
+    }
+  }
+
+  return { client, scanned };
+};
+
+export { parseScannedCode, resolveScannedClient };
@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+/**
+ * Built-in SMS transports
+ * A transport is an async function receiving the message to deliver.
+ * Real gateways (Twilio, Vonage, ...) can be plugged in with registerSmsTransport.
+ */
+const transports = {
+  // Log the message instead of sending it (local development)
+  console: async (message) => {
+    logger.info(`SMS to ${message.to}: ${message.text}`);
+  },
+
+  // Write each message as a JSON file in the outbox directory
+  file: async (message) => {
+    const outboxDir = process.env.SMS_OUTBOX_DIR || 'logs/sms';
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+/**
+ * Register (or replace) an SMS transport
+ * @param {string} name - Transport name, selected with SMS_TRANSPORT
+ * @param {Function} transport - Async function receiving { from, to, text }
+ */
+const registerSmsTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Send a text message through the configured transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient phone number
+ * @param {string} message.text - Message body
+ * @returns {Promise<void>}
+ */
+const sendSms = async ({ to, text }) => {
+  const transportName = process.env.SMS_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.SMS_FROM || 'Fidelya',
+    to,
+    text
+  });
+};
+
+export { sendSms, registerSmsTransport };
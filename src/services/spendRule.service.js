@@ -0,0 +1,45 @@
+const ROUNDING = {
+  floor: Math.floor,
+  round: Math.round,
+  ceil: Math.ceil
+};
+
+/**
+ * Compute the points earned for a purchase amount under a spend rule
+ * amount x rate is rounded with the rule's mode, then capped at
+ * maxPointsPerTransaction. Amounts below minSpend earn nothing.
+ * @param {number} amount - Purchase amount
+ * @param {Object} spendRule - Spend rule, as returned by snapshotSpendRule
+ * @returns {number} Points earned (0 if below the minimum spend)
+ */
+const computeSpendPoints = (amount, spendRule) => {
+  if (amount < spendRule.minSpend) {
+    return 0;
+  }
+
+  // Drop floating point noise first (0.3 x 10 = 3.0000000000000004 must not ceil to 4)
+  const rawPoints = Math.round(amount * spendRule.rate * 1e6) / 1e6;
+  const points = ROUNDING[spendRule.rounding](rawPoints);
+
+  if (spendRule.maxPointsPerTransaction) {
+    return Math.min(points, spendRule.maxPointsPerTransaction);
+  }
+
+  return points;
+};
+
+/**
+ * Copy of a spend rule, with defaults for unset fields
+ * Stored on each spend transaction so later rule changes do not alter how
+ * past earnings read.
+ * @param {Object} spendRule - Business spend rule
+ * @returns {Object} { rate, rounding, minSpend, maxPointsPerTransaction }
+ */
+const snapshotSpendRule = (spendRule) => ({
+  rate: spendRule.rate ?? 1,
+  rounding: spendRule.rounding || 'floor',
+  minSpend: spendRule.minSpend ?? 0,
+  maxPointsPerTransaction: spendRule.maxPointsPerTransaction ?? null
+});
+
+export { computeSpendPoints, snapshotSpendRule };
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { User, StaffInvitation } from '../models/index.js';
+import { hashPassword } from './auth.service.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+import { parseDuration } from '../utils.js';
+
+/**
+ * Hash an invitation token
+ * @param {string} token - Raw invitation token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashInvitationToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Create a staff invitation for a business
+ * Replaces any pending invitation for the same email in the same business.
+ *
+ * @param {Object} params - Invitation parameters
+ * @param {string} params.businessId - Business ObjectId
+ * @param {string} params.email - Invitee email
+ * @param {string} params.businessRole - Staff role granted on acceptance
+ * @param {string} params.invitedBy - User ObjectId sending the invitation
+ * @returns {Promise<Object>} { invitation, token }
+ */
+const createStaffInvitation = async ({ businessId, email, businessRole, invitedBy }) => {
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ApiError(409, 'A user with this email already exists');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Calculate expiry (default 7 days)
+  const expiresIn = parseDuration(process.env.STAFF_INVITATION_EXPIRES_IN || '7d', 7 * 24 * 60 * 60 * 1000);
+  const expiresAt = new Date(Date.now() + expiresIn);
+
+  await StaffInvitation.deleteMany({ businessId, email, acceptedAt: null });
+
+  const invitation = await StaffInvitation.create({
+    businessId,
+    email,
+    businessRole,
+    token: hashInvitationToken(token),
+    invitedBy,
+    expiresAt
+  });
+
+  return { invitation, token };
+};
+
+/**
+ * Accept a staff invitation and create the business user
+ * @param {string} token - Raw invitation token
+ * @param {Object} profile - Invitee profile
+ * @param {string} profile.name - Display name
+ * @param {string} profile.password - Chosen password
+ * @returns {Promise<Object|null>} Created user or null if the invitation is invalid, expired or used
+ */
+const acceptStaffInvitation = async (token, { name, password }) => {
+  const invitation = await StaffInvitation.findOne({
+    token: hashInvitationToken(token),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!invitation) {
+    return null;
+  }
+
+  const existingUser = await User.findOne({ email: invitation.email });
+  if (existingUser) {
+    throw new ApiError(409, 'A user with this email already exists');
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  // The invitation is claimed and the account created together: a failed
+  // create leaves the invitation usable
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    // Claim the invitation atomically so it can only be used once
+    const claimed = await StaffInvitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null },
+      { acceptedAt: new Date() },
+      { session }
+    );
+
+    if (!claimed) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const [user] = await User.create(
+      [{
+        email: invitation.email,
+        passwordHash,
+        name,
+        role: 'business_user',
+        businessRole: invitation.businessRole,
+        businessId: invitation.businessId
+      }],
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    return user;
+  } catch (error) {
+    await session.abortTransaction();
+
+    // Another account took the email in the meantime
+    if (error.code === 11000) {
+      throw new ApiError(409, 'A user with this email already exists');
+    }
+
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+export { createStaffInvitation, acceptStaffInvitation };
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+import { Client, Transaction } from '../models/index.js';
+
+// Transactions whose points count towards tier qualification
+const QUALIFYING_TYPES = ['item', 'spend'];
+
+/**
+ * Tiers of a business, from the lowest to the highest threshold
+ * @param {Object} business - Business document
+ * @returns {Array<Object>} [{ name, threshold, multiplier }] (empty when tiers are off)
+ */
+const getTierLevels = (business) => {
+  return [...(business.tiers?.levels || [])].sort((a, b) => a.threshold - b.threshold);
+};
+
+/**
+ * Start of the rolling qualification period
+ * @param {Object} business - Business document
+ * @param {Date} now - Reference date
+ * @returns {Date} Earnings from this date on count
+ */
+const getTierPeriodStart = (business, now) => {
+  const since = new Date(now);
+  since.setUTCMonth(since.getUTCMonth() - (business.tiers?.periodMonths || 12));
+  return since;
+};
+
+/**
+ * Points a client earned over the tier period
+ * Only item and spend earnings count, without tier bonuses, and reversed
+ * earnings are left out.
+ * @param {Object} params - Query parameters
+ * @param {string} params.clientObjectId - Client ObjectId
+ * @param {Object} params.business - Business document
+ * @param {Date} params.now - Reference date
+ * @param {ClientSession} params.session - Optional MongoDB session
+ * @returns {Promise<number>} Qualifying points
+ */
+const getQualifyingPoints = async ({ clientObjectId, business, now = new Date(), session }) => {
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        clientId: new mongoose.Types.ObjectId(String(clientObjectId)),
+        type: { $in: QUALIFYING_TYPES },
+        points: { $gt: 0 },
+        reversedBy: null,
+        createdAt: { $gte: getTierPeriodStart(business, now) }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        points: { $sum: { $subtract: ['$points', { $ifNull: ['$bonusPoints', 0] }] } }
+      }
+    }
+  ]).session(session || null);
+
+  return result?.points || 0;
+};
+
+/**
+ * Highest tier reached with a number of qualifying points
+ * @param {Object} business - Business document
+ * @param {number} points - Qualifying points
+ * @returns {Object|null} Tier level, or null when below every tier
+ */
+const findTierForPoints = (business, points) => {
+  return getTierLevels(business).filter((level) => points >= level.threshold).pop() || null;
+};
+
+/**
+ * Multiplier of the tier a client currently holds
+ * @param {Object} client - Client document
+ * @param {Object} business - Business document
+ * @returns {Object|null} { name, multiplier } when the tier multiplies earnings, null otherwise
+ */
+const getClientTierMultiplier = (client, business) => {
+  const level = client.tier && getTierLevels(business).find((tier) => tier.name === client.tier);
+
+  if (!level || level.multiplier <= 1) {
+    return null;
+  }
+
+  return { name: level.name, multiplier: level.multiplier };
+};
+
+/**
+ * Extra points a tier multiplier adds to an earning (rounded down)
+ * @param {number} points - Points earned before the multiplier
+ * @param {number} multiplier - Tier multiplier
+ * @returns {number} Bonus points
+ */
+const computeTierBonus = (points, multiplier) => {
+  // Drop floating point noise first (10 x 1.1 must give 11, not 11.000000000000002)
+  return Math.floor(Math.round(points * (multiplier - 1) * 1e6) / 1e6);
+};
+
+/**
+ * Re-evaluate the tier of a client (promotion or demotion)
+ * @param {Object} params - Evaluation parameters
+ * @param {Object} params.client - Client document (needs _id and tier)
+ * @param {Object} params.business - Business document
+ * @param {Date} params.now - Reference date
+ * @param {ClientSession} params.session - Optional MongoDB session
+ * @returns {Promise<Object>} { tier, changed }
+ */
+const evaluateClientTier = async ({ client, business, now = new Date(), session }) => {
+  const currentTier = client.tier || null;
+  let tier = null;
+
+  if (getTierLevels(business).length > 0) {
+    const points = await getQualifyingPoints({ clientObjectId: client._id, business, now, session });
+    tier = findTierForPoints(business, points)?.name || null;
+  }
+
+  if (tier === currentTier) {
+    return { tier, changed: false };
+  }
+
+  await Client.updateOne(
+    { _id: client._id },
+    { tier, tierUpdatedAt: now },
+    { session }
+  );
+
+  return { tier, changed: true };
+};
+
+/**
+ * Tier and progress to the next tier, shown on the client dashboard
+ * @param {Object} client - Client document
+ * @param {Object} business - Business document
+ * @returns {Promise<Object|null>} { name, multiplier, periodMonths, earnedPoints, next } or null when tiers are off
+ */
+const getTierProgress = async (client, business) => {
+  const levels = getTierLevels(business);
+
+  if (levels.length === 0) {
+    return null;
+  }
+
+  const earnedPoints = await getQualifyingPoints({ clientObjectId: client._id, business });
+  const current = levels.find((level) => level.name === client.tier);
+  const next = levels.find((level) => level.threshold > (current ? current.threshold : -1));
+
+  return {
+    name: current?.name || null,
+    multiplier: current?.multiplier || 1,
+    periodMonths: business.tiers.periodMonths,
+    earnedPoints,
+    next: next
+      ? { name: next.name, threshold: next.threshold, pointsToGo: Math.max(0, next.threshold - earnedPoints) }
+      : null
+  };
+};
+
+export { QUALIFYING_TYPES, getTierPeriodStart, getClientTierMultiplier, computeTierBonus, evaluateClientTier, getTierProgress };
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_STEP = 30; // seconds
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 encoded secret (160 bits)
+ */
+const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Number of digits
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter, digits) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} time - Timestamp in milliseconds
+ * @param {number} step - Step length in seconds
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (time = Date.now(), step = DEFAULT_STEP) => {
+  return Math.floor(time / 1000 / step);
+};
+
+/**
+ * Generate a TOTP code (RFC 6238)
+ * @param {string|Buffer} secret - Base32 secret or raw key
+ * @param {Object} options - TOTP options
+ * @param {number} options.time - Timestamp in milliseconds (defaults to now)
+ * @param {number} options.step - Step length in seconds (default 30)
+ * @param {number} options.digits - Number of digits (default 6)
+ * @returns {string} TOTP code
+ */
+const generateTotp = (secret, { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = {}) => {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  return hotp(key, getTimeStep(time, step), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} code - Code to verify
+ * @param {string|Buffer} secret - Base32 secret or raw key
+ * @param {Object} options - TOTP options
+ * @param {number} options.window - Number of steps accepted before/after the current one (default 1)
+ * @param {number} options.step - Step length in seconds (default 30)
+ * @param {number} options.digits - Number of digits (default 6)
+ * @returns {number|null} Matching time step (for replay protection) or null if invalid
+ */
+const verifyTotp = (code, secret, { window = 1, step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = {}) => {
+  if (typeof code !== 'string' || code.length !== digits || !/^\d+$/.test(code)) {
+    return null;
+  }
+
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const currentStep = getTimeStep(Date.now(), step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = hotp(key, currentStep + offset, digits);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (e.g. email)
+ * @param {string} issuer - Issuer name shown in the app
+ * @returns {string} otpauth URI
+ */
+const getTotpUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  getTotpUri
+};
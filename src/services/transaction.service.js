@@ -1,7 +1,58 @@
 import mongoose from 'mongoose';
-import { Client, Item, Transaction, Business } from '../models/index.js';
+import { Client, Item, Transaction, Business, PointsLot } from '../models/index.js';
+import { creditPointsLot, consumePointsLots } from './pointsLot.service.js';
+import { computeSpendPoints, snapshotSpendRule } from './spendRule.service.js';
+import { QUALIFYING_TYPES, getClientTierMultiplier, computeTierBonus, evaluateClientTier } from './tier.service.js';
+import { findIdempotentResponse, saveIdempotentResponse, isIdempotencyConflict } from './idempotency.service.js';
+import { consumeDynamicQrCode } from './dynamicQr.service.js';
 import { ApiError } from '../middlewares/errorHandler.js';
 
+// Transactions that can be reversed (expiries and reversals cannot)
+const REVERSIBLE_TYPES = ['item', 'spend', 'manual', 'welcome_bonus'];
+
+/**
+ * Keep the client's points lots in line with a balance change
+ * Credits open a new lot, debits consume the oldest lots first.
+ * @param {Object} params - Change parameters
+ * @param {Object} params.client - Client document (before the operation)
+ * @param {Object} params.business - Business document
+ * @param {number} params.pointsChange - Signed points change
+ * @param {number} params.afterPoints - Balance after the operation
+ * @param {string} params.transactionId - Transaction ObjectId
+ * @param {ClientSession} params.session - MongoDB session
+ */
+const updatePointsLots = async ({ client, business, pointsChange, afterPoints, transactionId, session }) => {
+  if (pointsChange > 0) {
+    await creditPointsLot({ client, business, points: pointsChange, afterPoints, transactionId, session });
+  } else if (pointsChange < 0) {
+    await consumePointsLots({ client, points: -pointsChange, session });
+  }
+};
+
+/**
+ * Recover from two requests racing with the same idempotency key
+ * The request that lost the race replays the response of the one that
+ * committed, or gets a 409 while that one is still running.
+ * @param {Error} error - Error thrown by the operation
+ * @param {Object} idempotency - { caller, key, requestHash } or undefined
+ * @param {string} businessId - Business ObjectId
+ * @returns {Promise<Object>} Replayed result
+ * @throws {ApiError} 409 when the first request has not committed yet
+ * @throws {Error} The original error when it is not such a race
+ */
+const replayIdempotencyConflict = async (error, idempotency, businessId) => {
+  if (!idempotency || !businessId || !isIdempotencyConflict(error)) {
+    throw error;
+  }
+
+  const response = await findIdempotentResponse({ businessId, ...idempotency });
+  if (!response) {
+    throw new ApiError(409, 'A request with this Idempotency-Key is still in progress, retry');
+  }
+
+  return { ...response, replayed: true };
+};
+
 /**
  * Process a points operation using an item (earn or redeem)
  * Uses MongoDB transactions for atomicity
@@ -10,11 +61,16 @@ import { ApiError } from '../middlewares/errorHandler.js';
  * @param {string} params.clientObjectId - Client MongoDB ObjectId
  * @param {string} params.itemId - Item MongoDB ObjectId
  * @param {string} params.performedBy - User ObjectId who performed the operation
+ * @param {string} params.apiKeyId - API key ObjectId if performed through an integration
+ * @param {string} params.impersonatedBy - Admin ObjectId if performed while impersonating
  * @param {string} params.note - Optional note
- * @returns {Promise<Object>} Transaction result
+ * @param {string} params.dynamicCode - Rotating QR code to consume with the operation
+ * @param {Object} params.idempotency - { caller, key, requestHash } when sent with an Idempotency-Key
+ * @returns {Promise<Object>} Transaction result (replayed: true for a retry)
  */
-const processPointsOperation = async ({ clientObjectId, itemId, performedBy, note }) => {
+const processPointsOperation = async ({ clientObjectId, itemId, performedBy, apiKeyId, impersonatedBy, note, dynamicCode, idempotency }) => {
   const session = await mongoose.startSession();
+  let businessId;
   
   try {
     session.startTransaction();
@@ -25,6 +81,21 @@ const processPointsOperation = async ({ clientObjectId, itemId, performedBy, not
       throw new ApiError(404, 'Client not found');
     }
 
+    // Retry of a request that already went through: replay its response
+    businessId = client.businessId;
+    if (idempotency) {
+      const response = await findIdempotentResponse({ businessId, ...idempotency, session });
+      if (response) {
+        await session.abortTransaction();
+        return { ...response, replayed: true };
+      }
+    }
+
+    // Used up only if the operation commits, and not by a replayed retry
+    if (dynamicCode && !(await consumeDynamicQrCode(client, dynamicCode, session))) {
+      throw new ApiError(400, 'Invalid or expired code');
+    }
+
     // Load item
     const item = await Item.findById(itemId).session(session);
     if (!item) {
@@ -45,9 +116,18 @@ const processPointsOperation = async ({ clientObjectId, itemId, performedBy, not
     // Calculate points change
     const beforePoints = client.points;
     let pointsChange;
+    let tier = null;
+    let bonusPoints;
 
     if (item.type === 'earn') {
       pointsChange = item.points; // Add points
+
+      // Tier multiplier of the tier held before this earning
+      tier = getClientTierMultiplier(client, business);
+      if (tier) {
+        bonusPoints = computeTierBonus(item.points, tier.multiplier);
+        pointsChange += bonusPoints;
+      }
     } else if (item.type === 'redeem') {
       pointsChange = -item.points; // Subtract points
     } else {
@@ -73,16 +153,36 @@ const processPointsOperation = async ({ clientObjectId, itemId, performedBy, not
       [{
         clientId: clientObjectId,
         businessId: client.businessId,
+        type: 'item',
         itemId: item._id,
         points: pointsChange,
+        tier: tier || undefined,
+        bonusPoints,
         beforePoints,
         afterPoints,
         performedBy,
+        apiKeyId,
+        impersonatedBy,
         note: note || `${item.type === 'earn' ? 'Earned' : 'Redeemed'}: ${item.name}`
       }],
       { session }
     );
 
+    await updatePointsLots({ client, business, pointsChange, afterPoints, transactionId: transaction[0]._id, session });
+
+    if (item.type === 'earn') {
+      await evaluateClientTier({ client, business, session });
+    }
+
+    if (idempotency) {
+      await saveIdempotentResponse({
+        businessId,
+        ...idempotency,
+        response: { success: true, beforePoints, afterPoints, transaction: transaction[0].toJSON() },
+        session
+      });
+    }
+
     await session.commitTransaction();
 
     return {
@@ -94,7 +194,136 @@ const processPointsOperation = async ({ clientObjectId, itemId, performedBy, not
     };
   } catch (error) {
     await session.abortTransaction();
-    throw error;
+    return replayIdempotencyConflict(error, idempotency, businessId);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Process an earning based on a purchase amount, using the business spend rule
+ * Uses MongoDB transactions for atomicity
+ *
+ * @param {Object} params - Operation parameters
+ * @param {string} params.clientObjectId - Client MongoDB ObjectId
+ * @param {number} params.amount - Purchase amount
+ * @param {string} params.performedBy - User ObjectId who performed the operation
+ * @param {string} params.apiKeyId - API key ObjectId if performed through an integration
+ * @param {string} params.impersonatedBy - Admin ObjectId if performed while impersonating
+ * @param {string} params.note - Optional note
+ * @param {string} params.dynamicCode - Rotating QR code to consume with the operation
+ * @param {Object} params.idempotency - { caller, key, requestHash } when sent with an Idempotency-Key
+ * @returns {Promise<Object>} Transaction result (replayed: true for a retry)
+ */
+const processSpendOperation = async ({ clientObjectId, amount, performedBy, apiKeyId, impersonatedBy, note, dynamicCode, idempotency }) => {
+  const session = await mongoose.startSession();
+  let businessId;
+
+  try {
+    session.startTransaction();
+
+    // Load client with session
+    const client = await Client.findById(clientObjectId).session(session);
+    if (!client) {
+      throw new ApiError(404, 'Client not found');
+    }
+
+    // Retry of a request that already went through: replay its response
+    businessId = client.businessId;
+    if (idempotency) {
+      const response = await findIdempotentResponse({ businessId, ...idempotency, session });
+      if (response) {
+        await session.abortTransaction();
+        return { ...response, replayed: true };
+      }
+    }
+
+    // Used up only if the operation commits, and not by a replayed retry
+    if (dynamicCode && !(await consumeDynamicQrCode(client, dynamicCode, session))) {
+      throw new ApiError(400, 'Invalid or expired code');
+    }
+
+    // Load business to read the spend rule
+    const business = await Business.findById(client.businessId).session(session);
+    if (!business) {
+      throw new ApiError(404, 'Business not found');
+    }
+
+    if (!business.spendRule?.enabled) {
+      throw new ApiError(400, 'Spend-based earning is not enabled for this business');
+    }
+
+    const spendRule = snapshotSpendRule(business.spendRule);
+    if (amount < spendRule.minSpend) {
+      throw new ApiError(400, `Minimum spend to earn points is ${spendRule.minSpend}`);
+    }
+
+    const spendPoints = computeSpendPoints(amount, spendRule);
+    if (spendPoints <= 0) {
+      throw new ApiError(400, 'Amount is too small to earn points');
+    }
+
+    // Tier multiplier of the tier held before this earning
+    const tier = getClientTierMultiplier(client, business);
+    const bonusPoints = tier ? computeTierBonus(spendPoints, tier.multiplier) : undefined;
+    const pointsChange = spendPoints + (bonusPoints || 0);
+
+    const beforePoints = client.points;
+    const afterPoints = beforePoints + pointsChange;
+
+    // Update client points
+    await Client.findByIdAndUpdate(
+      clientObjectId,
+      { points: afterPoints },
+      { session }
+    );
+
+    // Create transaction record
+    const transaction = await Transaction.create(
+      [{
+        clientId: clientObjectId,
+        businessId: client.businessId,
+        type: 'spend',
+        amount,
+        spendRule,
+        points: pointsChange,
+        tier: tier || undefined,
+        bonusPoints,
+        beforePoints,
+        afterPoints,
+        performedBy,
+        apiKeyId,
+        impersonatedBy,
+        note: note || `Earned on a spend of ${amount}`
+      }],
+      { session }
+    );
+
+    await updatePointsLots({ client, business, pointsChange, afterPoints, transactionId: transaction[0]._id, session });
+
+    await evaluateClientTier({ client, business, session });
+
+    if (idempotency) {
+      await saveIdempotentResponse({
+        businessId,
+        ...idempotency,
+        response: { success: true, beforePoints, afterPoints, transaction: transaction[0].toJSON() },
+        session
+      });
+    }
+
+    await session.commitTransaction();
+
+    return {
+      success: true,
+      beforePoints,
+      afterPoints,
+      pointsChange,
+      transaction: transaction[0]
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    return replayIdempotencyConflict(error, idempotency, businessId);
   } finally {
     session.endSession();
   }
@@ -108,11 +337,15 @@ const processPointsOperation = async ({ clientObjectId, itemId, performedBy, not
  * @param {string} params.clientObjectId - Client MongoDB ObjectId
  * @param {number} params.pointsChange - Points to add (positive) or subtract (negative)
  * @param {string} params.performedBy - User ObjectId who performed the operation
+ * @param {string} params.apiKeyId - API key ObjectId if performed through an integration
+ * @param {string} params.impersonatedBy - Admin ObjectId if performed while impersonating
  * @param {string} params.note - Optional note
- * @returns {Promise<Object>} Transaction result
+ * @param {Object} params.idempotency - { caller, key, requestHash } when sent with an Idempotency-Key
+ * @returns {Promise<Object>} Transaction result (replayed: true for a retry)
  */
-const processManualAdjustment = async ({ clientObjectId, pointsChange, performedBy, note }) => {
+const processManualAdjustment = async ({ clientObjectId, pointsChange, performedBy, apiKeyId, impersonatedBy, note, idempotency }) => {
   const session = await mongoose.startSession();
+  let businessId;
   
   try {
     session.startTransaction();
@@ -123,6 +356,16 @@ const processManualAdjustment = async ({ clientObjectId, pointsChange, performed
       throw new ApiError(404, 'Client not found');
     }
 
+    // Retry of a request that already went through: replay its response
+    businessId = client.businessId;
+    if (idempotency) {
+      const response = await findIdempotentResponse({ businessId, ...idempotency, session });
+      if (response) {
+        await session.abortTransaction();
+        return { ...response, replayed: true };
+      }
+    }
+
     // Load business to check settings
     const business = await Business.findById(client.businessId).session(session);
     if (!business) {
@@ -149,16 +392,30 @@ const processManualAdjustment = async ({ clientObjectId, pointsChange, performed
       [{
         clientId: clientObjectId,
         businessId: client.businessId,
+        type: 'manual',
         itemId: null,
         points: pointsChange,
         beforePoints,
         afterPoints,
         performedBy,
+        apiKeyId,
+        impersonatedBy,
         note: note || `Manual adjustment: ${pointsChange > 0 ? '+' : ''}${pointsChange} points`
       }],
       { session }
     );
 
+    await updatePointsLots({ client, business, pointsChange, afterPoints, transactionId: transaction[0]._id, session });
+
+    if (idempotency) {
+      await saveIdempotentResponse({
+        businessId,
+        ...idempotency,
+        response: { success: true, beforePoints, afterPoints, transaction: transaction[0].toJSON() },
+        session
+      });
+    }
+
     await session.commitTransaction();
 
     return {
@@ -168,6 +425,287 @@ const processManualAdjustment = async ({ clientObjectId, pointsChange, performed
       pointsChange,
       transaction: transaction[0]
     };
+  } catch (error) {
+    await session.abortTransaction();
+    return replayIdempotencyConflict(error, idempotency, businessId);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Create a self-enrolled client and credit its welcome bonus
+ * Uses MongoDB transactions for atomicity: a failing bonus leaves no card
+ * behind, so the customer can simply retry.
+ *
+ * @param {Object} params - Enrollment parameters
+ * @param {Object} params.business - Business document
+ * @param {Object} params.clientData - { clientId, name, phone, email, metadata }
+ * @returns {Promise<Object>} { client, transaction } (transaction is null without a bonus)
+ */
+const processEnrollment = async ({ business, clientData }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const [client] = await Client.create(
+      [{ ...clientData, businessId: business._id, points: 0 }],
+      { session }
+    );
+
+    const points = business.enrollment?.welcomeBonus || 0;
+    let transaction = null;
+
+    if (points > 0) {
+      [transaction] = await Transaction.create(
+        [{
+          clientId: client._id,
+          businessId: business._id,
+          type: 'welcome_bonus',
+          itemId: null,
+          points,
+          beforePoints: 0,
+          afterPoints: points,
+          note: `Welcome bonus: +${points} points`
+        }],
+        { session }
+      );
+
+      await Client.updateOne({ _id: client._id }, { points }, { session });
+      await updatePointsLots({ client, business, pointsChange: points, afterPoints: points, transactionId: transaction._id, session });
+      client.points = points;
+    }
+
+    await session.commitTransaction();
+
+    return { client, transaction };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Expire the points of a client whose lots are past their expiry date
+ * Uses MongoDB transactions for atomicity
+ *
+ * @param {Object} params - Operation parameters
+ * @param {string} params.clientObjectId - Client MongoDB ObjectId
+ * @param {Date} params.now - Reference date (defaults to now)
+ * @returns {Promise<Object|null>} Transaction result, or null if nothing expired
+ */
+const processPointsExpiry = async ({ clientObjectId, now = new Date() }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const client = await Client.findById(clientObjectId).session(session);
+    if (!client) {
+      throw new ApiError(404, 'Client not found');
+    }
+
+    const dueLots = await PointsLot.find({
+      clientId: client._id,
+      remaining: { $gt: 0 },
+      expiresAt: { $ne: null, $lte: now }
+    }).session(session);
+
+    if (dueLots.length === 0) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    // The expired amount is kept per lot, a later reversal of the earning must not take it again
+    await PointsLot.bulkWrite(
+      dueLots.map((lot) => ({
+        updateOne: {
+          filter: { _id: lot._id },
+          update: { remaining: 0, expiredAt: now, expiredPoints: lot.remaining }
+        }
+      })),
+      { session }
+    );
+
+    // Lots never hold more than the positive balance, the cap is only a safeguard
+    const dueTotal = dueLots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const expiredPoints = Math.min(dueTotal, Math.max(0, client.points));
+
+    let transaction = null;
+    const beforePoints = client.points;
+    const afterPoints = beforePoints - expiredPoints;
+
+    if (expiredPoints > 0) {
+      await Client.findByIdAndUpdate(
+        clientObjectId,
+        { points: afterPoints },
+        { session }
+      );
+
+      [transaction] = await Transaction.create(
+        [{
+          clientId: clientObjectId,
+          businessId: client.businessId,
+          type: 'expire',
+          itemId: null,
+          points: -expiredPoints,
+          beforePoints,
+          afterPoints,
+          note: `Expired: ${expiredPoints} points`
+        }],
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+
+    return {
+      success: true,
+      beforePoints,
+      afterPoints,
+      pointsChange: -expiredPoints,
+      transaction
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Reverse a transaction with a compensating transaction
+ * Uses MongoDB transactions for atomicity
+ *
+ * @param {Object} params - Operation parameters
+ * @param {string} params.transactionId - Transaction ObjectId to reverse
+ * @param {string} params.businessId - Business of the staff member (the transaction must belong to it)
+ * @param {boolean} params.ignoreWindow - Allow reversing after the business reversal window
+ * @param {string} params.performedBy - User ObjectId who performed the operation
+ * @param {string} params.impersonatedBy - Admin ObjectId if performed while impersonating
+ * @param {string} params.note - Optional note (reason)
+ * @returns {Promise<Object>} Transaction result
+ */
+const processReversal = async ({ transactionId, businessId, ignoreWindow, performedBy, impersonatedBy, note }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const original = await Transaction.findOne({ _id: transactionId, businessId }).session(session);
+    if (!original) {
+      throw new ApiError(404, 'Transaction not found');
+    }
+
+    if (!REVERSIBLE_TYPES.includes(original.type)) {
+      throw new ApiError(400, `A ${original.type} transaction cannot be reversed`);
+    }
+
+    if (original.reversedBy) {
+      throw new ApiError(409, 'Transaction has already been reversed');
+    }
+
+    const business = await Business.findById(businessId).session(session);
+    if (!business) {
+      throw new ApiError(404, 'Business not found');
+    }
+
+    const windowMs = business.reversalWindowMinutes * 60 * 1000;
+    if (!ignoreWindow && Date.now() - original.createdAt.getTime() > windowMs) {
+      throw new ApiError(403, `Transactions older than ${business.reversalWindowMinutes} minutes can only be reversed by a manager`);
+    }
+
+    const client = await Client.findById(original.clientId).session(session);
+    if (!client) {
+      throw new ApiError(404, 'Client not found');
+    }
+
+    // Earned points that already expired left the balance with the expiry
+    const lot = original.points > 0
+      ? await PointsLot.findOne({ transactionId: original._id }).session(session)
+      : null;
+    const expiredPoints = lot?.expiredAt ? lot.expiredPoints : 0;
+
+    const pointsChange = -(original.points - expiredPoints);
+    const beforePoints = client.points;
+    const afterPoints = beforePoints + pointsChange;
+
+    // Points earned by the original may already be spent
+    if (afterPoints < 0 && pointsChange < 0 && !business.allowNegativePoints) {
+      throw new ApiError(400, `Insufficient points to reverse. Current balance: ${beforePoints}, required: ${-pointsChange}`);
+    }
+
+    await Client.findByIdAndUpdate(
+      client._id,
+      { points: afterPoints },
+      { session }
+    );
+
+    const [reversal] = await Transaction.create(
+      [{
+        clientId: client._id,
+        businessId,
+        type: 'reversal',
+        itemId: original.itemId,
+        reversalOf: original._id,
+        points: pointsChange,
+        beforePoints,
+        afterPoints,
+        performedBy,
+        impersonatedBy,
+        note: note || `Reversal of ${original.note || `${original.points} points`}`
+      }],
+      { session }
+    );
+
+    // Guarded update: a concurrent reversal of the same transaction fails here
+    const marked = await Transaction.updateOne(
+      { _id: original._id, reversedBy: null },
+      { reversedBy: reversal._id, reversedAt: new Date() },
+      { session }
+    );
+
+    if (marked.modifiedCount === 0) {
+      throw new ApiError(409, 'Transaction has already been reversed');
+    }
+
+    if (pointsChange < 0) {
+      // Take the points back from the lot the original opened first, then oldest first
+      const fromLot = lot ? Math.min(lot.remaining, -pointsChange) : 0;
+
+      if (fromLot > 0) {
+        await PointsLot.updateOne({ _id: lot._id }, { $inc: { remaining: -fromLot } }, { session });
+      }
+
+      if (-pointsChange > fromLot) {
+        await consumePointsLots({
+          client: { _id: client._id, points: beforePoints - fromLot },
+          points: -pointsChange - fromLot,
+          session
+        });
+      }
+    } else if (pointsChange > 0) {
+      await creditPointsLot({ client, business, points: pointsChange, afterPoints, transactionId: reversal._id, session });
+    }
+
+    // Reversed earnings no longer count towards the tier
+    if (QUALIFYING_TYPES.includes(original.type)) {
+      await evaluateClientTier({ client, business, session });
+    }
+
+    await session.commitTransaction();
+
+    return {
+      success: true,
+      beforePoints,
+      afterPoints,
+      pointsChange,
+      transaction: reversal
+    };
   } catch (error) {
     await session.abortTransaction();
     throw error;
@@ -176,4 +714,4 @@ const processManualAdjustment = async ({ clientObjectId, pointsChange, performed
   }
 };
 
-export { processPointsOperation, processManualAdjustment };
+export { processPointsOperation, processSpendOperation, processManualAdjustment, processEnrollment, processPointsExpiry, processReversal };
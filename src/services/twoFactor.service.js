@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { User } from '../models/index.js';
+import { generateTotpSecret, verifyTotp, getTotpUri } from './totp.service.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+/**
+ * Normalize and hash a recovery code
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes (shown once) and their hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Whether the platform requires 2FA for admin accounts
+ * @returns {boolean} Policy flag (ADMIN_2FA_REQUIRED)
+ */
+const isAdminTwoFactorRequired = () => {
+  return process.env.ADMIN_2FA_REQUIRED === 'true';
+};
+
+/**
+ * Whether a user must enroll in 2FA before using protected endpoints
+ * @param {Object} user - User object
+ * @returns {boolean} True if 2FA is mandatory and not yet enabled
+ */
+const isTwoFactorSetupRequired = (user) => {
+  return user.role === 'admin' && isAdminTwoFactorRequired() && !user.twoFactor?.enabled;
+};
+
+/**
+ * Start 2FA enrollment by generating a pending secret
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrDataUrl }
+ */
+const createTwoFactorSecret = async (user) => {
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  const otpauthUrl = getTotpUri(secret, user.email, process.env.TOTP_ISSUER || 'Fidelya');
+  const qrDataUrl = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrDataUrl };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]>} Recovery codes (shown once)
+ */
+const activateTwoFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, 'Two-factor setup has not been started');
+  }
+
+  const step = verifyTotp(code, user.twoFactor.pendingSecret);
+
+  if (step === null) {
+    throw new ApiError(400, 'Invalid verification code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    }
+  );
+
+  return codes;
+};
+
+/**
+ * Verify a TOTP or recovery code for a user with 2FA enabled
+ * TOTP codes cannot be replayed and recovery codes are single use.
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit TOTP code or recovery code
+ * @returns {Promise<string|null>} 'totp' or 'recovery' on success, null otherwise
+ */
+const verifyTwoFactorCode = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.secret');
+
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret) {
+    return null;
+  }
+
+  if (/^\d{6}$/.test(code)) {
+    const step = verifyTotp(code, user.twoFactor.secret);
+
+    if (step === null) {
+      return null;
+    }
+
+    // Only accept a step newer than the last one used
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  const hashedCode = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hashedCode },
+    { $pull: { 'twoFactor.recoveryCodes': hashedCode } }
+  );
+
+  return result.modifiedCount > 0 ? 'recovery' : null;
+};
+
+/**
+ * Start a 2FA login challenge (replaces any pending one)
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Challenge ID, carried by the challenge token
+ */
+const startTwoFactorChallenge = async (userId) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 } }
+  );
+
+  return challengeId;
+};
+
+/**
+ * Use one of the attempts of a login challenge
+ * Counted per challenge, so guesses spread over several IPs still run out.
+ * @param {string} userId - User ID
+ * @param {string} challengeId - Challenge ID from the token
+ * @returns {Promise<boolean>} False if the challenge was replaced, used up or completed
+ */
+const claimTwoFactorChallengeAttempt = async (userId, challengeId) => {
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      'twoFactor.challengeId': challengeId,
+      'twoFactor.challengeAttempts': { $lt: MAX_CHALLENGE_ATTEMPTS }
+    },
+    { $inc: { 'twoFactor.challengeAttempts': 1 } }
+  );
+
+  return Boolean(user);
+};
+
+/**
+ * End a login challenge once it succeeded (its token cannot be used again)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const clearTwoFactorChallenge = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $unset: { 'twoFactor.challengeId': '', 'twoFactor.challengeAttempts': '' } }
+  );
+};
+
+/**
+ * Replace the recovery codes of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} New recovery codes (shown once)
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.recoveryCodes': hashes } }
+  );
+
+  return codes;
+};
+
+/**
+ * Turn 2FA off and discard the secret and recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const deactivateTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.recoveryCodes': '',
+        'twoFactor.lastUsedStep': '',
+        'twoFactor.enabledAt': ''
+      }
+    }
+  );
+};
+
+export {
+  isAdminTwoFactorRequired,
+  isTwoFactorSetupRequired,
+  createTwoFactorSecret,
+  activateTwoFactor,
+  verifyTwoFactorCode,
+  startTwoFactorChallenge,
+  claimTwoFactorChallengeAttempt,
+  clearTwoFactorChallenge,
+  replaceRecoveryCodes,
+  deactivateTwoFactor
+};
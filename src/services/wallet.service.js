@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import forge from 'node-forge';
+import JSZip from 'jszip';
+import jwt from 'jsonwebtoken';
+import { loadLogoImage } from './logo.service.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+
+let appleConfig;
+let googleConfig;
+
+/**
+ * Read a file relative to the working directory, or null if it does not exist
+ * @param {string} filePath - File path
+ * @returns {Buffer|null} File content
+ */
+const readOptionalFile = (filePath) => {
+  const resolved = path.resolve(filePath);
+  return fs.existsSync(resolved) ? fs.readFileSync(resolved) : null;
+};
+
+/**
+ * Load the Apple Wallet signing material (read once per process)
+ * APPLE_WALLET_CERT / APPLE_WALLET_KEY are the PEM pass type certificate and its
+ * key, APPLE_WALLET_WWDR_CERT the Apple WWDR intermediate certificate.
+ * @returns {Object|null} Config or null when Apple Wallet is not set up
+ */
+const getAppleConfig = () => {
+  if (appleConfig !== undefined) {
+    return appleConfig;
+  }
+
+  const cert = readOptionalFile(process.env.APPLE_WALLET_CERT || 'keys/wallet/pass.pem');
+  const key = readOptionalFile(process.env.APPLE_WALLET_KEY || 'keys/wallet/pass.key');
+  const wwdr = readOptionalFile(process.env.APPLE_WALLET_WWDR_CERT || 'keys/wallet/wwdr.pem');
+
+  if (!process.env.APPLE_WALLET_PASS_TYPE_ID || !process.env.APPLE_WALLET_TEAM_ID || !cert || !key || !wwdr) {
+    appleConfig = null;
+    return appleConfig;
+  }
+
+  appleConfig = {
+    passTypeIdentifier: process.env.APPLE_WALLET_PASS_TYPE_ID,
+    teamIdentifier: process.env.APPLE_WALLET_TEAM_ID,
+    certificate: forge.pki.certificateFromPem(cert.toString()),
+    privateKey: process.env.APPLE_WALLET_KEY_PASSPHRASE
+      ? forge.pki.decryptRsaPrivateKey(key.toString(), process.env.APPLE_WALLET_KEY_PASSPHRASE)
+      : forge.pki.privateKeyFromPem(key.toString()),
+    wwdrCertificate: forge.pki.certificateFromPem(wwdr.toString()),
+    icon: readOptionalFile(process.env.APPLE_WALLET_ICON || 'keys/wallet/icon.png')
+  };
+
+  if (!appleConfig.privateKey) {
+    throw new Error('Cannot decrypt APPLE_WALLET_KEY with APPLE_WALLET_KEY_PASSPHRASE');
+  }
+
+  return appleConfig;
+};
+
+/**
+ * Load the Google Wallet service account (read once per process)
+ * @returns {Object|null} { issuerId, clientEmail, privateKey } or null when not set up
+ */
+const getGoogleConfig = () => {
+  if (googleConfig !== undefined) {
+    return googleConfig;
+  }
+
+  const keyFile = readOptionalFile(process.env.GOOGLE_WALLET_KEY_FILE || 'keys/wallet/google-service-account.json');
+
+  if (!process.env.GOOGLE_WALLET_ISSUER_ID || !keyFile) {
+    googleConfig = null;
+    return googleConfig;
+  }
+
+  const serviceAccount = JSON.parse(keyFile.toString());
+
+  googleConfig = {
+    issuerId: process.env.GOOGLE_WALLET_ISSUER_ID,
+    clientEmail: serviceAccount.client_email,
+    privateKey: serviceAccount.private_key
+  };
+
+  return googleConfig;
+};
+
+/**
+ * Convert a #rrggbb (or #rgb) color to the rgb() notation used by pass.json
+ * @param {string} hex - Hex color
+ * @param {string} fallback - Color used when hex is missing or invalid
+ * @returns {string} rgb(r, g, b)
+ */
+const toRgb = (hex, fallback) => {
+  let value = (hex || '').replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(value)) {
+    value = value.split('').map((char) => char + char).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(value)) {
+    return toRgb(fallback);
+  }
+
+  const [r, g, b] = [0, 2, 4].map((offset) => parseInt(value.slice(offset, offset + 2), 16));
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+/**
+ * Sign a pass manifest (detached PKCS#7 signature, as required by Apple Wallet)
+ * @param {Object} config - Apple Wallet config
+ * @param {Buffer} manifest - manifest.json content
+ * @returns {Buffer} DER signature
+ */
+const signManifest = (config, manifest) => {
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(manifest.toString('binary'));
+  p7.addCertificate(config.certificate);
+  p7.addCertificate(config.wwdrCertificate);
+  p7.addSigner({
+    key: config.privateKey,
+    certificate: config.certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() }
+    ]
+  });
+  p7.sign({ detached: true });
+
+  return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+};
+
+/**
+ * Generate an Apple Wallet store card (.pkpass) for a client
+ * @param {Object} params - Pass content
+ * @param {Object} params.client - Client document
+ * @param {Object} params.business - Business document
+ * @param {string} params.cardUrl - Dashboard URL encoded in the barcode
+ * @returns {Promise<Buffer>} .pkpass file
+ */
+const generateApplePass = async ({ client, business, cardUrl }) => {
+  const config = getAppleConfig();
+  if (!config) {
+    throw new ApiError(503, 'Apple Wallet passes are not configured');
+  }
+
+  const design = business.cardDesign || {};
+  const logo = business.logoUrl ? await loadLogoImage(business.logoUrl) : null;
+  const logoPng = logo?.contentType === 'image/png' ? logo.data : null;
+  const icon = config.icon || logoPng;
+
+  if (!icon) {
+    throw new ApiError(503, 'Apple Wallet passes need an icon (APPLE_WALLET_ICON)');
+  }
+
+  const pass = {
+    formatVersion: 1,
+    passTypeIdentifier: config.passTypeIdentifier,
+    teamIdentifier: config.teamIdentifier,
+    serialNumber: client._id.toString(),
+    organizationName: business.name,
+    description: `${business.name} loyalty card`,
+    logoText: business.name,
+    backgroundColor: toRgb(design.primaryColor, '#0f172a'),
+    foregroundColor: toRgb(design.textColor, '#ffffff'),
+    labelColor: toRgb(design.textColor, '#ffffff'),
+    storeCard: {
+      primaryFields: [{ key: 'points', label: 'Points', value: client.points }],
+      secondaryFields: client.name ? [{ key: 'name', label: 'Name', value: client.name }] : [],
+      auxiliaryFields: [{ key: 'clientId', label: 'Card number', value: client.clientId }]
+    },
+    barcodes: [{
+      format: 'PKBarcodeFormatQR',
+      message: cardUrl,
+      messageEncoding: 'iso-8859-1',
+      altText: client.clientId
+    }]
+  };
+
+  const files = {
+    'pass.json': Buffer.from(JSON.stringify(pass)),
+    'icon.png': icon,
+    'icon@2x.png': icon
+  };
+
+  if (logoPng) {
+    files['logo.png'] = logoPng;
+  }
+
+  const manifest = Buffer.from(JSON.stringify(Object.fromEntries(
+    Object.entries(files).map(([name, content]) => [name, crypto.createHash('sha1').update(content).digest('hex')])
+  )));
+
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.file(name, content);
+  }
+  zip.file('manifest.json', manifest);
+  zip.file('signature', signManifest(config, manifest));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+/**
+ * Generate a "Save to Google Wallet" link for a client
+ * The JWT carries the loyalty class (one per business) and the loyalty object,
+ * which Google creates when the customer saves the pass.
+ * @param {Object} params - Pass content
+ * @param {Object} params.client - Client document
+ * @param {Object} params.business - Business document
+ * @param {string} params.cardUrl - Dashboard URL encoded in the barcode
+ * @returns {Object} { saveUrl, loyaltyObject }
+ */
+const generateGooglePass = ({ client, business, cardUrl }) => {
+  const config = getGoogleConfig();
+  if (!config) {
+    throw new ApiError(503, 'Google Wallet passes are not configured');
+  }
+
+  // Google requires a program logo on every loyalty class
+  const logoUrl = business.logoUrl || process.env.GOOGLE_WALLET_DEFAULT_LOGO_URL;
+  if (!logoUrl) {
+    throw new ApiError(503, 'Google Wallet passes need a business logo or GOOGLE_WALLET_DEFAULT_LOGO_URL');
+  }
+
+  const classId = `${config.issuerId}.${business.slug.replace(/[^\w.-]/g, '_')}`;
+
+  const loyaltyClass = {
+    id: classId,
+    issuerName: business.name,
+    programName: business.name,
+    hexBackgroundColor: business.cardDesign?.primaryColor || '#0f172a',
+    reviewStatus: 'UNDER_REVIEW',
+    programLogo: { sourceUri: { uri: logoUrl } }
+  };
+
+  const loyaltyObject = {
+    id: `${config.issuerId}.${client._id}`,
+    classId,
+    state: 'ACTIVE',
+    accountId: client.clientId,
+    accountName: client.name || client.clientId,
+    loyaltyPoints: {
+      label: 'Points',
+      balance: { int: client.points }
+    },
+    barcode: {
+      type: 'QR_CODE',
+      value: cardUrl,
+      alternateText: client.clientId
+    }
+  };
+
+  const token = jwt.sign(
+    {
+      iss: config.clientEmail,
+      aud: 'google',
+      typ: 'savetowallet',
+      origins: [new URL(cardUrl).origin],
+      payload: {
+        loyaltyClasses: [loyaltyClass],
+        loyaltyObjects: [loyaltyObject]
+      }
+    },
+    config.privateKey,
+    { algorithm: 'RS256' }
+  );
+
+  return {
+    saveUrl: `https://pay.google.com/gp/v/save/${token}`,
+    loyaltyObject
+  };
+};
+
+export { generateApplePass, generateGooglePass };
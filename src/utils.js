@@ -13,4 +13,54 @@ const escapeRegExp = (string) => {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
-export { escapeRegExp };
+/**
+ * Convert a duration string (e.g. '7d', '24h', '15m', '30s') to milliseconds
+ * @param {string} duration - Duration string
+ * @param {number} fallbackMs - Value returned when the string cannot be parsed
+ * @returns {number} Duration in milliseconds
+ */
+const parseDuration = (duration, fallbackMs) => {
+  const match = typeof duration === 'string' && duration.match(/^(\d+)([dhms])$/);
+  if (!match) return fallbackMs;
+
+  const multipliers = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+  return parseInt(match[1], 10) * multipliers[match[2]];
+};
+
+/**
+ * Extract client information from a request (for sessions and audit logs)
+ * @param {Object} req - Express request
+ * @returns {{ ipAddress: string, userAgent: string }} Client IP and user agent
+ */
+const getClientInfo = (req) => {
+  return {
+    ipAddress: req.ip,
+    userAgent: (req.get('User-Agent') || '').slice(0, 500)
+  };
+};
+
+/**
+ * Turn an update body into $set paths, one level deep for nested objects
+ * `{ enrollment: { enabled: true } }` becomes `{ 'enrollment.enabled': true }`
+ * so fields left out keep their stored value instead of being dropped.
+ * @param {Object} updates - Validated update body
+ * @param {string[]} nestedKeys - Keys holding nested objects
+ * @returns {Object} Object to pass to $set
+ */
+const toUpdatePaths = (updates, nestedKeys) => {
+  const paths = {};
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (nestedKeys.includes(key) && value && typeof value === 'object') {
+      for (const [field, fieldValue] of Object.entries(value)) {
+        paths[`${key}.${field}`] = fieldValue;
+      }
+    } else {
+      paths[key] = value;
+    }
+  }
+
+  return paths;
+};
+
+export { escapeRegExp, parseDuration, getClientInfo, toUpdatePaths };
@@ -0,0 +1,35 @@
+import Joi from 'joi';
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required'
+    }),
+  scopes: Joi.array()
+    .items(Joi.string().valid('clients:read', 'items:read', 'points:apply', 'points:manual', 'transactions:read'))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': 'Scopes must be among clients:read, items:read, points:apply, points:manual, transactions:read',
+      'array.min': 'At least one scope is required',
+      'any.required': 'Scopes are required'
+    }),
+  expiresInDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(3650)
+    .optional()
+    .messages({
+      'number.min': 'Expiry must be at least 1 day',
+      'number.max': 'Expiry cannot exceed 3650 days'
+    })
+});
+
+export { createApiKeySchema };
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { passwordSchema } from './user.validator.js';
 
 const loginSchema = Joi.object({
   email: Joi.string()
@@ -33,4 +34,132 @@ const logoutSchema = Joi.object({
     })
 });
 
-export { loginSchema, refreshSchema, logoutSchema };
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Reset token is required'
+    }),
+  password: passwordSchema
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    })
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Invitation token is required'
+    }),
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required'
+    }),
+  password: passwordSchema
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    })
+});
+
+const updateMeSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required'
+    })
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Current password is required'
+    }),
+  newPassword: passwordSchema
+    .invalid(Joi.ref('currentPassword'))
+    .required()
+    .messages({
+      'any.invalid': 'New password must be different from the current password',
+      'any.required': 'New password is required'
+    }),
+  refreshToken: Joi.string()
+    .optional()
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+    .messages({
+      'any.required': 'Verification code is required'
+    })
+});
+
+const verifyTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Challenge token is required'
+    }),
+  code: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+    .messages({
+      'any.required': 'Verification code is required'
+    })
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    }),
+  code: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+    .messages({
+      'any.required': 'Verification code is required'
+    })
+});
+
+export {
+  loginSchema,
+  refreshSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  acceptInvitationSchema,
+  updateMeSchema,
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  verifyTwoFactorSchema,
+  disableTwoFactorSchema
+};
@@ -1,5 +1,112 @@
 import Joi from 'joi';
 
+const pointsExpirySchema = Joi.object({
+  policy: Joi.string()
+    .valid('none', 'rolling', 'fixed_date')
+    .required()
+    .messages({
+      'any.only': 'Expiry policy must be none, rolling or fixed_date'
+    }),
+  months: Joi.number()
+    .integer()
+    .min(1)
+    .max(120)
+    .when('policy', { is: 'rolling', then: Joi.required() }),
+  month: Joi.number()
+    .integer()
+    .min(1)
+    .max(12)
+    .when('policy', { is: 'fixed_date', then: Joi.required() }),
+  day: Joi.number()
+    .integer()
+    .min(1)
+    .max(31)
+    .when('policy', { is: 'fixed_date', then: Joi.required() })
+});
+
+const spendRuleSchema = Joi.object({
+  enabled: Joi.boolean(),
+  rate: Joi.number()
+    .positive()
+    .max(1000)
+    .messages({
+      'number.positive': 'Rate must be positive'
+    }),
+  rounding: Joi.string()
+    .valid('floor', 'round', 'ceil')
+    .messages({
+      'any.only': 'Rounding must be floor, round or ceil'
+    }),
+  minSpend: Joi.number()
+    .min(0),
+  maxPointsPerTransaction: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+});
+
+const tiersSchema = Joi.object({
+  periodMonths: Joi.number()
+    .integer()
+    .min(1)
+    .max(36),
+  levels: Joi.array()
+    .items(Joi.object({
+      name: Joi.string()
+        .trim()
+        .min(1)
+        .max(30)
+        .required()
+        .messages({
+          'any.required': 'Tier name is required'
+        }),
+      threshold: Joi.number()
+        .integer()
+        .min(0)
+        .required()
+        .messages({
+          'any.required': 'Tier threshold is required'
+        }),
+      multiplier: Joi.number()
+        .min(1)
+        .max(10)
+        .default(1)
+    }))
+    .max(10)
+    // Clients hold a tier by name, so names differing only in case are ambiguous
+    .unique((a, b) => typeof a.name === 'string' && typeof b.name === 'string' &&
+      a.name.toLowerCase() === b.name.toLowerCase())
+    .unique('threshold')
+    .messages({
+      'array.unique': 'Tier names and thresholds must be unique'
+    })
+});
+
+const enrollmentSchema = Joi.object({
+  enabled: Joi.boolean(),
+  welcomeBonus: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.min': 'Welcome bonus cannot be negative'
+    })
+});
+
+const cardDesignSchema = Joi.object({
+  primaryColor: Joi.string()
+    .trim()
+    .max(30),
+  secondaryColor: Joi.string()
+    .trim()
+    .max(30),
+  pattern: Joi.string()
+    .trim()
+    .max(30),
+  textColor: Joi.string()
+    .trim()
+    .max(30)
+});
+
 const createBusinessSchema = Joi.object({
   name: Joi.string()
     .trim()
@@ -35,8 +142,31 @@ const createBusinessSchema = Joi.object({
     .messages({
       'string.uri': 'Logo URL must be a valid URL'
     }),
+  activationCode: Joi.string()
+    .trim()
+    .max(50)
+    .optional(),
   allowNegativePoints: Joi.boolean()
-    .default(false)
+    .default(false),
+  reversalWindowMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(10080)
+    .optional(),
+  clientAuthEnabled: Joi.boolean()
+    .default(false),
+  signedCardsRequired: Joi.boolean()
+    .default(false),
+  dynamicQrRequired: Joi.boolean()
+    .default(false),
+  pointsExpiry: pointsExpirySchema
+    .optional(),
+  spendRule: spendRuleSchema
+    .optional(),
+  tiers: tiersSchema
+    .optional(),
+  enrollment: enrollmentSchema
+    .optional()
 });
 
 const updateBusinessSchema = Joi.object({
@@ -64,7 +194,73 @@ const updateBusinessSchema = Joi.object({
     .uri()
     .optional()
     .allow('', null),
+  activationCode: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+    .allow('', null),
   allowNegativePoints: Joi.boolean()
+    .optional(),
+  reversalWindowMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(10080)
+    .optional(),
+  clientAuthEnabled: Joi.boolean()
+    .optional(),
+  signedCardsRequired: Joi.boolean()
+    .optional(),
+  dynamicQrRequired: Joi.boolean()
+    .optional(),
+  pointsExpiry: pointsExpirySchema
+    .optional(),
+  spendRule: spendRuleSchema
+    .optional(),
+  tiers: tiersSchema
+    .optional(),
+  enrollment: enrollmentSchema
+    .optional(),
+  cardDesign: cardDesignSchema
+    .optional()
+}).min(1).messages({
+  'object.min': 'At least one field is required to update'
+});
+
+// Fields a business owner may change on their own business
+const updateProfileSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .optional(),
+  city: Joi.string()
+    .trim()
+    .max(50)
+    .optional(),
+  logoUrl: Joi.string()
+    .uri()
+    .optional()
+    .allow('', null),
+  cardDesign: cardDesignSchema
+    .optional(),
+  clientAuthEnabled: Joi.boolean()
+    .optional(),
+  signedCardsRequired: Joi.boolean()
+    .optional(),
+  dynamicQrRequired: Joi.boolean()
+    .optional(),
+  enrollment: enrollmentSchema
+    .optional(),
+  pointsExpiry: pointsExpirySchema
+    .optional(),
+  spendRule: spendRuleSchema
+    .optional(),
+  tiers: tiersSchema
+    .optional(),
+  reversalWindowMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(10080)
     .optional()
 }).min(1).messages({
   'object.min': 'At least one field is required to update'
@@ -91,4 +287,4 @@ const searchBusinessSchema = Joi.object({
     .default(20)
 });
 
-export { createBusinessSchema, updateBusinessSchema, searchBusinessSchema };
+export { createBusinessSchema, updateBusinessSchema, updateProfileSchema, searchBusinessSchema };
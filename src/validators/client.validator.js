@@ -35,6 +35,12 @@ const createClientSchema = Joi.object({
     .optional()
 });
 
+// Scanned rotating QR (or its 6 digits), required by businesses with dynamicQrRequired
+const dynamicCodeSchema = Joi.string()
+  .trim()
+  .max(200)
+  .optional();
+
 const pointsOperationSchema = Joi.object({
   itemId: Joi.string()
     .pattern(/^[0-9a-fA-F]{24}$/)
@@ -43,6 +49,45 @@ const pointsOperationSchema = Joi.object({
       'string.pattern.base': 'Invalid item ID format',
       'any.required': 'Item ID is required'
     }),
+  code: dynamicCodeSchema,
+  note: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+});
+
+const spendOperationSchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .max(1000000)
+    .precision(3)
+    .required()
+    .messages({
+      'any.required': 'Amount is required',
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be positive'
+    }),
+  code: dynamicCodeSchema,
+  note: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+});
+
+const scanSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .max(200)
+    .required()
+    .messages({
+      'any.required': 'Scanned code is required'
+    }),
+  itemId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid item ID format'
+    }),
   note: Joi.string()
     .trim()
     .max(500)
@@ -63,6 +108,13 @@ const manualPointsSchema = Joi.object({
     .optional()
 });
 
+const reverseTransactionSchema = Joi.object({
+  note: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+});
+
 const searchClientSchema = Joi.object({
   q: Joi.string()
     .trim()
@@ -80,9 +132,191 @@ const searchClientSchema = Joi.object({
     .default(20)
 });
 
+const enrollClientSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required'
+    }),
+  phone: Joi.string()
+    .trim()
+    .pattern(/^[+]?[\d\s-]{8,20}$/)
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .messages({
+      'string.email': 'Please provide a valid email address'
+    })
+}).or('phone', 'email').messages({
+  'object.missing': 'A phone number or email is required'
+});
+
+const activateClientSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required'
+    }),
+  pin: Joi.string()
+    .trim()
+    .max(20),
+  activationCode: Joi.string()
+    .trim()
+    .max(50)
+}).or('pin', 'activationCode').messages({
+  'object.missing': 'PIN is required'
+});
+
+const requestClientOtpSchema = Joi.object({
+  channel: Joi.string()
+    .valid('sms', 'email')
+    .optional()
+    .messages({
+      'any.only': 'Channel must be sms or email'
+    })
+});
+
+const verifyClientOtpSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Code is required'
+    })
+});
+
+const cardTokenSchema = Joi.string()
+  .trim()
+  .max(100);
+
+const clientHistorySchema = Joi.object({
+  t: cardTokenSchema,
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+});
+
+const cardModeSchema = Joi.string()
+  .valid('static', 'dynamic')
+  .messages({
+    'any.only': 'Mode must be static or dynamic'
+  });
+
+const imageFormatSchema = Joi.string()
+  .valid('png', 'svg')
+  .default('png')
+  .messages({
+    'any.only': 'Format must be png or svg'
+  });
+
+// Hex color, the leading # is optional since it has to be escaped in URLs
+const hexColorSchema = Joi.string()
+  .pattern(/^#?[0-9a-fA-F]{6}$/)
+  .messages({
+    'string.pattern.base': 'Colors must be hex values like 1e293b'
+  });
+
+const clientQrSchema = Joi.object({
+  t: cardTokenSchema,
+  mode: cardModeSchema,
+  format: imageFormatSchema,
+  size: Joi.number()
+    .integer()
+    .min(100)
+    .max(1000)
+    .default(300),
+  dark: hexColorSchema,
+  light: hexColorSchema,
+  ecc: Joi.string()
+    .uppercase()
+    .valid('L', 'M', 'Q', 'H')
+    .default('H')
+    .messages({
+      'any.only': 'Error correction must be L, M, Q or H'
+    }),
+  logo: Joi.boolean()
+    .default(false)
+    .when('format', {
+      is: 'svg',
+      otherwise: Joi.valid(false).messages({
+        'any.only': 'Logo overlay is only available in SVG format'
+      })
+    })
+});
+
+const clientBarcodeSchema = Joi.object({
+  t: cardTokenSchema,
+  mode: cardModeSchema,
+  format: imageFormatSchema,
+  height: Joi.number()
+    .integer()
+    .min(5)
+    .max(50)
+    .default(15)
+});
+
+// Cards to print: a generation batch, or a range of generated client numbers (client<n>)
+const printClientsSchema = Joi.object({
+  batchId: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .max(50)
+    .messages({
+      'string.pattern.base': 'Invalid batch ID'
+    }),
+  from: Joi.number()
+    .integer()
+    .min(1),
+  to: Joi.number()
+    .integer()
+    .min(Joi.ref('from'))
+    .messages({
+      'number.min': 'to must be greater than or equal to from'
+    })
+})
+  .xor('batchId', 'from')
+  .and('from', 'to')
+  .messages({
+    'object.missing': 'Provide a batchId or a from/to range',
+    'object.xor': 'Provide either a batchId or a from/to range, not both',
+    'object.and': 'from and to must be given together'
+  });
+
 export {
   createClientSchema,
   pointsOperationSchema,
+  spendOperationSchema,
+  scanSchema,
   manualPointsSchema,
-  searchClientSchema
+  reverseTransactionSchema,
+  searchClientSchema,
+  enrollClientSchema,
+  activateClientSchema,
+  requestClientOtpSchema,
+  verifyClientOtpSchema,
+  clientHistorySchema,
+  clientQrSchema,
+  clientBarcodeSchema,
+  printClientsSchema
 };
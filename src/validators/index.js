@@ -3,3 +3,5 @@ export * from './business.validator.js';
 export * from './client.validator.js';
 export * from './item.validator.js';
 export * from './user.validator.js';
+export * from './apiKey.validator.js';
+export * from './staff.validator.js';
@@ -0,0 +1,28 @@
+import Joi from 'joi';
+
+const inviteStaffSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+  businessRole: Joi.string()
+    .valid('owner', 'manager', 'cashier')
+    .default('cashier')
+    .messages({
+      'any.only': 'Business role must be owner, manager or cashier'
+    })
+});
+
+const updateStaffSchema = Joi.object({
+  businessRole: Joi.string()
+    .valid('owner', 'manager', 'cashier')
+    .messages({
+      'any.only': 'Business role must be owner, manager or cashier'
+    }),
+  isActive: Joi.boolean()
+}).min(1);
+
+export { inviteStaffSchema, updateStaffSchema };
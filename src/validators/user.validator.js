@@ -1,5 +1,14 @@
 import Joi from 'joi';
 
+// Password strength rules shared by every endpoint that sets a password
+const passwordSchema = Joi.string()
+  .min(8)
+  .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .messages({
+    'string.min': 'Password must be at least 8 characters',
+    'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+  });
+
 const createUserSchema = Joi.object({
   email: Joi.string()
     .email()
@@ -8,13 +17,9 @@ const createUserSchema = Joi.object({
       'string.email': 'Please provide a valid email address',
       'any.required': 'Email is required'
     }),
-  password: Joi.string()
-    .min(8)
-    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  password: passwordSchema
     .required()
     .messages({
-      'string.min': 'Password must be at least 8 characters',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
       'any.required': 'Password is required'
     }),
   name: Joi.string()
@@ -26,6 +31,12 @@ const createUserSchema = Joi.object({
       'string.min': 'Name must be at least 2 characters',
       'string.max': 'Name cannot exceed 100 characters',
       'any.required': 'Name is required'
+    }),
+  businessRole: Joi.string()
+    .valid('owner', 'manager', 'cashier')
+    .default('owner')
+    .messages({
+      'any.only': 'Business role must be owner, manager or cashier'
     })
 });
 
@@ -35,13 +46,7 @@ const updateUserSchema = Joi.object({
     .messages({
       'string.email': 'Please provide a valid email address'
     }),
-  password: Joi.string()
-    .min(8)
-    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .messages({
-      'string.min': 'Password must be at least 8 characters',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number'
-    }),
+  password: passwordSchema,
   name: Joi.string()
     .trim()
     .min(2)
@@ -49,7 +54,27 @@ const updateUserSchema = Joi.object({
     .messages({
       'string.min': 'Name must be at least 2 characters',
       'string.max': 'Name cannot exceed 100 characters'
+    }),
+  businessRole: Joi.string()
+    .valid('owner', 'manager', 'cashier')
+    .messages({
+      'any.only': 'Business role must be owner, manager or cashier'
     })
 }).min(1);
 
-export { createUserSchema, updateUserSchema };
+const loginAttemptQuerySchema = Joi.object({
+  outcome: Joi.string()
+    .valid('success', 'invalid_password', 'unknown_user', 'locked', 'two_factor_required', 'invalid_two_factor', 'disabled')
+    .optional(),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+});
+
+export { passwordSchema, createUserSchema, updateUserSchema, loginAttemptQuerySchema };
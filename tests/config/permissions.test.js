@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import { hasPermission } from '../../src/config/permissions.js';
+
+describe('hasPermission', () => {
+  const staff = (businessRole) => ({ role: 'business_user', businessRole });
+
+  it.each([
+    ['owner', 'staff:manage', true],
+    ['owner', 'settings:manage', true],
+    ['manager', 'staff:manage', false],
+    ['manager', 'settings:manage', false],
+    ['manager', 'points:manual', true],
+    ['manager', 'transactions:reverse_any', true],
+    ['cashier', 'points:apply', true],
+    ['cashier', 'clients:read', true],
+    ['cashier', 'transactions:reverse', true],
+    ['cashier', 'points:manual', false],
+    ['cashier', 'items:manage', false],
+    ['cashier', 'transactions:read', false],
+    ['cashier', 'transactions:reverse_any', false]
+  ])('gives a %s %s: %s', (businessRole, permission, allowed) => {
+    expect(hasPermission(staff(businessRole), permission)).toBe(allowed);
+  });
+
+  it('treats business users without a staff role as owners', () => {
+    expect(hasPermission(staff(undefined), 'staff:manage')).toBe(true);
+  });
+
+  it('gives admins every permission', () => {
+    expect(hasPermission({ role: 'admin' }, 'staff:manage')).toBe(true);
+  });
+
+  it('denies unknown permissions and other roles', () => {
+    expect(hasPermission(staff('owner'), 'unknown:permission')).toBe(false);
+    expect(hasPermission({ role: 'client', businessRole: 'owner' }, 'clients:read')).toBe(false);
+  });
+});
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { ApiKey, User } from '../../src/models/index.js';
+import { authMiddleware, allowApiKey, forbidImpersonation } from '../../src/middlewares/auth.js';
+import { generateAccessToken } from '../../src/services/auth.service.js';
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Run allowApiKey (if any) then authMiddleware like a route would
+const runAuth = async (req, scope) => {
+  const res = createRes();
+  const next = jest.fn();
+  if (scope) {
+    allowApiKey(scope)(req, res, () => {});
+  }
+  await authMiddleware(req, res, next);
+  return { res, next };
+};
+
+describe('authMiddleware with an API key', () => {
+  const key = `fid_0123abcd_${'ab'.repeat(24)}`;
+  const apiKey = {
+    _id: 'apikey1',
+    name: 'Register 1',
+    businessId: 'business1',
+    createdBy: 'user1',
+    scopes: ['points:apply'],
+    keyHash: crypto.createHash('sha256').update(key).digest('hex'),
+    isValid: () => true
+  };
+  const apiKeyRequest = () => ({ headers: { authorization: `ApiKey ${key}` } });
+
+  beforeEach(() => {
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(apiKey) });
+    jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue({ isActive: true, businessId: 'business1' }) })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('acts as a business user of the key business on allowed routes', async () => {
+    const req = apiKeyRequest();
+
+    const { next } = await runAuth(req, 'points:apply');
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.apiKey).toBe(apiKey);
+    expect(req.user).toEqual({
+      _id: 'user1',
+      name: 'Register 1',
+      role: 'business_user',
+      businessId: 'business1',
+      isApiKey: true
+    });
+  });
+
+  it('is refused on routes that do not accept API keys', async () => {
+    const { res, next } = await runAuth(apiKeyRequest());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(ApiKey.findOne).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('is refused without the scope of the route', async () => {
+    const { res, next } = await runAuth(apiKeyRequest(), 'points:manual');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'API key is missing the required scope: points:manual'
+    }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('answers 401 to an invalid key', async () => {
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+    const { res } = await runAuth(apiKeyRequest(), 'points:apply');
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('authMiddleware with an access token', () => {
+  const user = { _id: 'user1', role: 'business_user', businessId: 'business1', isActive: true };
+  const bearerRequest = (options) => ({
+    headers: { authorization: `Bearer ${generateAccessToken(user, options)}` }
+  });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-jwt-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.JWT_SECRET;
+  });
+
+  it('attaches the user of a valid token', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    const req = bearerRequest();
+
+    const { next } = await runAuth(req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBe(user);
+  });
+
+  it('rejects the tokens of a disabled account', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ ...user, isActive: false }) });
+
+    const { res, next } = await runAuth(bearerRequest());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'This account has been disabled.' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('marks requests made while impersonating with the admin', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ ...user }) });
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'admin1' });
+    const req = bearerRequest({ impersonatedBy: 'admin1' });
+
+    const { next } = await runAuth(req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user.impersonatedBy).toBe('admin1');
+    expect(User.exists).toHaveBeenCalledWith({ _id: 'admin1', role: 'admin', isActive: { $ne: false } });
+  });
+
+  it('rejects impersonation tokens once the admin is gone', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ ...user }) });
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+    const { res, next } = await runAuth(bearerRequest({ impersonatedBy: 'admin1' }));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('forbidImpersonation', () => {
+  it('blocks impersonated sessions', () => {
+    const res = createRes();
+    const next = jest.fn();
+
+    forbidImpersonation({ user: { _id: 'user1', impersonatedBy: 'admin1' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('lets the real user through', () => {
+    const next = jest.fn();
+
+    forbidImpersonation({ user: { _id: 'user1' } }, createRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
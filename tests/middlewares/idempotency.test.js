@@ -0,0 +1,108 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { IdempotencyKey } from '../../src/models/index.js';
+import { idempotencyMiddleware } from '../../src/middlewares/idempotency.js';
+import { hashRequest } from '../../src/services/idempotency.service.js';
+
+// Minimal Express request/response for the middleware
+const createReq = ({ key, body = { itemId: 'item1' }, apiKey } = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/business',
+  path: '/clients/client1/points',
+  body,
+  user: { _id: 'user1', businessId: 'business1' },
+  apiKey,
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const createRes = () => {
+  const res = {};
+  res.set = jest.fn().mockReturnValue(res);
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// IdempotencyKey.findOne(...).session(...).lean() resolving to the given record
+const mockStoredKey = (record) => {
+  jest.spyOn(IdempotencyKey, 'findOne').mockReturnValue({
+    session: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(record)
+  });
+};
+
+describe('idempotencyMiddleware', () => {
+  let next;
+
+  beforeEach(() => {
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('passes requests without a key through', async () => {
+    jest.spyOn(IdempotencyKey, 'findOne');
+    const req = createReq();
+
+    await idempotencyMiddleware(req, createRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotencyKey.findOne).not.toHaveBeenCalled();
+    expect(req.idempotency).toBeUndefined();
+  });
+
+  it('rejects malformed keys', async () => {
+    const res = createRes();
+
+    await idempotencyMiddleware(createReq({ key: 'has spaces' }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('hands a new key to the operation, scoped to the user', async () => {
+    mockStoredKey(null);
+    const req = createReq({ key: 'abc-123' });
+
+    await idempotencyMiddleware(req, createRes(), next);
+
+    expect(IdempotencyKey.findOne).toHaveBeenCalledWith({ businessId: 'business1', caller: 'user:user1', key: 'abc-123' });
+    expect(req.idempotency).toEqual({ caller: 'user:user1', key: 'abc-123', requestHash: hashRequest(req) });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('scopes keys sent with an API key to that key', async () => {
+    mockStoredKey(null);
+    const req = createReq({ key: 'abc-123', apiKey: { _id: 'apikey1' } });
+
+    await idempotencyMiddleware(req, createRes(), next);
+
+    expect(IdempotencyKey.findOne).toHaveBeenCalledWith({ businessId: 'business1', caller: 'apiKey:apikey1', key: 'abc-123' });
+    expect(req.idempotency.caller).toBe('apiKey:apikey1');
+  });
+
+  it('replays the stored response of a retry', async () => {
+    const req = createReq({ key: 'abc-123' });
+    const response = { success: true, beforePoints: 10, afterPoints: 20 };
+    mockStoredKey({ requestHash: hashRequest(req), response });
+    const res = createRes();
+
+    await idempotencyMiddleware(req, res, next);
+
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.json).toHaveBeenCalledWith(response);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('answers 422 when the key was used for another request', async () => {
+    mockStoredKey({ requestHash: hashRequest(createReq({ body: { itemId: 'item2' } })), response: {} });
+    const res = createRes();
+
+    await idempotencyMiddleware(createReq({ key: 'abc-123' }), res, next);
+
+    const [error] = next.mock.calls[0];
+    expect(error.statusCode).toBe(422);
+    expect(res.json).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import { permissionMiddleware } from '../../src/middlewares/role.js';
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('permissionMiddleware', () => {
+  let next;
+
+  beforeEach(() => {
+    next = jest.fn();
+  });
+
+  it('lets staff with the permission through', () => {
+    permissionMiddleware('points:apply')({ user: { role: 'business_user', businessRole: 'cashier' } }, createRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('answers 403 to staff without the permission', () => {
+    const res = createRes();
+
+    permissionMiddleware('points:manual')({ user: { role: 'business_user', businessRole: 'cashier' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('leaves API keys to their scopes', () => {
+    const req = { user: { role: 'business_user', isApiKey: true }, apiKey: { scopes: ['points:apply'] } };
+
+    permissionMiddleware('staff:manage')(req, createRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('answers 401 without a user', () => {
+    const res = createRes();
+
+    permissionMiddleware('points:apply')({}, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
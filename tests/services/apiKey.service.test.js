@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { ApiKey, User } from '../../src/models/index.js';
+import { generateApiKey, authenticateApiKey, revokeApiKey } from '../../src/services/apiKey.service.js';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateApiKey', () => {
+  it('returns the raw key once and stores only its hash', async () => {
+    jest.spyOn(ApiKey, 'create').mockImplementation(async (doc) => doc);
+
+    const { apiKey, key } = await generateApiKey({
+      businessId: 'business1',
+      name: 'Register 1',
+      scopes: ['points:apply'],
+      createdBy: 'user1'
+    });
+
+    expect(key).toMatch(/^fid_[a-f0-9]{8}_[a-f0-9]{48}$/);
+    expect(apiKey).toEqual({
+      businessId: 'business1',
+      name: 'Register 1',
+      prefix: key.split('_')[1],
+      keyHash: sha256(key),
+      scopes: ['points:apply'],
+      expiresAt: null,
+      createdBy: 'user1'
+    });
+  });
+});
+
+describe('authenticateApiKey', () => {
+  const key = `fid_0123abcd_${'ab'.repeat(24)}`;
+  let apiKey;
+
+  // ApiKey.findOne(...).select(...) and User.findById(...).select(...).lean()
+  const mockLookups = (storedKey, creator) => {
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(storedKey) });
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(creator) })
+    });
+    jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  };
+
+  beforeEach(() => {
+    apiKey = {
+      _id: 'apikey1',
+      businessId: 'business1',
+      keyHash: sha256(key),
+      createdBy: 'user1',
+      isValid: () => true
+    };
+  });
+
+  it('accepts a valid key and records its use', async () => {
+    mockLookups(apiKey, { isActive: true, businessId: 'business1' });
+
+    await expect(authenticateApiKey(key)).resolves.toBe(apiKey);
+
+    expect(ApiKey.findOne).toHaveBeenCalledWith({ prefix: '0123abcd' });
+    expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: 'apikey1' }, { lastUsedAt: expect.any(Date) });
+  });
+
+  it('rejects malformed keys without a lookup', async () => {
+    jest.spyOn(ApiKey, 'findOne');
+
+    await expect(authenticateApiKey('fid_0123abcd_short')).resolves.toBeNull();
+    await expect(authenticateApiKey(undefined)).resolves.toBeNull();
+    expect(ApiKey.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a key whose secret does not match the prefix', async () => {
+    mockLookups(apiKey, { isActive: true, businessId: 'business1' });
+
+    await expect(authenticateApiKey(`fid_0123abcd_${'cd'.repeat(24)}`)).resolves.toBeNull();
+    expect(ApiKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects revoked or expired keys', async () => {
+    mockLookups({ ...apiKey, isValid: () => false }, { isActive: true, businessId: 'business1' });
+
+    await expect(authenticateApiKey(key)).resolves.toBeNull();
+  });
+
+  it('rejects unknown keys', async () => {
+    mockLookups(null, null);
+
+    await expect(authenticateApiKey(key)).resolves.toBeNull();
+  });
+
+  it.each([
+    ['was disabled', { isActive: false, businessId: 'business1' }],
+    ['left the business', { isActive: true, businessId: 'business2' }],
+    ['was deleted', null]
+  ])('rejects keys whose creator %s', async (_, creator) => {
+    mockLookups(apiKey, creator);
+
+    await expect(authenticateApiKey(key)).resolves.toBeNull();
+    expect(ApiKey.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('revokeApiKey', () => {
+  it('only revokes active keys of the business', async () => {
+    jest.spyOn(ApiKey, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(revokeApiKey('business1', 'apikey1')).resolves.toBeNull();
+
+    expect(ApiKey.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'apikey1', businessId: 'business1', revokedAt: null },
+      { revokedAt: expect.any(Date) },
+      { new: true }
+    );
+  });
+});
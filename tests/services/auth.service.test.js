@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { PasswordResetToken, RefreshToken } from '../../src/models/index.js';
+import {
+  hashPassword,
+  comparePassword,
+  revokeAllUserTokens,
+  rotateRefreshToken,
+  createSession,
+  listUserSessions,
+  revokeUserSession,
+  isSessionActive,
+  generatePasswordResetToken,
+  consumePasswordResetToken,
+  generateAccessToken
+} from '../../src/services/auth.service.js';
+import { verifyToken } from '../../src/services/jwt.service.js';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generatePasswordResetToken', () => {
+  it('stores only the hash of the token and drops earlier unused ones', async () => {
+    jest.spyOn(PasswordResetToken, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(PasswordResetToken, 'create').mockResolvedValue({});
+
+    const token = await generatePasswordResetToken({ _id: 'user1' });
+
+    expect(PasswordResetToken.deleteMany).toHaveBeenCalledWith({ userId: 'user1', usedAt: null });
+    const [stored] = PasswordResetToken.create.mock.calls[0];
+    expect(stored.token).toBe(sha256(token));
+    expect(stored.userId).toBe('user1');
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('expires after PASSWORD_RESET_EXPIRES_IN', async () => {
+    process.env.PASSWORD_RESET_EXPIRES_IN = '30m';
+    jest.spyOn(PasswordResetToken, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(PasswordResetToken, 'create').mockResolvedValue({});
+
+    await generatePasswordResetToken({ _id: 'user1' });
+
+    const [stored] = PasswordResetToken.create.mock.calls[0];
+    expect(stored.expiresAt.getTime() - Date.now()).toBeGreaterThan(29 * 60 * 1000);
+    expect(stored.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(30 * 60 * 1000);
+    delete process.env.PASSWORD_RESET_EXPIRES_IN;
+  });
+});
+
+describe('consumePasswordResetToken', () => {
+  it('marks an unused, unexpired token as used and returns its user', async () => {
+    jest.spyOn(PasswordResetToken, 'findOneAndUpdate').mockResolvedValue({ userId: 'user1' });
+
+    await expect(consumePasswordResetToken('raw-token')).resolves.toBe('user1');
+
+    const [filter, update] = PasswordResetToken.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ token: sha256('raw-token'), usedAt: null, expiresAt: { $gt: expect.any(Date) } });
+    expect(update).toEqual({ usedAt: expect.any(Date) });
+  });
+
+  it('returns null for an unknown, expired or used token', async () => {
+    jest.spyOn(PasswordResetToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(consumePasswordResetToken('raw-token')).resolves.toBeNull();
+  });
+});
+
+describe('hashPassword', () => {
+  it('hashes with bcrypt so only the right password matches', async () => {
+    const hash = await hashPassword('Secret123');
+
+    expect(hash).not.toContain('Secret123');
+    await expect(comparePassword('Secret123', hash)).resolves.toBe(true);
+    await expect(comparePassword('Secret124', hash)).resolves.toBe(false);
+  });
+});
+
+describe('revokeAllUserTokens', () => {
+  it('revokes every active token of the user', async () => {
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    await expect(revokeAllUserTokens('user1')).resolves.toBe(3);
+
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith({ userId: 'user1', isRevoked: false }, { isRevoked: true });
+  });
+
+  it('keeps the caller\'s current session after a password change', async () => {
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await revokeAllUserTokens('user1', { exceptToken: 'current-token', exceptSessionId: 'session1' });
+
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      {
+        userId: 'user1',
+        isRevoked: false,
+        token: { $ne: sha256('current-token') },
+        familyId: { $ne: 'session1' }
+      },
+      { isRevoked: true }
+    );
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  const stored = (overrides = {}) => ({
+    _id: 'token1',
+    userId: 'user1',
+    familyId: 'family1',
+    isRevoked: false,
+    rotatedAt: null,
+    expiresAt: new Date(Date.now() + 60000),
+    sessionStartedAt: new Date('2026-01-01T00:00:00Z'),
+    ...overrides
+  });
+
+  it('issues a new token of the same family and invalidates the old one', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored());
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(stored());
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'updateMany');
+
+    const result = await rotateRefreshToken('old-token', { userAgent: 'POS', ipAddress: '10.0.0.1' });
+
+    expect(RefreshToken.findOne).toHaveBeenCalledWith({ token: sha256('old-token') });
+    expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'token1', isRevoked: false, rotatedAt: null },
+      { isRevoked: true, rotatedAt: expect.any(Date) }
+    );
+    expect(result).toEqual({ userId: 'user1', sessionId: 'family1', refreshToken: expect.any(String) });
+    expect(result.refreshToken).not.toBe('old-token');
+
+    const [created] = RefreshToken.create.mock.calls[0];
+    expect(created).toMatchObject({
+      token: sha256(result.refreshToken),
+      userId: 'user1',
+      familyId: 'family1',
+      userAgent: 'POS',
+      ipAddress: '10.0.0.1',
+      sessionStartedAt: new Date('2026-01-01T00:00:00Z')
+    });
+    expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored({ isRevoked: true, rotatedAt: new Date() }));
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(RefreshToken, 'create');
+
+    await expect(rotateRefreshToken('old-token')).resolves.toBeNull();
+
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith({ familyId: 'family1', isRevoked: false }, { isRevoked: true });
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('revokes the family when a concurrent refresh claimed the token first', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored());
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(RefreshToken, 'create');
+
+    await expect(rotateRefreshToken('old-token')).resolves.toBeNull();
+
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith({ familyId: 'family1', isRevoked: false }, { isRevoked: true });
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an expired token', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored({ expiresAt: new Date(Date.now() - 1000) }));
+    jest.spyOn(RefreshToken, 'findOneAndUpdate');
+
+    await expect(rotateRefreshToken('old-token')).resolves.toBeNull();
+
+    expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token of a revoked family without reporting reuse', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored({ isRevoked: true }));
+    jest.spyOn(RefreshToken, 'findOneAndUpdate');
+    jest.spyOn(RefreshToken, 'updateMany');
+
+    await expect(rotateRefreshToken('old-token')).resolves.toBeNull();
+
+    expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown token', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(null);
+
+    await expect(rotateRefreshToken('unknown')).resolves.toBeNull();
+  });
+});
+
+describe('createSession', () => {
+  it('starts a token family named after the session, with the device metadata', async () => {
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+
+    const { sessionId, refreshToken } = await createSession({ _id: 'user1' }, { userAgent: 'Firefox', ipAddress: '1.2.3.4' });
+
+    const [created] = RefreshToken.create.mock.calls[0];
+    expect(created).toMatchObject({
+      token: sha256(refreshToken),
+      userId: 'user1',
+      familyId: sessionId,
+      userAgent: 'Firefox',
+      ipAddress: '1.2.3.4'
+    });
+    expect(created.sessionStartedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('listUserSessions', () => {
+  it('lists active families with the caller\'s flagged as current', async () => {
+    const lean = jest.fn().mockResolvedValue([
+      { familyId: 'session2', userAgent: 'Safari', ipAddress: '5.6.7.8', sessionStartedAt: new Date('2026-01-02'), lastUsedAt: new Date('2026-01-03'), expiresAt: new Date('2026-01-09') },
+      { familyId: 'session1', createdAt: new Date('2026-01-01'), expiresAt: new Date('2026-01-08') }
+    ]);
+    const sort = jest.fn().mockReturnValue({ lean });
+    jest.spyOn(RefreshToken, 'find').mockReturnValue({ sort });
+
+    const sessions = await listUserSessions('user1', 'session1');
+
+    expect(RefreshToken.find).toHaveBeenCalledWith({
+      userId: 'user1',
+      familyId: { $ne: null },
+      isRevoked: false,
+      expiresAt: { $gt: expect.any(Date) }
+    });
+    expect(sort).toHaveBeenCalledWith({ lastUsedAt: -1 });
+    expect(sessions).toEqual([
+      {
+        id: 'session2',
+        userAgent: 'Safari',
+        ipAddress: '5.6.7.8',
+        createdAt: new Date('2026-01-02'),
+        lastUsedAt: new Date('2026-01-03'),
+        expiresAt: new Date('2026-01-09'),
+        current: false
+      },
+      {
+        id: 'session1',
+        userAgent: null,
+        ipAddress: null,
+        createdAt: new Date('2026-01-01'),
+        lastUsedAt: new Date('2026-01-01'),
+        expiresAt: new Date('2026-01-08'),
+        current: true
+      }
+    ]);
+  });
+});
+
+describe('revokeUserSession', () => {
+  it('revokes the family of the user only', async () => {
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(revokeUserSession('user1', 'session1')).resolves.toBe(true);
+
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { userId: 'user1', familyId: 'session1', isRevoked: false },
+      { isRevoked: true }
+    );
+  });
+
+  it('reports an unknown or already revoked session', async () => {
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(revokeUserSession('user1', 'session1')).resolves.toBe(false);
+  });
+});
+
+describe('isSessionActive', () => {
+  it('is active while the family has a usable token', async () => {
+    jest.spyOn(RefreshToken, 'exists').mockResolvedValue({ _id: 'token1' });
+
+    await expect(isSessionActive('session1')).resolves.toBe(true);
+
+    expect(RefreshToken.exists).toHaveBeenCalledWith({ familyId: 'session1', isRevoked: false, expiresAt: { $gt: expect.any(Date) } });
+  });
+
+  it('is inactive once every token is revoked or expired', async () => {
+    jest.spyOn(RefreshToken, 'exists').mockResolvedValue(null);
+
+    await expect(isSessionActive('session1')).resolves.toBe(false);
+  });
+});
+
+describe('generateAccessToken', () => {
+  const user = { _id: 'user1', email: 'owner@example.com', role: 'business_user', businessId: 'business1' };
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+  });
+
+  it('names the impersonating admin and shortens the lifetime', () => {
+    process.env.JWT_SECRET = 'test-jwt-secret';
+
+    const decoded = verifyToken(generateAccessToken(user, { impersonatedBy: 'admin1', expiresIn: '5m' }), { audience: 'fidelya-app' });
+
+    expect(decoded).toMatchObject({ userId: 'user1', role: 'business_user', impersonatedBy: 'admin1' });
+    expect(decoded.exp - decoded.iat).toBe(5 * 60);
+  });
+
+  it('leaves impersonatedBy out of regular tokens', () => {
+    process.env.JWT_SECRET = 'test-jwt-secret';
+
+    const decoded = verifyToken(generateAccessToken(user, { sessionId: 'session1' }), { audience: 'fidelya-app' });
+
+    expect(decoded.impersonatedBy).toBeUndefined();
+    expect(decoded.sid).toBe('session1');
+  });
+});
@@ -0,0 +1,69 @@
+import bcrypt from 'bcrypt';
+import { jest, describe, it, expect, beforeAll, afterEach } from '@jest/globals';
+import { Client } from '../../src/models/index.js';
+import { generateCardPin, resetCardPin, verifyCardPin } from '../../src/services/cardPin.service.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateCardPin', () => {
+  it('returns a 6-digit PIN with its bcrypt hash', async () => {
+    const { pin, pinHash } = await generateCardPin();
+
+    expect(pin).toMatch(/^\d{6}$/);
+    await expect(bcrypt.compare(pin, pinHash)).resolves.toBe(true);
+  });
+});
+
+describe('resetCardPin', () => {
+  it('stores the hash of a new PIN and clears the failed attempts', async () => {
+    jest.spyOn(Client, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const pin = await resetCardPin('client1');
+
+    const [filter, update] = Client.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'client1' });
+    expect(update.pinAttempts).toBe(0);
+    await expect(bcrypt.compare(pin, update.activationPin)).resolves.toBe(true);
+  });
+});
+
+describe('verifyCardPin', () => {
+  let client;
+
+  beforeAll(async () => {
+    client = { _id: 'client1', activationPin: await bcrypt.hash('123456', 8) };
+  });
+
+  it('reserves an attempt before comparing, then resets the count on success', async () => {
+    jest.spyOn(Client, 'findOneAndUpdate').mockResolvedValue(client);
+    jest.spyOn(Client, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(verifyCardPin(client, '123456')).resolves.toBe('valid');
+
+    expect(Client.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'client1', pinAttempts: { $not: { $gte: 5 } } },
+      { $inc: { pinAttempts: 1 } }
+    );
+    expect(Client.updateOne).toHaveBeenCalledWith({ _id: 'client1' }, { pinAttempts: 0 });
+  });
+
+  it('keeps the attempt of a wrong PIN', async () => {
+    jest.spyOn(Client, 'findOneAndUpdate').mockResolvedValue(client);
+    jest.spyOn(Client, 'updateOne');
+
+    await expect(verifyCardPin(client, '654321')).resolves.toBe('invalid');
+
+    expect(Client.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('locks the card once the attempts are used up, even for the right PIN', async () => {
+    jest.spyOn(Client, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Client, 'updateOne');
+
+    await expect(verifyCardPin(client, '123456')).resolves.toBe('locked');
+
+    expect(Client.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { renderCardSheets } from '../../src/services/cardPrint.service.js';
+
+const business = { name: 'Cafe', slug: 'cafe', cardDesign: { primaryColor: '#123456', textColor: '#ffffff' } };
+
+// Cards numbered client1..clientN, with a PIN
+const createCards = (count) => Array.from({ length: count }, (_, i) => ({
+  client: { _id: `id${i + 1}`, clientId: `client${i + 1}` },
+  pin: '123456'
+}));
+
+// Page objects of a PDF (the page tree itself is /Type /Pages)
+const countPages = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b(?!s)/g) || []).length;
+
+describe('renderCardSheets', () => {
+  beforeEach(() => {
+    process.env.CARD_TOKEN_SECRET = 'test-card-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.CARD_TOKEN_SECRET;
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await renderCardSheets(business, createCards(1));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(pdf)).toBe(1);
+  });
+
+  // Every card QR is rendered, which takes a few seconds for a full page
+  it('starts a new page after ten cards', async () => {
+    expect(countPages(await renderCardSheets(business, createCards(11)))).toBe(2);
+  }, 60000);
+
+  it('renders cards without a PIN or a card design', async () => {
+    const cards = [{ client: { _id: 'id1', clientId: 'client1' } }];
+
+    await expect(renderCardSheets({ name: 'Cafe', slug: 'cafe' }, cards)).resolves.toBeInstanceOf(Buffer);
+  });
+});
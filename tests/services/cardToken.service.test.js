@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { generateCardToken, verifyCardToken, isCardTokenRequired } from '../../src/services/cardToken.service.js';
+import { getClientDashboardUrl } from '../../src/services/qrcode.service.js';
+
+beforeEach(() => {
+  process.env.CARD_TOKEN_SECRET = 'test-card-secret';
+});
+
+afterEach(() => {
+  delete process.env.CARD_TOKEN_SECRET;
+  delete process.env.JWT_SECRET;
+  delete process.env.CLIENT_DASHBOARD_URL;
+});
+
+describe('generateCardToken', () => {
+  it('returns a short URL-safe token bound to the card', () => {
+    const token = generateCardToken({ _id: 'client1' });
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    expect(generateCardToken({ _id: 'client1' })).toBe(token);
+    expect(generateCardToken({ _id: 'client2' })).not.toBe(token);
+  });
+
+  it('depends on the secret', () => {
+    const token = generateCardToken({ _id: 'client1' });
+    process.env.CARD_TOKEN_SECRET = 'other-secret';
+
+    expect(generateCardToken({ _id: 'client1' })).not.toBe(token);
+  });
+
+  it('falls back to JWT_SECRET and fails without any secret', () => {
+    delete process.env.CARD_TOKEN_SECRET;
+    expect(() => generateCardToken({ _id: 'client1' })).toThrow('CARD_TOKEN_SECRET is not configured');
+
+    process.env.JWT_SECRET = 'test-jwt-secret';
+    expect(generateCardToken({ _id: 'client1' })).toMatch(/^[A-Za-z0-9_-]{22}$/);
+  });
+});
+
+describe('verifyCardToken', () => {
+  it('accepts the token of the current card version', () => {
+    const client = { _id: 'client1', cardTokenVersion: 1 };
+
+    expect(verifyCardToken(client, generateCardToken(client))).toBe(true);
+  });
+
+  it('rejects tokens printed before a rotation', () => {
+    const oldToken = generateCardToken({ _id: 'client1', cardTokenVersion: 0 });
+
+    expect(verifyCardToken({ _id: 'client1', cardTokenVersion: 1 }, oldToken)).toBe(false);
+  });
+
+  it('rejects missing, truncated and foreign tokens', () => {
+    const client = { _id: 'client1' };
+
+    expect(verifyCardToken(client, undefined)).toBe(false);
+    expect(verifyCardToken(client, generateCardToken(client).slice(0, 10))).toBe(false);
+    expect(verifyCardToken(client, generateCardToken({ _id: 'client2' }))).toBe(false);
+  });
+});
+
+describe('isCardTokenRequired', () => {
+  it('lets unsigned legacy cards through in grace mode', () => {
+    expect(isCardTokenRequired({}, { cardTokenVersion: 0 })).toBe(false);
+  });
+
+  it('requires the token once the business or the card opts in', () => {
+    expect(isCardTokenRequired({ signedCardsRequired: true }, {})).toBe(true);
+    expect(isCardTokenRequired({}, { cardTokenVersion: 1 })).toBe(true);
+  });
+});
+
+describe('getClientDashboardUrl', () => {
+  it('adds the card token to the printed URL', () => {
+    process.env.CLIENT_DASHBOARD_URL = 'https://cards.example.com';
+
+    expect(getClientDashboardUrl('cafe', 'CAFE-ABC123', 'token')).toBe('https://cards.example.com/cafe/client/CAFE-ABC123?t=token');
+    expect(getClientDashboardUrl('cafe', 'CAFE-ABC123')).toBe('https://cards.example.com/cafe/client/CAFE-ABC123');
+  });
+});
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { ClientOtp } from '../../src/models/index.js';
+import {
+  requestClientOtp,
+  verifyClientOtp,
+  generateClientToken,
+  verifyClientToken
+} from '../../src/services/clientAuth.service.js';
+import { registerSmsTransport } from '../../src/services/sms.service.js';
+import { registerMailTransport } from '../../src/services/mail.service.js';
+import { signToken } from '../../src/services/jwt.service.js';
+
+describe('requestClientOtp', () => {
+  const business = { name: 'Cafe' };
+  let sms;
+  let mail;
+
+  beforeEach(() => {
+    sms = jest.fn().mockResolvedValue();
+    mail = jest.fn().mockResolvedValue();
+    registerSmsTransport('test', sms);
+    registerMailTransport('test', mail);
+    process.env.SMS_TRANSPORT = 'test';
+    process.env.MAIL_TRANSPORT = 'test';
+    jest.spyOn(ClientOtp, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(ClientOtp, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.SMS_TRANSPORT;
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  it('texts a code to the phone and stores only its hash', async () => {
+    const client = { _id: 'client1', phone: '+21612345678', email: 'jane@mail.com' };
+
+    await expect(requestClientOtp(client, business)).resolves.toEqual({ channel: 'sms', destination: '****78' });
+
+    const [code] = sms.mock.calls[0][0].text.match(/^\d{6}/);
+    expect(sms.mock.calls[0][0]).toMatchObject({ to: '+21612345678' });
+    expect(ClientOtp.deleteMany).toHaveBeenCalledWith({ clientId: 'client1', usedAt: null });
+    expect(ClientOtp.create).toHaveBeenCalledWith({
+      clientId: 'client1',
+      channel: 'sms',
+      codeHash: crypto.createHash('sha256').update(`client1:${code}`).digest('hex'),
+      expiresAt: expect.any(Date)
+    });
+  });
+
+  it('mails the code when asked or when there is no phone', async () => {
+    await expect(requestClientOtp({ _id: 'client1', email: 'jane@mail.com' }, business))
+      .resolves.toEqual({ channel: 'email', destination: 'j***@mail.com' });
+
+    expect(mail).toHaveBeenCalledWith(expect.objectContaining({ to: 'jane@mail.com', subject: 'Your Cafe login code' }));
+    expect(sms).not.toHaveBeenCalled();
+  });
+
+  it('rejects a channel without a registered destination', async () => {
+    await expect(requestClientOtp({ _id: 'client1', phone: '+21612345678' }, business, 'email'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'No email is registered for this card' });
+
+    expect(ClientOtp.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyClientOtp', () => {
+  const client = { _id: 'client1' };
+  const otp = {
+    _id: 'otp1',
+    codeHash: crypto.createHash('sha256').update('client1:123456').digest('hex')
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reserves an attempt before comparing the code', async () => {
+    jest.spyOn(ClientOtp, 'findOneAndUpdate').mockResolvedValueOnce(otp).mockResolvedValueOnce(otp);
+
+    await expect(verifyClientOtp(client, '123456')).resolves.toBe(true);
+
+    const [filter, update, options] = ClientOtp.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ clientId: 'client1', usedAt: null, attempts: { $lt: 5 } });
+    expect(update).toEqual({ $inc: { attempts: 1 } });
+    expect(options).toEqual({ sort: { createdAt: -1 } });
+    expect(ClientOtp.findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: 'otp1', usedAt: null });
+  });
+
+  it('rejects a wrong code without marking it used', async () => {
+    jest.spyOn(ClientOtp, 'findOneAndUpdate').mockResolvedValue(otp);
+
+    await expect(verifyClientOtp(client, '654321')).resolves.toBe(false);
+
+    expect(ClientOtp.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects every code once the attempts are used up', async () => {
+    // No code left with attempts below the limit
+    jest.spyOn(ClientOtp, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(verifyClientOtp(client, '123456')).resolves.toBe(false);
+  });
+
+  it('accepts a code only once', async () => {
+    jest.spyOn(ClientOtp, 'findOneAndUpdate').mockResolvedValueOnce(otp).mockResolvedValueOnce(null);
+
+    await expect(verifyClientOtp(client, '123456')).resolves.toBe(false);
+  });
+});
+
+describe('client tokens', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-jwt-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+  });
+
+  it('round-trips the client, its business and the card version', () => {
+    const token = generateClientToken({ _id: 'client1', businessId: 'business1', cardTokenVersion: 2 });
+
+    expect(verifyClientToken(token)).toEqual({ clientId: 'client1', businessId: 'business1', cardVersion: 2 });
+  });
+
+  it('rejects staff access tokens', () => {
+    const token = signToken({ userId: 'user1', clientId: 'client1' }, { audience: 'fidelya-app', expiresIn: '5m' });
+
+    expect(verifyClientToken(token)).toBeNull();
+  });
+
+  it('rejects garbage', () => {
+    expect(verifyClientToken('not-a-token')).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { Client } from '../../src/models/index.js';
+import {
+  generateDynamicQrPayload,
+  parseDynamicQrPayload,
+  verifyDynamicQrCode,
+  consumeDynamicQrCode
+} from '../../src/services/dynamicQr.service.js';
+
+const client = { _id: 'client1', clientId: 'CAFE-ABC123' };
+
+beforeEach(() => {
+  process.env.CARD_TOKEN_SECRET = 'test-card-secret';
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.CARD_TOKEN_SECRET;
+});
+
+describe('generateDynamicQrPayload', () => {
+  it('encodes the card and a code valid until the end of the 30 s step', () => {
+    const { payload, code, expiresAt } = generateDynamicQrPayload(client, 1700000005000);
+
+    expect(payload).toBe(`fidelya:CAFE-ABC123:${code}`);
+    expect(code).toMatch(/^\d{6}$/);
+    expect(expiresAt).toEqual(new Date(1700000010000));
+  });
+
+  it('changes the code when the card token is rotated', () => {
+    const time = 1700000005000;
+
+    expect(generateDynamicQrPayload({ ...client, cardTokenVersion: 1 }, time).code)
+      .not.toBe(generateDynamicQrPayload(client, time).code);
+  });
+});
+
+describe('parseDynamicQrPayload', () => {
+  it('splits a dynamic payload', () => {
+    expect(parseDynamicQrPayload(' fidelya:CAFE-ABC123:012345 ')).toEqual({ clientId: 'CAFE-ABC123', code: '012345' });
+  });
+
+  it('ignores anything else', () => {
+    expect(parseDynamicQrPayload('https://cards.example.com/cafe/client/CAFE-ABC123')).toBeNull();
+    expect(parseDynamicQrPayload('fidelya:CAFE-ABC123:12345')).toBeNull();
+    expect(parseDynamicQrPayload(undefined)).toBeNull();
+  });
+});
+
+describe('verifyDynamicQrCode', () => {
+  it('accepts the current code and the one of the previous step', () => {
+    const now = Date.now();
+
+    expect(verifyDynamicQrCode(client, generateDynamicQrPayload(client, now).code)).toBe(true);
+    expect(verifyDynamicQrCode(client, generateDynamicQrPayload(client, now - 30000).code)).toBe(true);
+  });
+
+  it('rejects an expired code', () => {
+    expect(verifyDynamicQrCode(client, generateDynamicQrPayload(client, Date.now() - 120000).code)).toBe(false);
+  });
+
+  it('rejects a code of a step already scanned', () => {
+    const { code } = generateDynamicQrPayload(client);
+    const step = Math.floor(Date.now() / 30000);
+
+    expect(verifyDynamicQrCode({ ...client, lastDynamicQrStep: step + 1 }, code)).toBe(false);
+  });
+
+  it('rejects the code of another card', () => {
+    const { code } = generateDynamicQrPayload({ ...client, _id: 'client2' });
+
+    expect(verifyDynamicQrCode(client, code)).toBe(false);
+  });
+});
+
+describe('consumeDynamicQrCode', () => {
+  const session = { id: 'session1' };
+
+  it('records the step of the code in the given session', async () => {
+    jest.spyOn(Client, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const time = Date.now();
+    const { code } = generateDynamicQrPayload(client, time);
+    const step = Math.floor(time / 30000);
+
+    await expect(consumeDynamicQrCode(client, code, session)).resolves.toBe(true);
+
+    expect(Client.updateOne).toHaveBeenCalledWith(
+      { _id: 'client1', lastDynamicQrStep: { $not: { $gte: step } } },
+      { $set: { lastDynamicQrStep: step } },
+      { session }
+    );
+  });
+
+  it('accepts each code once', async () => {
+    jest.spyOn(Client, 'updateOne').mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+    const { code } = generateDynamicQrPayload(client);
+
+    await expect(consumeDynamicQrCode(client, code, session)).resolves.toBe(true);
+    await expect(consumeDynamicQrCode(client, code, session)).resolves.toBe(false);
+  });
+
+  it('rejects an invalid code without writing', async () => {
+    jest.spyOn(Client, 'updateOne');
+
+    await expect(consumeDynamicQrCode(client, 'abcdef', session)).resolves.toBe(false);
+
+    expect(Client.updateOne).not.toHaveBeenCalled();
+  });
+});
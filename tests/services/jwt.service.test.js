@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { signToken, verifyToken, getJwks } from '../../src/services/jwt.service.js';
+
+// Key directory after a rotation: "2024" (RSA) still signs nothing, "2025"
+// (EC P-256) is the active key and "retired" only verifies old tokens
+const exportPrivate = (key) => key.export({ type: 'pkcs8', format: 'pem' });
+const rsaKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const retiredKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+let keysDir;
+
+beforeAll(() => {
+  keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  fs.writeFileSync(path.join(keysDir, '2024.pem'), exportPrivate(rsaKey.privateKey));
+  fs.writeFileSync(path.join(keysDir, '2025.pem'), exportPrivate(ecKey.privateKey));
+  fs.writeFileSync(path.join(keysDir, 'retired.pub.pem'), retiredKey.publicKey.export({ type: 'spki', format: 'pem' }));
+  process.env.JWT_KEYS_DIR = keysDir;
+});
+
+afterAll(() => {
+  fs.rmSync(keysDir, { recursive: true, force: true });
+  delete process.env.JWT_KEYS_DIR;
+});
+
+const sign = (key, kid, algorithm, payload = { userId: 'user1' }) => jwt.sign(payload, key, {
+  algorithm,
+  keyid: kid,
+  issuer: 'fidelya-backend',
+  audience: 'fidelya-app',
+  expiresIn: '5m'
+});
+
+describe('signToken', () => {
+  it('signs with the last private key in name order', () => {
+    const token = signToken({ userId: 'user1' }, { audience: 'fidelya-app', expiresIn: '5m', jwtid: 'jti1' });
+    const { header, payload } = jwt.decode(token, { complete: true });
+
+    expect(header).toMatchObject({ alg: 'ES256', kid: '2025' });
+    expect(payload).toMatchObject({ userId: 'user1', iss: 'fidelya-backend', aud: 'fidelya-app', jti: 'jti1' });
+  });
+});
+
+describe('verifyToken', () => {
+  it('verifies its own tokens', () => {
+    const token = signToken({ userId: 'user1' }, { audience: 'fidelya-app', expiresIn: '5m' });
+
+    expect(verifyToken(token, { audience: 'fidelya-app' }).userId).toBe('user1');
+  });
+
+  it('still verifies tokens of previous keys', () => {
+    expect(verifyToken(sign(rsaKey.privateKey, '2024', 'RS256'), { audience: 'fidelya-app' }).userId).toBe('user1');
+    expect(verifyToken(sign(retiredKey.privateKey, 'retired', 'ES256'), { audience: 'fidelya-app' }).userId).toBe('user1');
+  });
+
+  it('rejects unknown key IDs', () => {
+    const other = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+    expect(() => verifyToken(sign(other.privateKey, 'other', 'ES256'), { audience: 'fidelya-app' })).toThrow('invalid key id');
+  });
+
+  it('rejects a token signed by another key under a known key ID', () => {
+    const other = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+    expect(() => verifyToken(sign(other.privateKey, '2025', 'ES256'), { audience: 'fidelya-app' })).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('rejects HS256 tokens keyed with a public key', () => {
+    const publicPem = ecKey.publicKey.export({ type: 'spki', format: 'pem' });
+    const forged = jwt.sign({ userId: 'admin' }, Buffer.from(publicPem), {
+      algorithm: 'HS256',
+      keyid: '2025',
+      issuer: 'fidelya-backend',
+      audience: 'fidelya-app'
+    });
+
+    expect(() => verifyToken(forged, { audience: 'fidelya-app' })).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('rejects tokens for another audience', () => {
+    const token = signToken({ userId: 'user1' }, { audience: 'fidelya-client', expiresIn: '5m' });
+
+    expect(() => verifyToken(token, { audience: 'fidelya-app' })).toThrow('jwt audience invalid');
+  });
+});
+
+describe('getJwks', () => {
+  it('publishes every public key and no private part', () => {
+    const { keys } = getJwks();
+
+    expect(keys.map(({ kid, alg, use }) => ({ kid, alg, use }))).toEqual([
+      { kid: '2024', alg: 'RS256', use: 'sig' },
+      { kid: '2025', alg: 'ES256', use: 'sig' },
+      { kid: 'retired', alg: 'ES256', use: 'sig' }
+    ]);
+    keys.forEach((key) => expect(key.d).toBeUndefined());
+  });
+
+  it('publishes keys that verify the issued tokens', () => {
+    const token = signToken({ userId: 'user1' }, { audience: 'fidelya-app', expiresIn: '5m' });
+    const jwk = getJwks().keys.find((key) => key.kid === '2025');
+
+    expect(jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' })).userId).toBe('user1');
+  });
+});
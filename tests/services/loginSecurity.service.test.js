@@ -0,0 +1,126 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { User, LoginAttempt } from '../../src/models/index.js';
+import {
+  recordLoginAttempt,
+  isAccountLocked,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockAccount
+} from '../../src/services/loginSecurity.service.js';
+
+const MINUTE = 60 * 1000;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.MAX_FAILED_LOGIN_ATTEMPTS;
+});
+
+describe('registerFailedLogin', () => {
+  const user = { _id: 'user1', email: 'owner@example.com' };
+
+  it('only counts failures below the threshold', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ failedLoginAttempts: 4, lockoutCount: 0 });
+    jest.spyOn(User, 'updateOne');
+
+    await expect(registerFailedLogin(user)).resolves.toBeNull();
+
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user1', { $inc: { failedLoginAttempts: 1 } }, { new: true });
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('locks the account for 15 minutes at the fifth failure', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ failedLoginAttempts: 5, lockoutCount: 0 });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const before = Date.now();
+
+    const lockUntil = await registerFailedLogin(user);
+
+    expect(lockUntil.getTime() - before).toBeGreaterThanOrEqual(15 * MINUTE);
+    expect(lockUntil.getTime() - before).toBeLessThan(16 * MINUTE);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'user1' },
+      { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockoutCount: 1 } }
+    );
+  });
+
+  it('doubles the lock with each lockout, up to 24 hours', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const lockMinutes = async (lockoutCount) => {
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ failedLoginAttempts: 5, lockoutCount });
+      const lockUntil = await registerFailedLogin(user);
+      return Math.round((lockUntil.getTime() - Date.now()) / MINUTE);
+    };
+
+    expect(await lockMinutes(1)).toBe(30);
+    expect(await lockMinutes(2)).toBe(60);
+    expect(await lockMinutes(10)).toBe(24 * 60);
+  });
+
+  it('uses MAX_FAILED_LOGIN_ATTEMPTS as the threshold', async () => {
+    process.env.MAX_FAILED_LOGIN_ATTEMPTS = '3';
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ failedLoginAttempts: 3, lockoutCount: 0 });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(registerFailedLogin(user)).resolves.toBeInstanceOf(Date);
+  });
+});
+
+describe('isAccountLocked', () => {
+  it('is locked only until lockUntil', () => {
+    expect(isAccountLocked({ lockUntil: new Date(Date.now() + MINUTE) })).toBe(true);
+    expect(isAccountLocked({ lockUntil: new Date(Date.now() - MINUTE) })).toBe(false);
+    expect(isAccountLocked({ lockUntil: null })).toBe(false);
+  });
+});
+
+describe('resetFailedLogins', () => {
+  it('clears the counters and the lock', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await resetFailedLogins({ _id: 'user1', failedLoginAttempts: 2, lockoutCount: 1 });
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'user1' },
+      { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null } }
+    );
+  });
+
+  it('skips the write when there is nothing to reset', async () => {
+    jest.spyOn(User, 'updateOne');
+
+    await resetFailedLogins({ _id: 'user1', failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null });
+
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('unlockAccount', () => {
+  it('clears the lock and the lockout history', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ _id: 'user1' });
+
+    await unlockAccount('user1');
+
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      'user1',
+      { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null } },
+      { new: true }
+    );
+  });
+});
+
+describe('recordLoginAttempt', () => {
+  it('stores the attempt', async () => {
+    jest.spyOn(LoginAttempt, 'create').mockResolvedValue({});
+    const attempt = { email: 'owner@example.com', userId: 'user1', outcome: 'success', ipAddress: '127.0.0.1', userAgent: 'jest' };
+
+    await recordLoginAttempt(attempt);
+
+    expect(LoginAttempt.create).toHaveBeenCalledWith(attempt);
+  });
+
+  it('never fails the login when the history cannot be written', async () => {
+    jest.spyOn(LoginAttempt, 'create').mockRejectedValue(new Error('connection lost'));
+
+    await expect(recordLoginAttempt({ email: 'owner@example.com', outcome: 'unknown_user' })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,83 @@
+import dns from 'dns';
+import https from 'https';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { loadLogoImage } from '../../src/services/logo.service.js';
+
+// https.get answering with the given status, content type and body
+const mockResponse = (statusCode, contentType, body) => {
+  jest.spyOn(https, 'get').mockImplementation((url, options, callback) => {
+    const request = new EventEmitter();
+    request.destroy = jest.fn();
+    const response = Readable.from([Buffer.from(body)]);
+    Object.assign(response, { statusCode, headers: { 'content-type': contentType } });
+    setImmediate(() => callback(response));
+    return request;
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('loadLogoImage', () => {
+  it('downloads an https image', async () => {
+    mockResponse(200, 'image/png; charset=binary', 'png-bytes');
+
+    await expect(loadLogoImage('https://cdn.example.com/logo-1.png'))
+      .resolves.toEqual({ contentType: 'image/png', data: Buffer.from('png-bytes') });
+  });
+
+  it('caches the result', async () => {
+    mockResponse(200, 'image/png', 'png-bytes');
+
+    await loadLogoImage('https://cdn.example.com/logo-2.png');
+    await loadLogoImage('https://cdn.example.com/logo-2.png');
+
+    expect(https.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects responses that are not images', async () => {
+    mockResponse(200, 'text/html', '<html></html>');
+
+    await expect(loadLogoImage('https://cdn.example.com/logo-3.png')).resolves.toBeNull();
+  });
+
+  it('rejects plain http URLs', async () => {
+    jest.spyOn(https, 'get');
+
+    await expect(loadLogoImage('http://cdn.example.com/logo.png')).resolves.toBeNull();
+    expect(https.get).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    'https://127.0.0.1/logo.png',
+    'https://10.1.2.3/logo.png',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/logo.png',
+    'https://[::ffff:192.168.1.1]/logo.png',
+    'https://[fd00::1]/logo.png'
+  ])('never connects to the internal address %s', async (url) => {
+    jest.spyOn(https, 'get');
+
+    await expect(loadLogoImage(url)).resolves.toBeNull();
+    expect(https.get).not.toHaveBeenCalled();
+  });
+
+  it('refuses host names resolving to an internal address', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '10.0.0.5', 4));
+    let lookupError;
+    jest.spyOn(https, 'get').mockImplementation((url, options) => {
+      const request = new EventEmitter();
+      options.lookup(url.hostname, {}, (error) => {
+        lookupError = error;
+        setImmediate(() => request.emit('error', error));
+      });
+      return request;
+    });
+
+    await expect(loadLogoImage('https://internal.example.com/logo.png')).resolves.toBeNull();
+    expect(lookupError.message).toBe('internal.example.com resolves to a private address');
+  });
+});
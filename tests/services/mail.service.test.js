@@ -0,0 +1,33 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { sendMail, registerMailTransport } from '../../src/services/mail.service.js';
+
+describe('sendMail', () => {
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_FROM;
+  });
+
+  it('delivers through the transport named by MAIL_TRANSPORT', async () => {
+    const transport = jest.fn().mockResolvedValue();
+    registerMailTransport('test', transport);
+    process.env.MAIL_TRANSPORT = 'test';
+    process.env.MAIL_FROM = 'hello@shop.com';
+
+    await sendMail({ to: 'user@shop.com', subject: 'Reset', text: 'Body' });
+
+    expect(transport).toHaveBeenCalledWith({
+      from: 'hello@shop.com',
+      to: 'user@shop.com',
+      subject: 'Reset',
+      text: 'Body',
+      html: undefined
+    });
+  });
+
+  it('fails for an unknown transport', async () => {
+    process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+
+    await expect(sendMail({ to: 'user@shop.com', subject: 'Reset', text: 'Body' }))
+      .rejects.toThrow('Unknown mail transport: carrier-pigeon');
+  });
+});
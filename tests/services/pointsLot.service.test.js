@@ -0,0 +1,101 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { PointsLot } from '../../src/models/index.js';
+import { computeLotExpiry, consumePointsLots } from '../../src/services/pointsLot.service.js';
+
+describe('computeLotExpiry', () => {
+  it('returns null when points never expire', () => {
+    expect(computeLotExpiry({}, new Date('2024-03-10T12:00:00Z'))).toBeNull();
+    expect(computeLotExpiry({ pointsExpiry: { policy: 'none' } }, new Date('2024-03-10T12:00:00Z'))).toBeNull();
+  });
+
+  it('adds the months of a rolling policy', () => {
+    const business = { pointsExpiry: { policy: 'rolling', months: 12 } };
+
+    expect(computeLotExpiry(business, new Date('2024-03-10T12:00:00Z'))).toEqual(new Date('2025-03-10T12:00:00Z'));
+  });
+
+  it('clamps a rolling expiry to the end of a shorter month', () => {
+    const business = { pointsExpiry: { policy: 'rolling', months: 1 } };
+
+    expect(computeLotExpiry(business, new Date('2024-01-31T08:00:00Z'))).toEqual(new Date('2024-02-29T08:00:00Z'));
+    expect(computeLotExpiry(business, new Date('2023-01-31T08:00:00Z'))).toEqual(new Date('2023-02-28T08:00:00Z'));
+  });
+
+  it('expires at the end of the fixed date of the next year', () => {
+    const business = { pointsExpiry: { policy: 'fixed_date', month: 12, day: 31 } };
+
+    expect(computeLotExpiry(business, new Date('2024-06-15T10:00:00Z'))).toEqual(new Date('2025-12-31T23:59:59.999Z'));
+  });
+
+  it('clamps a fixed date to the end of a shorter month', () => {
+    const business = { pointsExpiry: { policy: 'fixed_date', month: 2, day: 30 } };
+
+    expect(computeLotExpiry(business, new Date('2023-05-01T00:00:00Z'))).toEqual(new Date('2024-02-29T23:59:59.999Z'));
+    expect(computeLotExpiry(business, new Date('2024-05-01T00:00:00Z'))).toEqual(new Date('2025-02-28T23:59:59.999Z'));
+  });
+});
+
+describe('consumePointsLots', () => {
+  const session = {};
+
+  // PointsLot.find(...).sort(...).session(...) resolving to the given lots
+  const mockLots = (lots) => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      session: jest.fn().mockResolvedValue(lots)
+    };
+    jest.spyOn(PointsLot, 'find').mockReturnValue(query);
+    return query;
+  };
+
+  const consumed = () => PointsLot.updateOne.mock.calls.map(([filter, update]) => [filter._id, -update.$inc.remaining]);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('consumes the oldest lots first', async () => {
+    const query = mockLots([
+      { _id: 'lot1', remaining: 30 },
+      { _id: 'lot2', remaining: 50 }
+    ]);
+    jest.spyOn(PointsLot, 'updateOne').mockResolvedValue({});
+
+    await consumePointsLots({ client: { _id: 'client1', points: 80 }, points: 40, session });
+
+    expect(PointsLot.find).toHaveBeenCalledWith({ clientId: 'client1', remaining: { $gt: 0 } });
+    expect(query.sort).toHaveBeenCalledWith({ earnedAt: 1, _id: 1 });
+    expect(consumed()).toEqual([['lot1', 30], ['lot2', 10]]);
+  });
+
+  it('uses points earned before lots existed first', async () => {
+    mockLots([{ _id: 'lot1', remaining: 30 }]);
+    jest.spyOn(PointsLot, 'updateOne').mockResolvedValue({});
+
+    // 70 of the 100 points are in no lot
+    await consumePointsLots({ client: { _id: 'client1', points: 100 }, points: 80, session });
+
+    expect(consumed()).toEqual([['lot1', 10]]);
+  });
+
+  it('leaves the lots untouched when untracked points cover the debit', async () => {
+    mockLots([{ _id: 'lot1', remaining: 30 }]);
+    jest.spyOn(PointsLot, 'updateOne').mockResolvedValue({});
+
+    await consumePointsLots({ client: { _id: 'client1', points: 100 }, points: 50, session });
+
+    expect(PointsLot.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('empties every lot when the debit exceeds the balance', async () => {
+    mockLots([
+      { _id: 'lot1', remaining: 30 },
+      { _id: 'lot2', remaining: 20 }
+    ]);
+    jest.spyOn(PointsLot, 'updateOne').mockResolvedValue({});
+
+    await consumePointsLots({ client: { _id: 'client1', points: 50 }, points: 70, session });
+
+    expect(consumed()).toEqual([['lot1', 30], ['lot2', 20]]);
+  });
+});
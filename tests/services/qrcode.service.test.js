@@ -0,0 +1,61 @@
+import { describe, it, expect } from '@jest/globals';
+import { generateQRDataUrlForText } from '../../src/services/qrcode.service.js';
+import { generateBarcodeDataUrl } from '../../src/services/barcode.service.js';
+
+// Decode an SVG Data URL
+const decodeSvg = (dataUrl) => {
+  expect(dataUrl.startsWith('data:image/svg+xml;base64,')).toBe(true);
+  return Buffer.from(dataUrl.split(',')[1], 'base64').toString();
+};
+
+describe('generateQRDataUrlForText', () => {
+  it('renders a PNG by default', async () => {
+    await expect(generateQRDataUrlForText('CAFE-ABC123')).resolves.toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('renders an SVG in the requested colors', async () => {
+    const svg = decodeSvg(await generateQRDataUrlForText('CAFE-ABC123', { format: 'svg', darkColor: '#1e293b' }));
+
+    expect(svg).toContain('<svg');
+    expect(svg).toContain('#1e293b');
+  });
+
+  it('draws the business initial when there is no logo image', async () => {
+    const svg = decodeSvg(await generateQRDataUrlForText('CAFE-ABC123', {
+      format: 'svg',
+      logo: { name: 'cafe', backgroundColor: '#123456' }
+    }));
+
+    expect(svg).toMatch(/<text[^>]*>C<\/text><\/svg>/);
+    expect(svg).toContain('fill="#123456"');
+  });
+
+  it('escapes the logo text and colors', async () => {
+    const svg = decodeSvg(await generateQRDataUrlForText('CAFE-ABC123', {
+      format: 'svg',
+      logo: { name: '<b>', backgroundColor: '"/><script>' }
+    }));
+
+    expect(svg).not.toContain('<script>');
+    expect(svg).toContain('>&#60;</text>');
+  });
+
+  it('only draws logos on SVG codes', async () => {
+    await expect(generateQRDataUrlForText('CAFE-ABC123', { logo: { name: 'Cafe' } }))
+      .rejects.toThrow('Logo overlay is only available in SVG format');
+  });
+});
+
+describe('generateBarcodeDataUrl', () => {
+  it('renders a Code 128 PNG', async () => {
+    await expect(generateBarcodeDataUrl('CAFE-ABC123')).resolves.toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('renders an SVG', async () => {
+    expect(decodeSvg(await generateBarcodeDataUrl('CAFE-ABC123', { format: 'svg' }))).toContain('<svg');
+  });
+
+  it('reports content Code 128 cannot encode', async () => {
+    await expect(generateBarcodeDataUrl('')).rejects.toThrow(/^Failed to generate barcode/);
+  });
+});
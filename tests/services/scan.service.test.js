@@ -0,0 +1,113 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { Client } from '../../src/models/index.js';
+import { parseScannedCode, resolveScannedClient } from '../../src/services/scan.service.js';
+import { generateCardToken } from '../../src/services/cardToken.service.js';
+
+describe('parseScannedCode', () => {
+  it('recognizes a dynamic QR payload', () => {
+    expect(parseScannedCode('fidelya:CAFE-ABC123:012345')).toEqual({ type: 'dynamic', clientId: 'CAFE-ABC123', code: '012345' });
+  });
+
+  it('recognizes a card dashboard URL with its token', () => {
+    expect(parseScannedCode('https://cards.example.com/cafe/client/CAFE-ABC123?t=token')).toEqual({
+      type: 'url',
+      businessSlug: 'cafe',
+      clientId: 'CAFE-ABC123',
+      cardToken: 'token'
+    });
+  });
+
+  it('rejects other URLs', () => {
+    expect(() => parseScannedCode('https://example.com/menu')).toThrow('Unrecognized card code');
+  });
+
+  it('recognizes emails, phone numbers and client IDs', () => {
+    expect(parseScannedCode(' Jane@Mail.com ')).toEqual({ type: 'email', email: 'jane@mail.com' });
+    expect(parseScannedCode('+216 12 345 678')).toEqual({ type: 'phone', phone: '+216 12 345 678' });
+    expect(parseScannedCode('CAFE-ABC123')).toEqual({ type: 'clientId', clientId: 'CAFE-ABC123' });
+  });
+});
+
+describe('resolveScannedClient', () => {
+  const business = { _id: 'business1', slug: 'cafe' };
+  const client = { _id: 'client1', clientId: 'CAFE-ABC123', businessId: 'business1' };
+
+  // Client.find(...).limit(...) resolving to the given clients
+  const mockFind = (clients) => jest.spyOn(Client, 'find').mockReturnValue({ limit: jest.fn().mockResolvedValue(clients) });
+
+  beforeEach(() => {
+    process.env.CARD_TOKEN_SECRET = 'test-card-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CARD_TOKEN_SECRET;
+  });
+
+  it('looks a client ID up in the business only', async () => {
+    jest.spyOn(Client, 'findOne').mockResolvedValue(client);
+
+    await expect(resolveScannedClient('CAFE-ABC123', business)).resolves.toEqual({
+      client,
+      scanned: { type: 'clientId', clientId: 'CAFE-ABC123' }
+    });
+    expect(Client.findOne).toHaveBeenCalledWith({ businessId: 'business1', clientId: 'CAFE-ABC123' });
+  });
+
+  it('answers 404 for a card of another business', async () => {
+    jest.spyOn(Client, 'findOne').mockResolvedValue(null);
+
+    await expect(resolveScannedClient('CAFE-ABC123', business)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('matches phone numbers whatever their spacing', async () => {
+    mockFind([client]);
+
+    await resolveScannedClient('+21612345678', business);
+
+    const { businessId, phone } = Client.find.mock.calls[0][0];
+    expect(businessId).toBe('business1');
+    expect(phone.test('+216 12 345 678')).toBe(true);
+    expect(phone.test('+216-12-345-678')).toBe(true);
+    expect(phone.test('+216 12 345 6789')).toBe(false);
+  });
+
+  it('asks for the card when several clients share a contact', async () => {
+    mockFind([client, { ...client, _id: 'client2' }]);
+
+    await expect(resolveScannedClient('jane@mail.com', business)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('rejects URLs of another business', async () => {
+    jest.spyOn(Client, 'findOne');
+
+    await expect(resolveScannedClient('https://cards.example.com/bakery/client/CAFE-ABC123', business))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(Client.findOne).not.toHaveBeenCalled();
+  });
+
+  it('accepts a URL with the current card token', async () => {
+    jest.spyOn(Client, 'findOne').mockResolvedValue(client);
+
+    const { scanned } = await resolveScannedClient(`https://cards.example.com/cafe/client/CAFE-ABC123?t=${generateCardToken(client)}`, business);
+
+    expect(scanned.type).toBe('url');
+  });
+
+  it('rejects the printed URL of a rotated card', async () => {
+    const oldToken = generateCardToken(client);
+    jest.spyOn(Client, 'findOne').mockResolvedValue({ ...client, cardTokenVersion: 1 });
+
+    await expect(resolveScannedClient(`https://cards.example.com/cafe/client/CAFE-ABC123?t=${oldToken}`, business))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This card QR is no longer valid' });
+  });
+
+  it('accepts unsigned URLs only in grace mode', async () => {
+    jest.spyOn(Client, 'findOne').mockResolvedValue(client);
+    const url = 'https://cards.example.com/cafe/client/CAFE-ABC123';
+
+    await expect(resolveScannedClient(url, business)).resolves.toMatchObject({ client });
+    await expect(resolveScannedClient(url, { ...business, signedCardsRequired: true }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
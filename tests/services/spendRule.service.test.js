@@ -0,0 +1,38 @@
+import { describe, it, expect } from '@jest/globals';
+import { computeSpendPoints, snapshotSpendRule } from '../../src/services/spendRule.service.js';
+
+describe('computeSpendPoints', () => {
+  const rule = (overrides = {}) => snapshotSpendRule({ rate: 1, ...overrides });
+
+  it('multiplies the amount by the rate and rounds down by default', () => {
+    expect(computeSpendPoints(12.9, rule())).toBe(12);
+    expect(computeSpendPoints(25, rule({ rate: 0.5 }))).toBe(12);
+  });
+
+  it('applies the rounding mode of the rule', () => {
+    expect(computeSpendPoints(12.5, rule({ rounding: 'round' }))).toBe(13);
+    expect(computeSpendPoints(12.1, rule({ rounding: 'ceil' }))).toBe(13);
+  });
+
+  it('ignores floating point noise before rounding', () => {
+    // 0.3 x 10 is 3.0000000000000004 in floating point
+    expect(computeSpendPoints(0.3, rule({ rate: 10, rounding: 'ceil' }))).toBe(3);
+    expect(computeSpendPoints(0.7, rule({ rate: 10 }))).toBe(7);
+  });
+
+  it('earns nothing below the minimum spend', () => {
+    expect(computeSpendPoints(9.99, rule({ minSpend: 10 }))).toBe(0);
+    expect(computeSpendPoints(10, rule({ minSpend: 10 }))).toBe(10);
+  });
+
+  it('caps the points of one transaction', () => {
+    expect(computeSpendPoints(500, rule({ maxPointsPerTransaction: 100 }))).toBe(100);
+    expect(computeSpendPoints(50, rule({ maxPointsPerTransaction: 100 }))).toBe(50);
+  });
+});
+
+describe('snapshotSpendRule', () => {
+  it('fills in the defaults of unset fields', () => {
+    expect(snapshotSpendRule({})).toEqual({ rate: 1, rounding: 'floor', minSpend: 0, maxPointsPerTransaction: null });
+  });
+});
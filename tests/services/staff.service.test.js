@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { User, StaffInvitation } from '../../src/models/index.js';
+import { createStaffInvitation, acceptStaffInvitation } from '../../src/services/staff.service.js';
+
+describe('createStaffInvitation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only the hash of the token it returns', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(StaffInvitation, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(StaffInvitation, 'create').mockImplementation(async (data) => data);
+
+    const { invitation, token } = await createStaffInvitation({
+      businessId: 'business1',
+      email: 'cashier@shop.com',
+      businessRole: 'cashier',
+      invitedBy: 'owner1'
+    });
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(invitation.token).not.toBe(token);
+    expect(invitation.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(invitation.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('replaces the pending invitation of the same email', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(StaffInvitation, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(StaffInvitation, 'create').mockImplementation(async (data) => data);
+
+    await createStaffInvitation({ businessId: 'business1', email: 'cashier@shop.com', businessRole: 'cashier', invitedBy: 'owner1' });
+
+    expect(StaffInvitation.deleteMany).toHaveBeenCalledWith({ businessId: 'business1', email: 'cashier@shop.com', acceptedAt: null });
+  });
+
+  it('rejects an email that already has an account', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue({ _id: 'user2' });
+    jest.spyOn(StaffInvitation, 'create');
+
+    await expect(createStaffInvitation({ businessId: 'business1', email: 'owner@shop.com', businessRole: 'cashier', invitedBy: 'owner1' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(StaffInvitation.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('acceptStaffInvitation', () => {
+  const invitation = { _id: 'invitation1', email: 'cashier@shop.com', businessRole: 'cashier', businessId: 'business1' };
+  let session;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(StaffInvitation, 'findOne').mockResolvedValue(invitation);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims the invitation and creates the user in one transaction', async () => {
+    jest.spyOn(StaffInvitation, 'findOneAndUpdate').mockResolvedValue(invitation);
+    jest.spyOn(User, 'create').mockImplementation(async ([data]) => [{ _id: 'user1', ...data }]);
+
+    const user = await acceptStaffInvitation('token', { name: 'Cashier', password: 'Secret123!' });
+
+    expect(user).toMatchObject({ email: 'cashier@shop.com', role: 'business_user', businessRole: 'cashier', businessId: 'business1' });
+    expect(user.passwordHash).not.toBe('Secret123!');
+    expect(StaffInvitation.findOneAndUpdate.mock.calls[0][2]).toEqual({ session });
+    expect(User.create.mock.calls[0][1]).toEqual({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it('releases the invitation when the user cannot be created', async () => {
+    jest.spyOn(StaffInvitation, 'findOneAndUpdate').mockResolvedValue(invitation);
+    jest.spyOn(User, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(acceptStaffInvitation('token', { name: 'Cashier', password: 'Secret123!' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+
+  it('returns null for an invitation used concurrently', async () => {
+    jest.spyOn(StaffInvitation, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'create');
+
+    await expect(acceptStaffInvitation('token', { name: 'Cashier', password: 'Secret123!' })).resolves.toBeNull();
+
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('returns null for an unknown, expired or used invitation', async () => {
+    StaffInvitation.findOne.mockResolvedValue(null);
+
+    await expect(acceptStaffInvitation('token', { name: 'Cashier', password: 'Secret123!' })).resolves.toBeNull();
+    expect(StaffInvitation.findOne).toHaveBeenCalledWith({
+      token: crypto.createHash('sha256').update('token').digest('hex'),
+      acceptedAt: null,
+      expiresAt: { $gt: expect.any(Date) }
+    });
+  });
+
+  it('rejects an email that already has an account', async () => {
+    User.findOne.mockResolvedValue({ _id: 'user2' });
+
+    await expect(acceptStaffInvitation('token', { name: 'Cashier', password: 'Secret123!' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from '@jest/globals';
+import { computeTierBonus, getClientTierMultiplier, getTierPeriodStart } from '../../src/services/tier.service.js';
+
+const business = {
+  tiers: {
+    periodMonths: 12,
+    levels: [
+      { name: 'Gold', threshold: 2000, multiplier: 1.5 },
+      { name: 'Bronze', threshold: 0, multiplier: 1 },
+      { name: 'Silver', threshold: 500, multiplier: 1.25 }
+    ]
+  }
+};
+
+describe('computeTierBonus', () => {
+  it('adds the extra points of the multiplier, rounded down', () => {
+    expect(computeTierBonus(10, 1.5)).toBe(5);
+    expect(computeTierBonus(10, 1.25)).toBe(2);
+    expect(computeTierBonus(3, 1.5)).toBe(1);
+  });
+
+  it('ignores floating point noise', () => {
+    // 10 x 0.1 is 1.0000000000000009 in floating point
+    expect(computeTierBonus(10, 1.1)).toBe(1);
+    expect(computeTierBonus(30, 1.1)).toBe(3);
+  });
+
+  it('adds nothing without a multiplier', () => {
+    expect(computeTierBonus(10, 1)).toBe(0);
+  });
+});
+
+describe('getClientTierMultiplier', () => {
+  it('returns the multiplier of the tier the client holds', () => {
+    expect(getClientTierMultiplier({ tier: 'Silver' }, business)).toEqual({ name: 'Silver', multiplier: 1.25 });
+  });
+
+  it('returns null for clients without a multiplying tier', () => {
+    expect(getClientTierMultiplier({ tier: null }, business)).toBeNull();
+    expect(getClientTierMultiplier({ tier: 'Bronze' }, business)).toBeNull();
+  });
+
+  it('returns null when the tier no longer exists', () => {
+    expect(getClientTierMultiplier({ tier: 'Platinum' }, business)).toBeNull();
+    expect(getClientTierMultiplier({ tier: 'Gold' }, {})).toBeNull();
+  });
+});
+
+describe('getTierPeriodStart', () => {
+  it('goes back periodMonths months', () => {
+    expect(getTierPeriodStart(business, new Date('2025-06-15T10:00:00Z'))).toEqual(new Date('2024-06-15T10:00:00Z'));
+  });
+
+  it('defaults to 12 months', () => {
+    expect(getTierPeriodStart({}, new Date('2025-06-15T10:00:00Z'))).toEqual(new Date('2024-06-15T10:00:00Z'));
+  });
+});
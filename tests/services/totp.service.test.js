@@ -0,0 +1,85 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  getTotpUri
+} from '../../src/services/totp.service.js';
+
+// RFC 6238 appendix B, SHA-1 key
+const RFC_KEY = Buffer.from('12345678901234567890', 'ascii');
+
+describe('generateTotp', () => {
+  it.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ])('matches the RFC 6238 test vector at %i s', (seconds, code) => {
+    expect(generateTotp(RFC_KEY, { time: seconds * 1000, digits: 8 })).toBe(code);
+  });
+
+  it('accepts a base32 secret', () => {
+    const secret = base32Encode(RFC_KEY);
+
+    expect(generateTotp(secret, { time: 59000, digits: 8 })).toBe('94287082');
+    expect(generateTotp(secret, { time: 59000 })).toBe('287082');
+  });
+});
+
+describe('verifyTotp', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the time step of a valid code', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+
+    expect(verifyTotp('050471', RFC_KEY)).toBe(Math.floor(1111111111 / 30));
+  });
+
+  it('tolerates one step of clock drift', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+    const previous = generateTotp(RFC_KEY, { time: (1111111111 - 30) * 1000 });
+    const next = generateTotp(RFC_KEY, { time: (1111111111 + 30) * 1000 });
+    const stale = generateTotp(RFC_KEY, { time: (1111111111 - 90) * 1000 });
+
+    expect(verifyTotp(previous, RFC_KEY)).toBe(Math.floor(1111111111 / 30) - 1);
+    expect(verifyTotp(next, RFC_KEY)).toBe(Math.floor(1111111111 / 30) + 1);
+    expect(verifyTotp(stale, RFC_KEY)).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyTotp('12345', RFC_KEY)).toBeNull();
+    expect(verifyTotp('12345a', RFC_KEY)).toBeNull();
+    expect(verifyTotp(123456, RFC_KEY)).toBeNull();
+  });
+});
+
+describe('base32', () => {
+  it('round-trips random secrets', () => {
+    const secret = generateTotpSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+
+  it('ignores case, spaces and padding', () => {
+    expect(base32Decode('mzxw 6===')).toEqual(Buffer.from('foo'));
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('getTotpUri', () => {
+  it('builds an otpauth URI for authenticator apps', () => {
+    expect(getTotpUri('ABCDEF', 'admin@fidelya.app', 'Fidelya'))
+      .toBe('otpauth://totp/Fidelya%3Aadmin%40fidelya.app?secret=ABCDEF&issuer=Fidelya&algorithm=SHA1&digits=6&period=30');
+  });
+});
@@ -0,0 +1,283 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Business, Client, IdempotencyKey, Item, PointsLot, Transaction } from '../../src/models/index.js';
+import { processPointsOperation, processManualAdjustment, processEnrollment } from '../../src/services/transaction.service.js';
+import { generateDynamicQrPayload } from '../../src/services/dynamicQr.service.js';
+
+describe('processPointsOperation with an Idempotency-Key', () => {
+  const idempotency = { caller: 'user:user1', key: 'abc-123', requestHash: 'hash1' };
+  let session;
+
+  // IdempotencyKey.findOne(...).session(...).lean() resolving (or rejecting) in turn
+  const mockStoredKey = (...results) => {
+    const lean = jest.fn();
+    results.forEach((result) => {
+      lean.mockImplementationOnce(() => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result)));
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockReturnValue({ session: jest.fn().mockReturnThis(), lean });
+  };
+
+  // Error MongoDB raises when another transaction wrote the same key
+  const writeConflict = () => Object.assign(new Error('WriteConflict'), { code: 112 });
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Client, 'findById').mockReturnValue({
+      session: jest.fn().mockResolvedValue({ _id: 'client1', businessId: 'business1', points: 10 })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replays the stored response of a retry without applying it again', async () => {
+    const response = { success: true, beforePoints: 10, afterPoints: 20 };
+    mockStoredKey({ requestHash: 'hash1', response });
+
+    const result = await processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', idempotency });
+
+    expect(result).toEqual({ ...response, replayed: true });
+    expect(IdempotencyKey.findOne).toHaveBeenCalledWith({ businessId: 'business1', caller: 'user:user1', key: 'abc-123' });
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects a key used for another request with 422', async () => {
+    mockStoredKey({ requestHash: 'other', response: {} });
+
+    await expect(processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', idempotency }))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it('replays the response of a concurrent request that committed first', async () => {
+    const response = { success: true, beforePoints: 10, afterPoints: 20 };
+    mockStoredKey(writeConflict(), { requestHash: 'hash1', response });
+
+    const result = await processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', idempotency });
+
+    expect(result).toEqual({ ...response, replayed: true });
+  });
+
+  it('answers 409 while a concurrent request with the key is still running', async () => {
+    mockStoredKey(writeConflict(), null);
+
+    await expect(processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', idempotency }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'A request with this Idempotency-Key is still in progress, retry' });
+  });
+
+  it('does not turn conflicts of requests without a key into a 409', async () => {
+    jest.spyOn(Client, 'findById').mockReturnValue({ session: jest.fn().mockRejectedValue(writeConflict()) });
+
+    await expect(processPointsOperation({ clientObjectId: 'client1', itemId: 'item1' }))
+      .rejects.toMatchObject({ code: 112 });
+  });
+});
+
+describe('processPointsOperation with a rotating QR code', () => {
+  const client = { _id: 'client1', clientId: 'client1', businessId: 'business1', points: 10 };
+  let session;
+
+  beforeEach(() => {
+    process.env.CARD_TOKEN_SECRET = 'test-card-secret';
+    session = {
+      startTransaction: jest.fn(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Client, 'findById').mockReturnValue({ session: jest.fn().mockResolvedValue(client) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CARD_TOKEN_SECRET;
+  });
+
+  it('consumes the code in the session of the operation', async () => {
+    jest.spyOn(Client, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    // The operation fails after the code was consumed: the abort gives it back
+    jest.spyOn(Item, 'findById').mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+    const { code } = generateDynamicQrPayload(client);
+
+    await expect(processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', dynamicCode: code }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    expect(Client.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'client1' }),
+      { $set: { lastDynamicQrStep: expect.any(Number) } },
+      { session }
+    );
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects a code that was already used', async () => {
+    jest.spyOn(Client, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Item, 'findById');
+    const { code } = generateDynamicQrPayload(client);
+
+    await expect(processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', dynamicCode: code }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid or expired code' });
+
+    expect(Item.findById).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong code without writing', async () => {
+    jest.spyOn(Client, 'updateOne');
+
+    await expect(processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', dynamicCode: '000000' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(Client.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('processPointsOperation with an Idempotency-Key and a rotating QR code', () => {
+  const client = { _id: 'client1', clientId: 'client1', businessId: 'business1', points: 10 };
+  const idempotency = { caller: 'user:user1', key: 'abc-123', requestHash: 'hash1' };
+  let session;
+  let code;
+
+  beforeEach(() => {
+    process.env.CARD_TOKEN_SECRET = 'test-card-secret';
+    session = {
+      startTransaction: jest.fn(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Client, 'findById').mockReturnValue({ session: jest.fn().mockResolvedValue(client) });
+    ({ code } = generateDynamicQrPayload(client));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CARD_TOKEN_SECRET;
+  });
+
+  it('replays a retry without consuming its code again', async () => {
+    const response = { success: true, beforePoints: 10, afterPoints: 20 };
+    jest.spyOn(IdempotencyKey, 'findOne').mockReturnValue({
+      session: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue({ requestHash: 'hash1', response })
+    });
+    jest.spyOn(Client, 'updateOne');
+
+    const result = await processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', dynamicCode: code, idempotency });
+
+    expect(result).toEqual({ ...response, replayed: true });
+    expect(Client.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 to a retry racing the first request for the code', async () => {
+    jest.spyOn(IdempotencyKey, 'findOne').mockReturnValue({
+      session: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(null)
+    });
+    // The first request holds the client document until it commits
+    jest.spyOn(Client, 'updateOne').mockRejectedValue(Object.assign(new Error('WriteConflict'), { code: 112 }));
+
+    await expect(processPointsOperation({ clientObjectId: 'client1', itemId: 'item1', dynamicCode: code, idempotency }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'A request with this Idempotency-Key is still in progress, retry' });
+  });
+});
+
+describe('processManualAdjustment while impersonating', () => {
+  let session;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Client, 'findById').mockReturnValue({
+      session: jest.fn().mockResolvedValue({ _id: 'client1', businessId: 'business1', points: 10 })
+    });
+    jest.spyOn(Business, 'findById').mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'business1' }) });
+    jest.spyOn(Client, 'findByIdAndUpdate').mockResolvedValue({});
+    jest.spyOn(Transaction, 'create').mockImplementation(async ([data]) => [{ _id: 'transaction1', ...data }]);
+    jest.spyOn(PointsLot, 'create').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the admin acting for the business user', async () => {
+    const result = await processManualAdjustment({
+      clientObjectId: 'client1',
+      pointsChange: 5,
+      performedBy: 'user1',
+      impersonatedBy: 'admin1'
+    });
+
+    expect(result.transaction).toMatchObject({ performedBy: 'user1', impersonatedBy: 'admin1', points: 5, afterPoints: 15 });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+});
+
+describe('processEnrollment', () => {
+  const clientData = { clientId: 'CAFE-ABC123', name: 'Jane', phone: '+21612345678', metadata: { source: 'self_enrollment' } };
+  let session;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Client, 'create').mockImplementation(async ([data]) => [{ _id: 'client1', ...data }]);
+    jest.spyOn(Client, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Transaction, 'create').mockImplementation(async ([data]) => [{ _id: 'transaction1', ...data }]);
+    jest.spyOn(PointsLot, 'create').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates the card and credits the welcome bonus together', async () => {
+    const business = { _id: 'business1', enrollment: { enabled: true, welcomeBonus: 50 } };
+
+    const { client, transaction } = await processEnrollment({ business, clientData });
+
+    expect(Client.create).toHaveBeenCalledWith([{ ...clientData, businessId: 'business1', points: 0 }], { session });
+    expect(transaction).toMatchObject({ type: 'welcome_bonus', points: 50, beforePoints: 0, afterPoints: 50 });
+    expect(Client.updateOne).toHaveBeenCalledWith({ _id: 'client1' }, { points: 50 }, { session });
+    expect(PointsLot.create).toHaveBeenCalledWith([expect.objectContaining({ points: 50, transactionId: 'transaction1' })], { session });
+    expect(client.points).toBe(50);
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it('creates no transaction without a bonus', async () => {
+    const { client, transaction } = await processEnrollment({ business: { _id: 'business1', enrollment: { enabled: true } }, clientData });
+
+    expect(transaction).toBeNull();
+    expect(client.points).toBe(0);
+    expect(Transaction.create).not.toHaveBeenCalled();
+  });
+
+  it('leaves no card behind when the bonus fails', async () => {
+    Transaction.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(processEnrollment({ business: { _id: 'business1', enrollment: { welcomeBonus: 50 } }, clientData }))
+      .rejects.toThrow('connection lost');
+
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+});
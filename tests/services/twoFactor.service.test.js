@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { User } from '../../src/models/index.js';
+import { generateTotp, generateTotpSecret, getTimeStep } from '../../src/services/totp.service.js';
+import {
+  isTwoFactorSetupRequired,
+  activateTwoFactor,
+  verifyTwoFactorCode,
+  startTwoFactorChallenge,
+  claimTwoFactorChallengeAttempt,
+  clearTwoFactorChallenge
+} from '../../src/services/twoFactor.service.js';
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code.replace('-', '')).digest('hex');
+
+/**
+ * In-memory stand-in for the 2FA fields of one user, applying the guarded
+ * updates of the service the way MongoDB would
+ */
+const mockTwoFactorUser = (twoFactor) => {
+  const user = { _id: 'user1', role: 'admin', twoFactor };
+
+  jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    const stepGuard = filter['twoFactor.lastUsedStep'];
+    if (stepGuard && user.twoFactor.lastUsedStep >= stepGuard.$not.$gte) {
+      return { modifiedCount: 0 };
+    }
+
+    const recoveryCode = filter['twoFactor.recoveryCodes'];
+    if (recoveryCode) {
+      if (!user.twoFactor.recoveryCodes.includes(recoveryCode)) {
+        return { modifiedCount: 0 };
+      }
+      user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter((hash) => hash !== recoveryCode);
+      return { modifiedCount: 1 };
+    }
+
+    if (update.$set?.['twoFactor.lastUsedStep'] !== undefined) {
+      user.twoFactor.lastUsedStep = update.$set['twoFactor.lastUsedStep'];
+    }
+    return { modifiedCount: 1 };
+  });
+
+  return user;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.ADMIN_2FA_REQUIRED;
+});
+
+describe('verifyTwoFactorCode', () => {
+  let secret;
+
+  beforeEach(() => {
+    secret = generateTotpSecret();
+  });
+
+  it('accepts the current TOTP code', async () => {
+    mockTwoFactorUser({ enabled: true, secret, recoveryCodes: [] });
+
+    await expect(verifyTwoFactorCode('user1', generateTotp(secret))).resolves.toBe('totp');
+  });
+
+  it('rejects a replayed TOTP step', async () => {
+    mockTwoFactorUser({ enabled: true, secret, recoveryCodes: [] });
+    const code = generateTotp(secret);
+
+    await expect(verifyTwoFactorCode('user1', code)).resolves.toBe('totp');
+    await expect(verifyTwoFactorCode('user1', code)).resolves.toBeNull();
+  });
+
+  it('rejects a step older than the last one used', async () => {
+    mockTwoFactorUser({ enabled: true, secret, recoveryCodes: [], lastUsedStep: getTimeStep() });
+    const previous = generateTotp(secret, { time: Date.now() - 30000 });
+
+    await expect(verifyTwoFactorCode('user1', previous)).resolves.toBeNull();
+  });
+
+  it('rejects a wrong TOTP code', async () => {
+    mockTwoFactorUser({ enabled: true, secret, recoveryCodes: [] });
+    const wrong = String((Number(generateTotp(secret)) + 500000) % 1000000).padStart(6, '0');
+
+    await expect(verifyTwoFactorCode('user1', wrong)).resolves.toBeNull();
+  });
+
+  it('accepts each recovery code once', async () => {
+    const user = mockTwoFactorUser({
+      enabled: true,
+      secret,
+      recoveryCodes: [hashRecoveryCode('abcde-12345'), hashRecoveryCode('fghij-67890')]
+    });
+
+    await expect(verifyTwoFactorCode('user1', 'ABCDE-12345')).resolves.toBe('recovery');
+    await expect(verifyTwoFactorCode('user1', 'abcde-12345')).resolves.toBeNull();
+    expect(user.twoFactor.recoveryCodes).toEqual([hashRecoveryCode('fghij-67890')]);
+  });
+
+  it('rejects codes for users without 2FA', async () => {
+    mockTwoFactorUser({ enabled: false });
+
+    await expect(verifyTwoFactorCode('user1', '123456')).resolves.toBeNull();
+  });
+});
+
+describe('activateTwoFactor', () => {
+  it('enables 2FA with a valid code and returns ten recovery codes', async () => {
+    const secret = generateTotpSecret();
+    mockTwoFactorUser({ enabled: false, pendingSecret: secret });
+
+    const codes = await activateTwoFactor('user1', generateTotp(secret));
+
+    expect(codes).toHaveLength(10);
+    codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    const [, update] = User.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ 'twoFactor.enabled': true, 'twoFactor.secret': secret });
+    expect(update.$set['twoFactor.recoveryCodes']).toEqual(codes.map(hashRecoveryCode));
+  });
+
+  it('rejects an invalid code', async () => {
+    const secret = generateTotpSecret();
+    mockTwoFactorUser({ enabled: false, pendingSecret: secret });
+
+    await expect(activateTwoFactor('user1', 'abcdef')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('2FA login challenges', () => {
+  // Challenge fields of one user, updated like the guarded MongoDB updates
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$set) {
+        stored = { challengeId: update.$set['twoFactor.challengeId'], challengeAttempts: update.$set['twoFactor.challengeAttempts'] };
+      }
+      if (update.$unset) {
+        stored = {};
+      }
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      if (stored.challengeId !== filter['twoFactor.challengeId'] ||
+        !(stored.challengeAttempts < filter['twoFactor.challengeAttempts'].$lt)) {
+        return null;
+      }
+      stored.challengeAttempts += 1;
+      return { _id: 'user1' };
+    });
+  });
+
+  it('allows five attempts per challenge', async () => {
+    const challengeId = await startTwoFactorChallenge('user1');
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await expect(claimTwoFactorChallengeAttempt('user1', challengeId)).resolves.toBe(true);
+    }
+    await expect(claimTwoFactorChallengeAttempt('user1', challengeId)).resolves.toBe(false);
+    expect(User.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { 'twoFactor.challengeAttempts': 1 } });
+  });
+
+  it('invalidates the previous challenge when a new one starts', async () => {
+    const first = await startTwoFactorChallenge('user1');
+    const second = await startTwoFactorChallenge('user1');
+
+    expect(second).not.toBe(first);
+    await expect(claimTwoFactorChallengeAttempt('user1', first)).resolves.toBe(false);
+    await expect(claimTwoFactorChallengeAttempt('user1', second)).resolves.toBe(true);
+  });
+
+  it('ends the challenge once it succeeded', async () => {
+    const challengeId = await startTwoFactorChallenge('user1');
+
+    await clearTwoFactorChallenge('user1');
+
+    await expect(claimTwoFactorChallengeAttempt('user1', challengeId)).resolves.toBe(false);
+  });
+});
+
+describe('isTwoFactorSetupRequired', () => {
+  it('requires enrollment of admins only when the policy is on', () => {
+    expect(isTwoFactorSetupRequired({ role: 'admin', twoFactor: { enabled: false } })).toBe(false);
+
+    process.env.ADMIN_2FA_REQUIRED = 'true';
+    expect(isTwoFactorSetupRequired({ role: 'admin', twoFactor: { enabled: false } })).toBe(true);
+    expect(isTwoFactorSetupRequired({ role: 'admin', twoFactor: { enabled: true } })).toBe(false);
+    expect(isTwoFactorSetupRequired({ role: 'business_user' })).toBe(false);
+  });
+});
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import forge from 'node-forge';
+import JSZip from 'jszip';
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { generateApplePass, generateGooglePass } from '../../src/services/wallet.service.js';
+
+const client = { _id: 'client1', clientId: 'CAFE-ABC123', name: 'Jane', points: 120 };
+const business = { name: 'Cafe', slug: 'cafe bar', cardDesign: { primaryColor: '#123456', textColor: '#fff' } };
+const cardUrl = 'https://cards.example.com/cafe/client/CAFE-ABC123?t=token';
+
+/**
+ * Self-signed certificate standing in for the pass type and WWDR certificates
+ * @param {string} privateKeyPem - PEM private key
+ * @param {string} commonName - Subject and issuer name
+ * @returns {string} PEM certificate
+ */
+const createCertificate = (privateKeyPem, commonName) => {
+  const privateKey = forge.pki.privateKeyFromPem(privateKeyPem);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.setRsaPublicKey(privateKey.n, privateKey.e);
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: 'commonName', value: commonName }]);
+  cert.setIssuer([{ name: 'commonName', value: commonName }]);
+  cert.sign(privateKey, forge.md.sha256.create());
+  return forge.pki.certificateToPem(cert);
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const privateKeyPem = privateKey.export({ type: 'pkcs1', format: 'pem' });
+const icon = Buffer.from('icon-png-bytes');
+let walletDir;
+
+beforeAll(() => {
+  walletDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-'));
+  const write = (name, content) => {
+    fs.writeFileSync(path.join(walletDir, name), content);
+    return path.join(walletDir, name);
+  };
+
+  process.env.APPLE_WALLET_PASS_TYPE_ID = 'pass.com.example.loyalty';
+  process.env.APPLE_WALLET_TEAM_ID = 'TEAM123456';
+  process.env.APPLE_WALLET_CERT = write('pass.pem', createCertificate(privateKeyPem, 'Pass Type ID'));
+  process.env.APPLE_WALLET_KEY = write('pass.key', privateKeyPem);
+  process.env.APPLE_WALLET_WWDR_CERT = write('wwdr.pem', createCertificate(privateKeyPem, 'WWDR'));
+  process.env.APPLE_WALLET_ICON = write('icon.png', icon);
+  process.env.GOOGLE_WALLET_ISSUER_ID = '3388000000012345678';
+  process.env.GOOGLE_WALLET_KEY_FILE = write('google.json', JSON.stringify({
+    client_email: 'wallet@project.iam.gserviceaccount.com',
+    private_key: privateKeyPem
+  }));
+});
+
+afterAll(() => {
+  fs.rmSync(walletDir, { recursive: true, force: true });
+  [
+    'APPLE_WALLET_PASS_TYPE_ID', 'APPLE_WALLET_TEAM_ID', 'APPLE_WALLET_CERT', 'APPLE_WALLET_KEY',
+    'APPLE_WALLET_WWDR_CERT', 'APPLE_WALLET_ICON', 'GOOGLE_WALLET_ISSUER_ID', 'GOOGLE_WALLET_KEY_FILE'
+  ].forEach((name) => delete process.env[name]);
+});
+
+describe('generateApplePass', () => {
+  let zip;
+
+  beforeAll(async () => {
+    zip = await JSZip.loadAsync(await generateApplePass({ client, business, cardUrl }));
+  });
+
+  it('describes the card in pass.json', async () => {
+    const pass = JSON.parse(await zip.file('pass.json').async('string'));
+
+    expect(pass).toMatchObject({
+      passTypeIdentifier: 'pass.com.example.loyalty',
+      teamIdentifier: 'TEAM123456',
+      serialNumber: 'client1',
+      organizationName: 'Cafe',
+      backgroundColor: 'rgb(18, 52, 86)',
+      foregroundColor: 'rgb(255, 255, 255)',
+      barcodes: [{ format: 'PKBarcodeFormatQR', message: cardUrl, altText: 'CAFE-ABC123' }]
+    });
+    expect(pass.storeCard.primaryFields).toEqual([{ key: 'points', label: 'Points', value: 120 }]);
+  });
+
+  it('lists the SHA-1 of every file in the manifest', async () => {
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+
+    expect(Object.keys(manifest).sort()).toEqual(['icon.png', 'icon@2x.png', 'pass.json']);
+    for (const [name, hash] of Object.entries(manifest)) {
+      const content = await zip.file(name).async('nodebuffer');
+      expect(crypto.createHash('sha1').update(content).digest('hex')).toBe(hash);
+    }
+  });
+
+  it('signs the manifest with the pass certificate and the WWDR chain', async () => {
+    const signature = await zip.file('signature').async('nodebuffer');
+    const p7 = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(signature.toString('binary')));
+
+    expect(p7.certificates.map((cert) => cert.subject.getField('CN').value)).toEqual(['Pass Type ID', 'WWDR']);
+    expect(p7.content).toBeUndefined();
+  });
+});
+
+describe('generateGooglePass', () => {
+  it('returns a save link signed by the service account', () => {
+    const { saveUrl } = generateGooglePass({ client, business: { ...business, logoUrl: 'https://cdn.example.com/logo.png' }, cardUrl });
+
+    expect(saveUrl.startsWith('https://pay.google.com/gp/v/save/')).toBe(true);
+    const claims = jwt.verify(saveUrl.split('/').pop(), publicKey, { algorithms: ['RS256'] });
+    expect(claims).toMatchObject({
+      iss: 'wallet@project.iam.gserviceaccount.com',
+      aud: 'google',
+      typ: 'savetowallet',
+      origins: ['https://cards.example.com']
+    });
+    expect(claims.payload.loyaltyClasses[0]).toMatchObject({
+      id: '3388000000012345678.cafe_bar',
+      programLogo: { sourceUri: { uri: 'https://cdn.example.com/logo.png' } }
+    });
+  });
+
+  it('carries the balance and the card QR in the loyalty object', () => {
+    const { loyaltyObject } = generateGooglePass({ client, business: { ...business, logoUrl: 'https://cdn.example.com/logo.png' }, cardUrl });
+
+    expect(loyaltyObject).toMatchObject({
+      id: '3388000000012345678.client1',
+      classId: '3388000000012345678.cafe_bar',
+      accountId: 'CAFE-ABC123',
+      loyaltyPoints: { balance: { int: 120 } },
+      barcode: { type: 'QR_CODE', value: cardUrl }
+    });
+  });
+
+  it('needs a program logo', () => {
+    expect(() => generateGooglePass({ client, business, cardUrl })).toThrow(expect.objectContaining({ statusCode: 503 }));
+  });
+});
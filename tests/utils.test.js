@@ -0,0 +1,53 @@
+import { describe, it, expect } from '@jest/globals';
+import { escapeRegExp, parseDuration, getClientInfo, toUpdatePaths } from '../src/utils.js';
+
+describe('parseDuration', () => {
+  it('converts days, hours, minutes and seconds', () => {
+    expect(parseDuration('7d', 0)).toBe(7 * 86400000);
+    expect(parseDuration('24h', 0)).toBe(86400000);
+    expect(parseDuration('15m', 0)).toBe(900000);
+    expect(parseDuration('30s', 0)).toBe(30000);
+  });
+
+  it('falls back for values it cannot read', () => {
+    expect(parseDuration('soon', 42)).toBe(42);
+    expect(parseDuration(undefined, 42)).toBe(42);
+    expect(parseDuration('1.5h', 42)).toBe(42);
+  });
+});
+
+describe('getClientInfo', () => {
+  it('reads the IP address and a bounded user agent', () => {
+    const req = { ip: '1.2.3.4', get: () => 'a'.repeat(600) };
+
+    expect(getClientInfo(req)).toEqual({ ipAddress: '1.2.3.4', userAgent: 'a'.repeat(500) });
+  });
+
+  it('stores an empty user agent when the header is missing', () => {
+    expect(getClientInfo({ ip: '1.2.3.4', get: () => undefined }).userAgent).toBe('');
+  });
+});
+
+describe('escapeRegExp', () => {
+  it('escapes RegExp special characters', () => {
+    expect(new RegExp(escapeRegExp('a.b*(c)')).test('a.b*(c)')).toBe(true);
+    expect(new RegExp(escapeRegExp('a.b')).test('axb')).toBe(false);
+  });
+});
+
+describe('toUpdatePaths', () => {
+  it('flattens nested settings one level deep', () => {
+    expect(toUpdatePaths(
+      { name: 'Shop', enrollment: { enabled: true }, tiers: { levels: [{ name: 'Gold' }] } },
+      ['enrollment', 'tiers']
+    )).toEqual({
+      name: 'Shop',
+      'enrollment.enabled': true,
+      'tiers.levels': [{ name: 'Gold' }]
+    });
+  });
+
+  it('keeps other objects and null values whole', () => {
+    expect(toUpdatePaths({ metadata: { a: 1 }, enrollment: null }, ['enrollment'])).toEqual({ metadata: { a: 1 }, enrollment: null });
+  });
+});
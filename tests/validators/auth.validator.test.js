@@ -0,0 +1,32 @@
+import { describe, it, expect } from '@jest/globals';
+import { changePasswordSchema, updateMeSchema } from '../../src/validators/auth.validator.js';
+
+describe('changePasswordSchema', () => {
+  it('accepts a strong new password', () => {
+    const { error } = changePasswordSchema.validate({ currentPassword: 'OldSecret1', newPassword: 'NewSecret1' });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('rejects a new password equal to the current one', () => {
+    const { error } = changePasswordSchema.validate({ currentPassword: 'Secret123', newPassword: 'Secret123' });
+
+    expect(error.message).toBe('New password must be different from the current password');
+  });
+
+  it('applies the password strength rules', () => {
+    expect(changePasswordSchema.validate({ currentPassword: 'OldSecret1', newPassword: 'Short1' }).error.message)
+      .toBe('Password must be at least 8 characters');
+    expect(changePasswordSchema.validate({ currentPassword: 'OldSecret1', newPassword: 'alllowercase1' }).error.message)
+      .toBe('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+  });
+});
+
+describe('updateMeSchema', () => {
+  it('only keeps the name', () => {
+    const { error, value } = updateMeSchema.validate({ name: '  Sami  ', role: 'admin' }, { stripUnknown: true });
+
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ name: 'Sami' });
+  });
+});
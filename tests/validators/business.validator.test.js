@@ -0,0 +1,72 @@
+import { describe, it, expect } from '@jest/globals';
+import { updateBusinessSchema, updateProfileSchema } from '../../src/validators/business.validator.js';
+
+describe.each([
+  ['updateBusinessSchema', updateBusinessSchema],
+  ['updateProfileSchema', updateProfileSchema]
+])('%s tiers', (_, schema) => {
+  const validateLevels = (levels) => schema.validate({ tiers: { levels } });
+
+  it('accepts distinct names and thresholds', () => {
+    const { error, value } = validateLevels([
+      { name: 'Silver', threshold: 500, multiplier: 1.25 },
+      { name: 'Gold', threshold: 2000 }
+    ]);
+
+    expect(error).toBeUndefined();
+    expect(value.tiers.levels[1].multiplier).toBe(1);
+  });
+
+  it('rejects names that differ only in case', () => {
+    const { error } = validateLevels([
+      { name: 'Gold', threshold: 500 },
+      { name: 'gold', threshold: 2000 }
+    ]);
+
+    expect(error.message).toBe('Tier names and thresholds must be unique');
+  });
+
+  it('rejects duplicate thresholds', () => {
+    const { error } = validateLevels([
+      { name: 'Silver', threshold: 500 },
+      { name: 'Gold', threshold: 500 }
+    ]);
+
+    expect(error.message).toBe('Tier names and thresholds must be unique');
+  });
+
+  it('reports a level without a name as a validation error', () => {
+    const { error } = validateLevels([
+      { threshold: 500 },
+      { name: 'Gold', threshold: 2000 }
+    ]);
+
+    expect(error.message).toBe('Tier name is required');
+  });
+
+  it('reports a non-string name as a validation error', () => {
+    const { error } = validateLevels([
+      { name: 42, threshold: 500 },
+      { name: 'Gold', threshold: 2000 }
+    ]);
+
+    expect(error.details[0].path).toEqual(['tiers', 'levels', 0, 'name']);
+  });
+});
+
+describe.each([
+  ['updateBusinessSchema', updateBusinessSchema],
+  ['updateProfileSchema', updateProfileSchema]
+])('%s enrollment', (_, schema) => {
+  it('accepts enabling enrollment with a bonus', () => {
+    const { error } = schema.validate({ enrollment: { enabled: true, welcomeBonus: 50 } });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('rejects a negative welcome bonus', () => {
+    const { error } = schema.validate({ enrollment: { welcomeBonus: -5 } });
+
+    expect(error.message).toBe('Welcome bonus cannot be negative');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  enrollClientSchema,
+  activateClientSchema,
+  clientQrSchema,
+  clientBarcodeSchema,
+  printClientsSchema
+} from '../../src/validators/client.validator.js';
+
+describe('enrollClientSchema', () => {
+  it('accepts a name and a phone number', () => {
+    const { error } = enrollClientSchema.validate({ name: 'Jane', phone: '+216 12 345 678' });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('lowercases the email', () => {
+    const { value } = enrollClientSchema.validate({ name: 'Jane', email: 'Jane@Mail.com' });
+
+    expect(value.email).toBe('jane@mail.com');
+  });
+
+  it('requires a phone number or an email', () => {
+    const { error } = enrollClientSchema.validate({ name: 'Jane' });
+
+    expect(error.message).toBe('A phone number or email is required');
+  });
+
+  it('rejects malformed phone numbers', () => {
+    const { error } = enrollClientSchema.validate({ name: 'Jane', phone: 'call me' });
+
+    expect(error.message).toBe('Please provide a valid phone number');
+  });
+});
+
+describe('activateClientSchema', () => {
+  it('accepts a PIN', () => {
+    const { error } = activateClientSchema.validate({ name: 'Jane', pin: '123456' });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('still accepts the legacy activation code', () => {
+    const { error } = activateClientSchema.validate({ name: 'Jane', activationCode: 'CODE42' });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('requires a PIN', () => {
+    const { error } = activateClientSchema.validate({ name: 'Jane' });
+
+    expect(error.message).toBe('PIN is required');
+  });
+});
+
+describe('clientQrSchema', () => {
+  it('defaults to a 300 px PNG with high error correction', () => {
+    const { value } = clientQrSchema.validate({});
+
+    expect(value).toMatchObject({ format: 'png', size: 300, ecc: 'H', logo: false });
+  });
+
+  it('accepts colors without the leading #', () => {
+    const { error } = clientQrSchema.validate({ dark: '1e293b', light: '#ffffff' });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('only accepts a logo on SVG codes', () => {
+    expect(clientQrSchema.validate({ format: 'svg', logo: true }).error).toBeUndefined();
+    expect(clientQrSchema.validate({ logo: true }).error.message).toBe('Logo overlay is only available in SVG format');
+  });
+});
+
+describe('clientBarcodeSchema', () => {
+  it('limits the bar height', () => {
+    expect(clientBarcodeSchema.validate({ height: 60 }).error).toBeDefined();
+    expect(clientBarcodeSchema.validate({}).value).toMatchObject({ format: 'png', height: 15 });
+  });
+});
+
+describe('printClientsSchema', () => {
+  it('accepts a batch or a range', () => {
+    expect(printClientsSchema.validate({ batchId: 'batch_2025-01' }).error).toBeUndefined();
+    expect(printClientsSchema.validate({ from: 1, to: 50 }).error).toBeUndefined();
+  });
+
+  it('requires a batch or a range, not both', () => {
+    expect(printClientsSchema.validate({}).error.message).toBe('Provide a batchId or a from/to range');
+    expect(printClientsSchema.validate({ batchId: 'batch1', from: 1, to: 5 }).error.message)
+      .toBe('Provide either a batchId or a from/to range, not both');
+  });
+
+  it('rejects incomplete or reversed ranges', () => {
+    expect(printClientsSchema.validate({ from: 1 }).error.message).toBe('from and to must be given together');
+    expect(printClientsSchema.validate({ from: 10, to: 5 }).error.message).toBe('to must be greater than or equal to from');
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import { inviteStaffSchema, updateStaffSchema } from '../../src/validators/staff.validator.js';
+import { acceptInvitationSchema } from '../../src/validators/auth.validator.js';
+
+describe('inviteStaffSchema', () => {
+  it('invites cashiers by default', () => {
+    const { error, value } = inviteStaffSchema.validate({ email: 'cashier@shop.com' });
+
+    expect(error).toBeUndefined();
+    expect(value.businessRole).toBe('cashier');
+  });
+
+  it('rejects roles outside the matrix', () => {
+    const { error } = inviteStaffSchema.validate({ email: 'cashier@shop.com', businessRole: 'admin' });
+
+    expect(error.message).toBe('Business role must be owner, manager or cashier');
+  });
+});
+
+describe('updateStaffSchema', () => {
+  it('accepts disabling a staff member', () => {
+    const { error } = updateStaffSchema.validate({ isActive: false });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('rejects an empty update', () => {
+    const { error } = updateStaffSchema.validate({});
+
+    expect(error).toBeDefined();
+  });
+});
+
+describe('acceptInvitationSchema', () => {
+  it('requires a strong password', () => {
+    const { error } = acceptInvitationSchema.validate({ token: 'abc', name: 'Cashier', password: 'weak' });
+
+    expect(error.message).toBe('Password must be at least 8 characters');
+  });
+
+  it('requires the token', () => {
+    const { error } = acceptInvitationSchema.validate({ name: 'Cashier', password: 'Secret123' });
+
+    expect(error.message).toBe('Invitation token is required');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from '@jest/globals';
+import { createUserSchema, updateUserSchema, loginAttemptQuerySchema } from '../../src/validators/user.validator.js';
+
+describe('createUserSchema businessRole', () => {
+  const user = { email: 'staff@example.com', password: 'Secret123', name: 'Staff' };
+
+  it('defaults to owner', () => {
+    const { value } = createUserSchema.validate(user);
+
+    expect(value.businessRole).toBe('owner');
+  });
+
+  it('rejects roles outside the matrix', () => {
+    const { error } = createUserSchema.validate({ ...user, businessRole: 'admin' });
+
+    expect(error.message).toBe('Business role must be owner, manager or cashier');
+  });
+});
+
+describe('updateUserSchema businessRole', () => {
+  it('accepts a staff role change', () => {
+    const { error, value } = updateUserSchema.validate({ businessRole: 'cashier' });
+
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ businessRole: 'cashier' });
+  });
+});
+
+describe('loginAttemptQuerySchema', () => {
+  it.each([
+    'success', 'invalid_password', 'unknown_user', 'locked', 'two_factor_required', 'invalid_two_factor', 'disabled'
+  ])('accepts the %s outcome', (outcome) => {
+    const { error } = loginAttemptQuerySchema.validate({ outcome });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('rejects unknown outcomes', () => {
+    const { error } = loginAttemptQuerySchema.validate({ outcome: 'other' });
+
+    expect(error).toBeDefined();
+  });
+
+  it('pages 50 attempts at a time by default', () => {
+    const { value } = loginAttemptQuerySchema.validate({});
+
+    expect(value).toEqual({ page: 1, limit: 50 });
+  });
+});